@@ -1,11 +1,16 @@
 import * as THREE from 'three';
+import { getWind } from './wind.js';
+import { getWeather } from './weather.js';
 
 // Audio sources
 const AUDIO_FILES = {
   BIRDS: 'audio/birds.mp3',
   WIND: 'audio/wind.mp3',
   NIGHT: 'audio/night_ambience.mp3',
-  FOOTSTEPS: 'audio/footsteps.mp3'
+  FOOTSTEPS: 'audio/footsteps.mp3',
+  RAIN: 'audio/rain.mp3',
+  STORM: 'audio/storm.mp3',
+  THUNDER: 'audio/thunder.mp3'
 };
 
 // Audio state
@@ -13,6 +18,12 @@ let audioListener;
 let audioSources = {};
 let dayNightState = 'day';
 
+// Lightning strikes already answered with thunder
+let thunderStrikes = 0;
+
+// Per-bed volume multipliers set by the biome around the listener
+let ambienceMix = { birds: 1, wind: 1, night: 1 };
+
 /**
  * Sets up audio for the VR experience
  * @param {THREE.Camera} camera - The camera to attach the audio listener to
@@ -57,6 +68,20 @@ function createAudioSources() {
   audioSources.footsteps.setRefDistance(1);
   audioSources.footsteps.setVolume(0.7);
   audioSources.footsteps.setLoop(false);
+  
+  // Create rain and storm beds (non-positional), silent until the weather turns
+  audioSources.rain = new THREE.Audio(audioListener);
+  audioSources.rain.setVolume(0);
+  audioSources.rain.setLoop(true);
+  
+  audioSources.storm = new THREE.Audio(audioListener);
+  audioSources.storm.setVolume(0);
+  audioSources.storm.setLoop(true);
+  
+  // Create thunder (non-positional), played after each lightning strike
+  audioSources.thunder = new THREE.Audio(audioListener);
+  audioSources.thunder.setVolume(0.9);
+  audioSources.thunder.setLoop(false);
 }
 
 /**
@@ -106,6 +131,20 @@ function createPlaceholderAudioFiles() {
   audioLoader.load(AUDIO_FILES.FOOTSTEPS, (buffer) => {
     audioSources.footsteps.setBuffer(buffer);
   });
+  
+  audioLoader.load(AUDIO_FILES.RAIN, (buffer) => {
+    audioSources.rain.setBuffer(buffer);
+    audioSources.rain.play();
+  });
+  
+  audioLoader.load(AUDIO_FILES.STORM, (buffer) => {
+    audioSources.storm.setBuffer(buffer);
+    audioSources.storm.play();
+  });
+  
+  audioLoader.load(AUDIO_FILES.THUNDER, (buffer) => {
+    audioSources.thunder.setBuffer(buffer);
+  });
   */
 }
 
@@ -125,10 +164,18 @@ function playAmbientAudio() {
   if (audioSources.night.buffer) {
     audioSources.night.play();
   }
+  
+  if (audioSources.rain.buffer) {
+    audioSources.rain.play();
+  }
+  
+  if (audioSources.storm.buffer) {
+    audioSources.storm.play();
+  }
 }
 
 /**
- * Updates audio based on time of day
+ * Updates audio based on time of day, the wind and the weather
  * @param {number} timeOfDay - Current time of day (0-1)
  */
 export function updateAudioForTimeOfDay(timeOfDay) {
@@ -141,13 +188,42 @@ export function updateAudioForTimeOfDay(timeOfDay) {
   // Determine if it's day or night
   const newState = dayFactor > 0.3 ? 'day' : 'night';
   
-  // Adjust volumes based on time of day
+  // Birds fall quiet in rain and snow
+  const weather = getWeather();
+  const birdsLeft = 1 - 0.8 * Math.max(weather.rain, weather.snow);
+  
+  // Adjust volumes based on time of day and the surrounding biome
   if (audioSources.birds.isPlaying) {
-    audioSources.birds.setVolume(0.5 * dayFactor);
+    audioSources.birds.setVolume(0.5 * dayFactor * ambienceMix.birds * birdsLeft);
   }
   
   if (audioSources.night.isPlaying) {
-    audioSources.night.setVolume(0.5 * nightFactor);
+    audioSources.night.setVolume(0.5 * nightFactor * ambienceMix.night);
+  }
+  
+  // The wind bed swells with the wind strength and its gusts
+  if (audioSources.wind.isPlaying) {
+    const windVolume = Math.min(1, 0.05 + 0.5 * getWind().speed);
+    audioSources.wind.setVolume(windVolume * ambienceMix.wind);
+  }
+  
+  // Rain patters and storms roar with the weather
+  if (audioSources.rain.isPlaying) {
+    audioSources.rain.setVolume(0.6 * weather.rainSound);
+  }
+  
+  if (audioSources.storm.isPlaying) {
+    audioSources.storm.setVolume(0.7 * weather.stormSound);
+  }
+  
+  // Thunder rolls in a moment after each lightning strike
+  if (weather.strikes !== thunderStrikes) {
+    thunderStrikes = weather.strikes;
+    
+    if (audioSources.thunder.buffer) {
+      if (audioSources.thunder.isPlaying) audioSources.thunder.stop();
+      audioSources.thunder.play(weather.thunderDelay);
+    }
   }
   
   // Handle state transitions
@@ -163,6 +239,15 @@ export function updateAudioForTimeOfDay(timeOfDay) {
   }
 }
 
+/**
+ * Sets the ambient audio mix for the biome around the listener
+ * Takes effect on the next updateAudioForTimeOfDay call.
+ * @param {Object} mix - Volume multipliers for the birds, wind and night beds (0-1)
+ */
+export function setAmbienceMix(mix) {
+  ambienceMix = mix;
+}
+
 /**
  * Plays footstep sounds when moving
  * @param {boolean} isMoving - Whether the player is moving
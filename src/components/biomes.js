@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+
+/**
+ * Biome definitions
+ * Each biome sets the ground palette, which trees grow and how densely, how
+ * often glowing props appear and how loud each ambient audio bed plays.
+ * Probabilities are per placement candidate; species weights are relative.
+ * splatColor is the color that paints the biome in a heightmap splat map.
+ */
+export const BIOMES = {
+  meadow: {
+    splatColor: 0x00ff00,
+    palette: { low: 0x5a5a2e, mid: 0x3b7d4e, high: 0x7cad6d },
+    treeDensity: 0.35,
+    treeSpecies: { pine: 0, broadleaf: 0.6, simple: 0.4 },
+    grassDensity: 1,
+    mushroomChance: 0.05,
+    crystalChance: 0.05,
+    ambience: { birds: 1, wind: 0.3, night: 0.1 }
+  },
+  pineForest: {
+    splatColor: 0x006400,
+    palette: { low: 0x4a3a28, mid: 0x2d5d3b, high: 0x3f6b47 },
+    treeDensity: 1,
+    treeSpecies: { pine: 0.85, broadleaf: 0.15, simple: 0 },
+    grassDensity: 0.4,
+    mushroomChance: 0.15,
+    crystalChance: 0,
+    ambience: { birds: 0.7, wind: 0.6, night: 0.2 }
+  },
+  mushroomGrove: {
+    splatColor: 0x8000ff,
+    palette: { low: 0x2a2340, mid: 0x2f4f4a, high: 0x3e6b5a },
+    treeDensity: 0.5,
+    treeSpecies: { pine: 0, broadleaf: 0.4, simple: 0.6 },
+    grassDensity: 0.5,
+    mushroomChance: 1,
+    crystalChance: 0.3,
+    ambience: { birds: 0.2, wind: 0.2, night: 0.8 }
+  },
+  rockyHighland: {
+    splatColor: 0x808080,
+    palette: { low: 0x6b6455, mid: 0x7d7a70, high: 0x9a9890 },
+    treeDensity: 0.15,
+    treeSpecies: { pine: 1, broadleaf: 0, simple: 0 },
+    grassDensity: 0.15,
+    mushroomChance: 0,
+    crystalChance: 0.4,
+    ambience: { birds: 0.2, wind: 1, night: 0.1 }
+  },
+  shoreline: {
+    splatColor: 0xffff00,
+    palette: { low: 0xc2b280, mid: 0xb5a878, high: 0x9aa06a },
+    treeDensity: 0.1,
+    treeSpecies: { pine: 0, broadleaf: 0.5, simple: 0.5 },
+    grassDensity: 0.3,
+    mushroomChance: 0,
+    crystalChance: 0.05,
+    ambience: { birds: 0.6, wind: 0.8, night: 0.1 }
+  }
+};
+
+// Climate biomes sit at points in (temperature, moisture) space
+const CLIMATE_CENTERS = {
+  meadow: { temperature: 0.25, moisture: -0.25 },
+  pineForest: { temperature: -0.35, moisture: 0.1 },
+  mushroomGrove: { temperature: 0.3, moisture: 0.45 }
+};
+
+// Width of the blend between neighbouring climate biomes
+const CLIMATE_BLEND = 0.3;
+
+// Elevation bands (in terrain height units) for the height-driven biomes
+const HIGHLAND_START = 2;
+const HIGHLAND_FULL = 3.5;
+const SHORE_FULL = -3;
+const SHORE_END = -1.5;
+
+// Palette colors are converted once
+const blendColor = new THREE.Color();
+const paletteColors = {};
+Object.entries(BIOMES).forEach(([id, biome]) => {
+  paletteColors[id] = {
+    low: new THREE.Color(biome.palette.low),
+    mid: new THREE.Color(biome.palette.mid),
+    high: new THREE.Color(biome.palette.high)
+  };
+});
+
+/**
+ * Creates the biome map from temperature and moisture noise
+ * A splat map, when given, decides the biome wherever it covers the ground.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object|null} splat - Splat map from loadHeightmap, or null
+ * @returns {Object} Biome map with a sample(x, z, height) method
+ */
+export function createBiomeMap(world, splat = null) {
+  const noise = world.noise;
+  
+  return {
+    // Returns blended weights (biome id -> 0..1, summing to 1) and the dominant biome id
+    sample: (x, z, height) => {
+      // Painted biomes win over the climate and elevation rules
+      const painted = splat && splat.sampleWeights(x, z);
+      if (painted) {
+        return { weights: painted, dominant: getDominantBiome(painted) };
+      }
+      
+      // Slow climate fields, offset so they don't correlate with the height noise
+      const temperature = noise.noise(x * 0.0025 + 1000, z * 0.0025);
+      const moisture = noise.noise(x * 0.0025 - 1000, z * 0.0025 + 500);
+      
+      // Climate biomes blend by distance in climate space
+      const weights = {};
+      let climateTotal = 0;
+      Object.entries(CLIMATE_CENTERS).forEach(([id, center]) => {
+        const dt = temperature - center.temperature;
+        const dm = moisture - center.moisture;
+        weights[id] = Math.exp(-(dt * dt + dm * dm) / (CLIMATE_BLEND * CLIMATE_BLEND));
+        climateTotal += weights[id];
+      });
+      
+      // Elevation overrides climate on peaks and in hollows
+      const highland = THREE.MathUtils.smoothstep(height, HIGHLAND_START, HIGHLAND_FULL);
+      const shore = (1 - THREE.MathUtils.smoothstep(height, SHORE_FULL, SHORE_END)) * (1 - highland);
+      const climateShare = 1 - highland - shore;
+      
+      Object.keys(CLIMATE_CENTERS).forEach((id) => {
+        weights[id] = weights[id] / climateTotal * climateShare;
+      });
+      weights.rockyHighland = highland;
+      weights.shoreline = shore;
+      
+      return { weights: weights, dominant: getDominantBiome(weights) };
+    }
+  };
+}
+
+/**
+ * Blends a numeric biome property by the given weights
+ * @param {Object} weights - Biome id -> weight
+ * @param {Function} getValue - Reads the value from a biome definition
+ * @returns {number} Weighted value
+ */
+export function blendBiomes(weights, getValue) {
+  let value = 0;
+  
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (weight > 0) {
+      value += getValue(BIOMES[id]) * weight;
+    }
+  });
+  
+  return value;
+}
+
+/**
+ * Picks a tree species from the blended species weights
+ * @param {Object} weights - Biome id -> weight
+ * @param {number} roll - Random value in [0, 1)
+ * @returns {string} Species id (pine, broadleaf or simple)
+ */
+export function pickTreeSpecies(weights, roll) {
+  const species = {};
+  let total = 0;
+  
+  Object.entries(weights).forEach(([id, weight]) => {
+    Object.entries(BIOMES[id].treeSpecies).forEach(([name, share]) => {
+      species[name] = (species[name] || 0) + share * weight;
+      total += share * weight;
+    });
+  });
+  
+  // Walk the cumulative distribution
+  let threshold = roll * total;
+  for (const [name, share] of Object.entries(species)) {
+    threshold -= share;
+    if (threshold < 0) return name;
+  }
+  
+  return 'broadleaf';
+}
+
+/**
+ * Gets the blended ground color for a terrain vertex
+ * @param {Object} weights - Biome id -> weight
+ * @param {number} height - Vertex height
+ * @param {THREE.Color} target - Color to write into
+ * @returns {THREE.Color} The target color
+ */
+export function getGroundColor(weights, height, target) {
+  target.setRGB(0, 0, 0);
+  
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (weight <= 0) return;
+    
+    // Each palette runs low -> mid -> high with height
+    const palette = paletteColors[id];
+    if (height < 0) {
+      blendColor.copy(palette.low).lerp(palette.mid, THREE.MathUtils.smoothstep(height, -4, 0));
+    } else {
+      blendColor.copy(palette.mid).lerp(palette.high, THREE.MathUtils.smoothstep(height, 1, 5));
+    }
+    
+    target.r += blendColor.r * weight;
+    target.g += blendColor.g * weight;
+    target.b += blendColor.b * weight;
+  });
+  
+  return target;
+}
+
+/**
+ * Gets the ambient audio mix (birds, wind, night) for the given biome weights
+ * @param {Object} weights - Biome id -> weight
+ * @returns {Object} Volume multipliers per audio bed
+ */
+export function getAmbienceMix(weights) {
+  return {
+    birds: blendBiomes(weights, (biome) => biome.ambience.birds),
+    wind: blendBiomes(weights, (biome) => biome.ambience.wind),
+    night: blendBiomes(weights, (biome) => biome.ambience.night)
+  };
+}
+
+/**
+ * Finds the biome with the largest weight
+ */
+function getDominantBiome(weights) {
+  let dominant = null;
+  
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (dominant === null || weight > weights[dominant]) {
+      dominant = id;
+    }
+  });
+  
+  return dominant;
+}
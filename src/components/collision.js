@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+// Push-out passes per step, so corners between close obstacles resolve too
+const SLIDE_ITERATIONS = 3;
+
+/**
+ * Creates the player collision system
+ * The player is an upright capsule that slides around tree trunks and props,
+ * which the chunks register as vertical cylinders in userData.colliders
+ * ({ x, z, radius } and, for short props, height). The capsule's rounded
+ * bottom rides over anything lower than the step height. Near the world edge
+ * walking outwards slows down until it stops at the edge itself.
+ * @param {THREE.Group} terrain - Terrain group with its loaded chunks
+ * @param {Object} config - Collision settings (see worldConfig.collision)
+ * @returns {Object} Collision system with move and getCollidersNear
+ */
+export function createCollision(terrain, config) {
+  const nearby = [];
+  const target = new THREE.Vector2();
+  
+  // Largest radius in each chunk's collider lists, worked out once per list;
+  // radii come from the tree manifest and rule sets, so there is no fixed cap
+  const largestRadii = new WeakMap();
+  const getLargestRadius = (chunk) => {
+    let largest = 0;
+    [chunk.trees, chunk.props].forEach((group) => {
+      const colliders = group.userData.colliders;
+      if (!largestRadii.has(colliders)) {
+        largestRadii.set(colliders, colliders.reduce((max, collider) => Math.max(max, collider.radius), 0));
+      }
+      largest = Math.max(largest, largestRadii.get(colliders));
+    });
+    return largest;
+  };
+  
+  // Colliders of loaded chunks whose cylinders come within reach of a point
+  const getCollidersNear = (x, z, reach, result = []) => {
+    result.length = 0;
+    
+    terrain.userData.chunks.forEach((chunk) => {
+      const chunkReach = reach + getLargestRadius(chunk);
+      if (x < chunk.minX - chunkReach || x > chunk.minX + chunk.size + chunkReach) return;
+      if (z < chunk.minZ - chunkReach || z > chunk.minZ + chunk.size + chunkReach) return;
+      
+      [chunk.trees, chunk.props].forEach((group) => {
+        group.userData.colliders.forEach((collider) => {
+          if (Math.hypot(collider.x - x, collider.z - z) < reach + collider.radius) {
+            result.push(collider);
+          }
+        });
+      });
+    });
+    
+    return result;
+  };
+  
+  // Takes the outward part of a step away as the player nears the world edge
+  const applyWorldEdge = (position, velocity) => {
+    const distance = Math.hypot(position.x, position.z);
+    const edgeStart = config.worldRadius - config.edgeWidth;
+    if (distance <= edgeStart) return;
+    
+    const normalX = position.x / distance;
+    const normalZ = position.z / distance;
+    const outward = velocity.x * normalX + velocity.z * normalZ;
+    if (outward <= 0) return;
+    
+    const resistance = THREE.MathUtils.smoothstep(distance, edgeStart, config.worldRadius);
+    velocity.x -= normalX * outward * resistance;
+    velocity.z -= normalZ * outward * resistance;
+  };
+  
+  return {
+    getCollidersNear: getCollidersNear,
+    
+    /**
+     * Turns a step of the player into one that slides along obstacles and
+     * holds back at the world edge
+     * @param {THREE.Vector3} position - Where the player stands
+     * @param {THREE.Vector3} velocity - The step to take (x and z are changed in place)
+     * @returns {THREE.Vector3} The same velocity
+     */
+    move: (position, velocity) => {
+      applyWorldEdge(position, velocity);
+      
+      target.set(position.x + velocity.x, position.z + velocity.z);
+      const reach = config.playerRadius + Math.hypot(velocity.x, velocity.z);
+      getCollidersNear(position.x, position.z, reach, nearby);
+      
+      // Push the capsule out of every cylinder it would end up in; being pushed
+      // straight out of a cylinder leaves the sideways part of the step, so
+      // the player slides along it
+      for (let i = 0; i < SLIDE_ITERATIONS; i++) {
+        let pushed = false;
+        
+        nearby.forEach((collider) => {
+          if (collider.height !== undefined && collider.height <= config.stepHeight) return;
+          
+          const minDistance = collider.radius + config.playerRadius;
+          let awayX = target.x - collider.x;
+          let awayZ = target.y - collider.z;
+          let distance = Math.hypot(awayX, awayZ);
+          if (distance >= minDistance) return;
+          
+          // Walking dead center into a trunk backs out the way the player came
+          if (distance < 1e-6) {
+            awayX = position.x - collider.x;
+            awayZ = position.z - collider.z;
+            distance = Math.hypot(awayX, awayZ);
+            if (distance < 1e-6) return;
+          }
+          
+          target.set(collider.x + awayX / distance * minDistance, collider.z + awayZ / distance * minDistance);
+          pushed = true;
+        });
+        
+        if (!pushed) break;
+      }
+      
+      velocity.x = target.x - position.x;
+      velocity.z = target.y - position.z;
+      return velocity;
+    }
+  };
+}
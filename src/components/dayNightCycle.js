@@ -1,93 +1,190 @@
 import * as THREE from 'three';
+import { createPaletteLook, samplePalette } from './timeOfDayPalette.js';
+import { createMoon } from './moon.js';
+import { getWeather } from './weather.js';
+import { getLunarDirection, getSolarDirection, getSolarHourAngle, getSolarPosition, getSolarTimeOfDay } from './solarPosition.js';
+
+const DAY_MS = 86400000;
+
+// Extra ambient light on a night under a full, high moon, as a share of the moonlight
+const MOONLIT_AMBIENT = 0.4;
+
+// Fog distances in the thickest fog, and the ambient light a lightning flash adds
+const THICK_FOG_NEAR = 2;
+const THICK_FOG_FAR = 35;
+const LIGHTNING_AMBIENT = 4;
+const LIGHTNING_COLOR = new THREE.Color(0xc8d4ff);
+
+// Distance of the shadow-casting sun and moon lights from the player, inside their shadow cameras' far plane
+const SHADOW_LIGHT_DISTANCE = 25;
+const ORIGIN = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
 
 /**
  * Sets up the day-night cycle system
  * @param {THREE.Scene} scene - The scene to apply the day-night cycle to
  * @param {THREE.DirectionalLight} sunLight - The directional light representing the sun
- * @returns {Object} Day-night cycle controller with update method
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object} palette - Keyframed look of the day from loadPalette
+ * @param {Object} config - Day-night settings (see worldConfig.dayNight): the moon and the real sky
+ * @returns {Object} Day-night cycle controller with update method, which
+ *   takes the seconds passed and the position to keep the shadows around
  */
-export function setupDayNightCycle(scene, sunLight) {
+export function setupDayNightCycle(scene, sunLight, world, palette, config) {
   // Day-night cycle parameters
   const cycleParams = {
     dayDuration: 240, // Full day-night cycle duration in seconds (slower)
-    timeOfDay: 0.5,   // Starting time (0-1), 0.5 = noon (brightest)
+    timeOfDay: 0.25,  // Starting time (0-1): 0 sunrise, 0.25 noon (brightest), 0.5 sunset, 0.75 midnight
+    day: 0,           // Whole days passed since the start
     paused: false,
-    
-    // Sky colors
-    daySkyTop: new THREE.Color(0x1a8cff),      // Day sky top color (brighter blue)
-    daySkyBottom: new THREE.Color(0xa6e6ff),   // Day sky bottom color (brighter light blue)
-    nightSkyTop: new THREE.Color(0x000033),    // Night sky top color (dark blue)
-    nightSkyBottom: new THREE.Color(0x000066), // Night sky bottom color (slightly lighter dark blue)
-    
-    // Sun/moon light colors and intensities
-    dayLightColor: new THREE.Color(0xffffcc),  // Sun light color (warm white)
-    nightLightColor: new THREE.Color(0x3a3a6a), // Moon light color (bluish)
-    dayLightIntensity: 2.5,                    // Sun light intensity (increased)
-    nightLightIntensity: 0.5,                  // Moon light intensity (increased)
-    
-    // Ambient light parameters
-    dayAmbientColor: new THREE.Color(0x606060),  // Day ambient color (brighter)
-    nightAmbientColor: new THREE.Color(0x202040), // Night ambient color (brighter)
-    dayAmbientIntensity: 1.5,                    // Day ambient intensity (increased)
-    nightAmbientIntensity: 0.5                   // Night ambient intensity (increased)
+    palette: palette, // Keyframed sky tint, lights, fog, exposure and stars
+    realSky: config.realSky.enabled ? createRealSky(config.realSky) : null // Real place and date the sun follows, if any
   };
   
+  // Current look of the day, eased between the palette's keyframes
+  const look = samplePalette(palette, cycleParams.timeOfDay, createPaletteLook());
+  
   // Create ambient light for the scene
-  const ambientLight = new THREE.AmbientLight(cycleParams.dayAmbientColor, cycleParams.dayAmbientIntensity);
+  const ambientLight = new THREE.AmbientLight(look.ambientColor, look.ambientIntensity);
   scene.add(ambientLight);
   
-  // Create moon light (opposite to sun)
-  const moonLight = new THREE.DirectionalLight(cycleParams.nightLightColor, 0);
-  moonLight.position.set(-1, 1, -1); // Opposite to sun
+  // Distance fog in the palette's color
+  scene.fog = new THREE.Fog(look.fogColor.clone(), look.fogNear, look.fogFar);
+  
+  // Create moon light, shining from wherever the moon stands
+  const moonLight = new THREE.DirectionalLight(look.moonColor, 0);
+  moonLight.position.set(-1, 1, -1);
   moonLight.castShadow = true;
   moonLight.shadow.mapSize.width = 1024;
   moonLight.shadow.mapSize.height = 1024;
+  
+  // Moon shadows reach as far around the player as the sun's
+  const { left, right, top, bottom, near, far } = sunLight.shadow.camera;
+  Object.assign(moonLight.shadow.camera, { left, right, top, bottom, near, far });
+  moonLight.shadow.camera.updateProjectionMatrix();
   scene.add(moonLight);
   
-  // Find sky dome in the scene
-  let skyDome = null;
-  scene.traverse((object) => {
-    if (object.isMesh && object.geometry instanceof THREE.SphereGeometry && 
-        object.material instanceof THREE.ShaderMaterial) {
-      skyDome = object;
-    }
-  });
+  // The lights aim at targets that follow the player, so the shadows go wherever the chunks do
+  scene.add(sunLight.target, moonLight.target);
+  
+  // The atmospheric sky, lit from wherever the sun stands
+  const sky = scene.userData.sky || null;
+  const sunDirection = new THREE.Vector3(0, 1, 0);
+  
+  // Current sky at the zenith and the horizon, shared with systems that reflect the sky (e.g. water)
+  const skyColors = {
+    top: new THREE.Color(0x1a8cff),
+    bottom: new THREE.Color(0xa6e6ff)
+  };
   
   // Create stars (only visible at night)
-  const stars = createStars();
+  const stars = createStars(world.random.fork('stars'));
   stars.visible = false; // Start with stars hidden during day
-  scene.add(stars);
+  
+  // Attach to the sky so the star field follows the player around the world
+  (scene.userData.sky || scene).add(stars);
+  
+  // The moon waxes and wanes over the days and keeps to its own path across the sky
+  const moon = createMoon(world.random.fork('moon'), config.moon);
+  (scene.userData.sky || scene).add(moon.mesh);
+  
+  // Under a real sky the moon goes round with the sun's sky instead
+  const placeMoon = (phase, target) => getLunarDirection(cycleParams.realSky.solar, phase, target);
   
   // Day-night cycle controller
   return {
     // Update method called every frame
-    update: (delta) => {
+    update: (delta, focus = ORIGIN) => {
       if (cycleParams.paused) return;
       
-      // Update time of day
-      cycleParams.timeOfDay = (cycleParams.timeOfDay + delta / cycleParams.dayDuration) % 1.0;
+      if (cycleParams.realSky) {
+        // Stand the sun where it is over the real place; the time of day follows from it
+        updateRealSky(cycleParams, sunDirection, delta);
+      } else {
+        // Update time of day, counting the days as it wraps
+        const time = cycleParams.timeOfDay + delta / cycleParams.dayDuration;
+        cycleParams.day += Math.floor(time);
+        cycleParams.timeOfDay = time % 1.0;
+        
+        // Calculate sun position based on time of day
+        updateSunPosition(sunLight, sunDirection, cycleParams.timeOfDay);
+      }
+      
+      // Move the moon on through its path and phase
+      moon.update(cycleParams.day + cycleParams.timeOfDay, sunDirection, cycleParams.realSky ? placeMoon : null);
       
-      // Calculate sun position based on time of day
-      updateSunPosition(sunLight, moonLight, cycleParams.timeOfDay);
+      // Shine both lights from where sun and moon stand, centered on the player
+      placeShadowLight(sunLight, sunDirection, focus);
+      placeShadowLight(moonLight, moon.direction, focus);
       
-      // Update lighting based on time of day
-      updateLighting(sunLight, moonLight, ambientLight, cycleParams);
+      // Ease the lights, fog, sky tint and stars between the palette's keyframes,
+      // then let the weather dim, fog and light them up
+      const weather = getWeather();
+      samplePalette(cycleParams.palette, cycleParams.timeOfDay, look);
+      updateLighting(sunLight, moonLight, ambientLight, scene.fog, look, moon.getLight(), weather);
       
-      // Update sky colors
-      updateSkyColors(skyDome, cycleParams);
+      // A real sun can stay under the horizon through the palette's day (polar
+      // night), so it gives no direct light once it has set
+      if (cycleParams.realSky) {
+        sunLight.intensity *= THREE.MathUtils.smoothstep(sunDirection.y, -0.1, 0);
+      }
+      
+      // Light the sky from the sun
+      updateSkyColors(sky, skyColors, sunDirection, look, weather);
       
-      // Update stars visibility
-      updateStars(stars, cycleParams.timeOfDay);
+      // Update stars visibility; an overcast sky hides them
+      updateStars(stars, look.stars * (1 - THREE.MathUtils.smoothstep(weather.cloudCover, 0.5, 1)));
     },
     
     // Method to get current time of day
     getTimeOfDay: () => cycleParams.timeOfDay,
     
-    // Method to set time of day manually
+    // Method to get the day counter (whole days passed since the start)
+    getDay: () => cycleParams.day,
+    
+    // Method to get the current sky colors ({ top, bottom } at the zenith and the horizon, updated in place)
+    getSkyColors: () => skyColors,
+    
+    // Method to get the unit direction towards the sun (updated in place)
+    getSunDirection: () => sunDirection,
+    
+    // Method to get the lunar phase (0-1): 0 new, 0.5 full
+    getMoonPhase: () => moon.getPhase(),
+    
+    // Method to get the unit direction towards the moon (updated in place)
+    getMoonDirection: () => moon.direction,
+    
+    // Method to get the current look of the day (palette values and the
+    // nearest phase, updated in place), e.g. for the renderer's exposure
+    getLook: () => look,
+    
+    // Method to switch to another palette from loadPalette, e.g. while tuning a preset
+    setPalette: (newPalette) => {
+      cycleParams.palette = newPalette;
+    },
+    
+    // Method to set time of day manually; with a real sky this moves its
+    // clock to that point of the day (leaving the system clock behind)
     setTimeOfDay: (time) => {
       cycleParams.timeOfDay = time % 1.0;
+      if (cycleParams.realSky) {
+        setRealSkyTime(cycleParams.realSky, cycleParams.timeOfDay);
+      }
+    },
+    
+    /**
+     * Makes the sun follow a real place and date, or go back to the simple cycle
+     * @param {Object|null} settings - latitude and longitude in degrees and
+     *   date (null for the system clock, or a date the clock starts from and
+     *   runs at the cycle's pace), or null for the simple cycle
+     */
+    setRealSky: (settings) => {
+      cycleParams.realSky = settings ? createRealSky(settings) : null;
     },
     
+    // Method to get the real sky's current date and time, or null when the sun follows the simple cycle
+    getRealSkyDate: () => (cycleParams.realSky ? new Date(cycleParams.realSky.date) : null),
+    
     // Method to pause/unpause the cycle
     togglePause: () => {
       cycleParams.paused = !cycleParams.paused;
@@ -104,9 +201,64 @@ export function setupDayNightCycle(scene, sunLight) {
 }
 
 /**
- * Updates the sun and moon positions based on time of day
+ * Sets up a real sky from its settings
  */
-function updateSunPosition(sunLight, moonLight, timeOfDay) {
+function createRealSky(settings) {
+  const followClock = settings.date === null || settings.date === undefined;
+  const date = followClock ? new Date() : new Date(settings.date);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid real sky date "${settings.date}"`);
+  }
+  
+  return {
+    latitude: settings.latitude,
+    longitude: settings.longitude,
+    date: date,
+    followClock: followClock,
+    solar: null // Solar position at the last update
+  };
+}
+
+/**
+ * Moves the real sky's clock on, stands the sun where it is over the place
+ * then and works out the time of day from it, counting a new day at sunrise
+ * A chosen date runs at the cycle's pace; the system clock runs in real time.
+ */
+function updateRealSky(params, sunDirection, delta) {
+  const realSky = params.realSky;
+  if (realSky.followClock) {
+    realSky.date.setTime(Date.now());
+  } else {
+    realSky.date.setTime(realSky.date.getTime() + delta / params.dayDuration * DAY_MS);
+  }
+  
+  const solar = getSolarPosition(realSky.date, realSky.latitude, realSky.longitude);
+  realSky.solar = solar;
+  const timeOfDay = getSolarTimeOfDay(solar);
+  if (timeOfDay < params.timeOfDay - 0.5) {
+    params.day++;
+  }
+  params.timeOfDay = timeOfDay;
+  
+  getSolarDirection(solar, sunDirection);
+}
+
+/**
+ * Moves the real sky's clock to a time of day on the current day
+ */
+function setRealSkyTime(realSky, timeOfDay) {
+  const solar = getSolarPosition(realSky.date, realSky.latitude, realSky.longitude);
+  const turn = getSolarHourAngle(solar, timeOfDay) - solar.hourAngle;
+  const wrapped = THREE.MathUtils.euclideanModulo(turn + Math.PI, Math.PI * 2) - Math.PI;
+  
+  realSky.followClock = false;
+  realSky.date.setTime(realSky.date.getTime() + wrapped / (Math.PI * 2) * DAY_MS);
+}
+
+/**
+ * Updates the sun position based on time of day
+ */
+function updateSunPosition(sunLight, sunDirection, timeOfDay) {
   // Calculate sun angle based on time of day (0-1)
   const sunAngle = timeOfDay * Math.PI * 2;
   
@@ -117,119 +269,111 @@ function updateSunPosition(sunLight, moonLight, timeOfDay) {
   // Position sun
   sunLight.position.set(sunX * 5, sunY * 10, 1);
   
-  // Position moon opposite to sun
-  moonLight.position.set(-sunX * 5, -sunY * 10, -1);
-  
-  // Update visual sun position if it exists
-  if (sunLight.parent && sunLight.parent.userData && sunLight.parent.userData.sky && 
-      sunLight.parent.userData.sky.userData && sunLight.parent.userData.sky.userData.sun) {
-    
-    const visualSun = sunLight.parent.userData.sky.userData.sun;
-    
-    // Calculate visual sun position (larger orbit)
-    const radius = 300;
-    const visualSunX = Math.cos(sunAngle) * radius;
-    const visualSunY = Math.max(0, Math.sin(sunAngle) * radius); // Keep above horizon
-    const visualSunZ = Math.sin(sunAngle + Math.PI * 0.5) * radius;
-    
-    // Update visual sun position
-    visualSun.position.set(visualSunX, visualSunY, visualSunZ);
-    
-    // Make sun always face the camera
-    visualSun.children.forEach(child => {
-      child.lookAt(0, 0, 0);
-    });
-    
-    // Adjust sun opacity based on height (fade out when setting)
-    const sunHeight = Math.sin(sunAngle);
-    const opacity = Math.max(0, Math.min(1, (sunHeight + 0.2) * 2));
-    
-    visualSun.children.forEach(child => {
-      if (child.material) {
-        child.material.opacity = opacity;
-      }
-    });
-    
-    // Only show sun during day
-    visualSun.visible = sunHeight > -0.2;
-  }
+  // The sky draws the sun where its light comes from
+  sunDirection.copy(sunLight.position).normalize();
 }
 
+// Scratch values for placing the shadow-casting lights, reused every frame
+const lightRotation = new THREE.Matrix4();
+const lightRotationInverse = new THREE.Matrix4();
+const shadowCenter = new THREE.Vector3();
+
 /**
- * Updates lighting based on time of day
+ * Aims a shadow-casting directional light at the focus from a direction
+ * The center is snapped to whole shadow map texels across the light's view,
+ * so the shadows hold still instead of shimmering as the player walks.
  */
-function updateLighting(sunLight, moonLight, ambientLight, params) {
-  // Calculate day/night transition factors
-  // Use a sine wave to smoothly transition between day and night
-  const dayFactor = Math.max(0, Math.sin(params.timeOfDay * Math.PI * 2));
-  const nightFactor = 1 - dayFactor;
-  
-  // Adjust sun light intensity and color
-  sunLight.intensity = params.dayLightIntensity * dayFactor;
-  sunLight.color.copy(params.dayLightColor);
-  
-  // Adjust moon light intensity and color
-  moonLight.intensity = params.nightLightIntensity * nightFactor;
-  moonLight.color.copy(params.nightLightColor);
-  
-  // Adjust ambient light
-  ambientLight.intensity = (params.dayAmbientIntensity * dayFactor) + 
-                          (params.nightAmbientIntensity * nightFactor);
-  
-  // Blend ambient light color between day and night
-  ambientLight.color.copy(params.dayAmbientColor)
-    .lerp(params.nightAmbientColor, nightFactor);
+function placeShadowLight(light, direction, focus) {
+  const shadowCamera = light.shadow.camera;
+  const texel = (shadowCamera.right - shadowCamera.left) / light.shadow.mapSize.width;
+  
+  // Into the light's view (as its shadow camera looks at the target), snap, and back
+  lightRotation.lookAt(direction, ORIGIN, UP);
+  lightRotationInverse.copy(lightRotation).transpose();
+  shadowCenter.copy(focus).applyMatrix4(lightRotationInverse);
+  shadowCenter.x = Math.round(shadowCenter.x / texel) * texel;
+  shadowCenter.y = Math.round(shadowCenter.y / texel) * texel;
+  shadowCenter.applyMatrix4(lightRotation);
+  
+  light.target.position.copy(shadowCenter);
+  light.position.copy(direction).multiplyScalar(SHADOW_LIGHT_DISTANCE).add(shadowCenter);
 }
 
+// Grey the fog turns under cloud, reused every frame
+const fogGrey = new THREE.Color();
+
 /**
- * Updates sky colors based on time of day
+ * Updates the lights and fog from the current look of the day and the weather
+ * The palette's moon intensity is that of a full moon high in the sky;
+ * moonlight (the share of it reaching the ground) scales the moon's light,
+ * its shadows and some of the night's ambient light. Clouds let through only
+ * the weather's share of sun and moon light, softening their shadows, and
+ * fog closes in and turns grey.
  */
-function updateSkyColors(skyDome, params) {
-  if (!skyDome) return;
+function updateLighting(sunLight, moonLight, ambientLight, fog, look, moonlight, weather) {
+  sunLight.intensity = look.sunIntensity * weather.sunlight;
+  sunLight.color.copy(look.sunColor);
+  sunLight.shadow.intensity = weather.sunlight;
   
-  // Calculate day/night transition factor
-  const dayFactor = Math.max(0, Math.sin(params.timeOfDay * Math.PI * 2));
-  const nightFactor = 1 - dayFactor;
+  moonLight.intensity = look.moonIntensity * moonlight * weather.sunlight;
+  moonLight.color.copy(look.moonColor);
+  moonLight.shadow.intensity = moonlight * weather.sunlight;
   
-  // Get sky shader uniforms
-  const uniforms = skyDome.material.uniforms;
+  // Storm clouds darken the day, and lightning briefly lights up everything
+  ambientLight.intensity = (look.ambientIntensity + look.moonIntensity * moonlight * MOONLIT_AMBIENT) *
+    (1 - 0.4 * weather.cloudDarkness) + weather.flash * LIGHTNING_AMBIENT;
+  ambientLight.color.copy(look.ambientColor).lerp(LIGHTNING_COLOR, Math.min(1, weather.flash * 2));
   
-  // Blend sky top color between day and night
-  const topColor = new THREE.Color().copy(params.daySkyTop)
-    .lerp(params.nightSkyTop, nightFactor);
+  const grey = look.fogColor.r * 0.299 + look.fogColor.g * 0.587 + look.fogColor.b * 0.114;
+  fog.color.copy(look.fogColor)
+    .lerp(fogGrey.setRGB(grey, grey, grey), Math.min(1, weather.cloudCover * weather.cloudDarkness + weather.fog))
+    .multiplyScalar(1 - 0.5 * weather.cloudDarkness);
+  fog.near = THREE.MathUtils.lerp(look.fogNear, THICK_FOG_NEAR, weather.fog);
+  fog.far = THREE.MathUtils.lerp(look.fogFar, THICK_FOG_FAR, weather.fog);
+}
+
+
+// Horizon directions towards and away from the sun, reused every frame
+const towardsSun = new THREE.Vector3();
+const awayFromSun = new THREE.Vector3();
+const horizonColor = new THREE.Color();
+
+/**
+ * Points the sky at the sun, tints it, covers it for the weather and samples
+ * it at the zenith and, averaged towards and away from the sun, at the horizon
+ */
+function updateSkyColors(sky, skyColors, sunDirection, look, weather) {
+  if (!sky) return;
   
-  // Blend sky bottom color between day and night
-  const bottomColor = new THREE.Color().copy(params.daySkyBottom)
-    .lerp(params.nightSkyBottom, nightFactor);
+  sky.setSunDirection(sunDirection);
+  sky.setTint(look.skyTop, look.skyBottom);
+  sky.setWeather(weather.cloudCover, weather.cloudDarkness, weather.flash);
+  sky.sampleColor(THREE.Object3D.DEFAULT_UP, skyColors.top);
   
-  // Update shader uniforms
-  if (uniforms.topColor) uniforms.topColor.value = topColor;
-  if (uniforms.bottomColor) uniforms.bottomColor.value = bottomColor;
+  towardsSun.set(sunDirection.x, 0, sunDirection.z);
+  if (towardsSun.lengthSq() < 1e-6) towardsSun.set(1, 0, 0);
+  towardsSun.normalize();
+  awayFromSun.copy(towardsSun).negate();
+  
+  sky.sampleColor(towardsSun, skyColors.bottom);
+  skyColors.bottom.lerp(sky.sampleColor(awayFromSun, horizonColor), 0.5);
 }
 
 /**
- * Updates stars visibility based on time of day
+ * Fades the stars in and out with the current look of the day
  */
-function updateStars(stars, timeOfDay) {
+function updateStars(stars, opacity) {
   if (!stars) return;
   
-  // Calculate day/night transition factor
-  const dayFactor = Math.max(0, Math.sin(timeOfDay * Math.PI * 2));
-  
-  // Show stars at night, hide during day
-  stars.visible = dayFactor < 0.1;
-  
-  // Adjust stars opacity for smooth transition
-  if (stars.material) {
-    const opacity = Math.max(0, 0.1 - dayFactor) / 0.1;
-    stars.material.opacity = opacity;
-  }
+  // Hide the star field entirely by day
+  stars.visible = opacity > 0.001;
+  stars.material.opacity = opacity;
 }
 
 /**
  * Creates a star field
  */
-function createStars() {
+function createStars(rng) {
   const starCount = 2000;
   const starGeometry = new THREE.BufferGeometry();
   const starPositions = [];
@@ -238,8 +382,8 @@ function createStars() {
   // Generate random star positions
   for (let i = 0; i < starCount; i++) {
     // Generate random position on a sphere
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
+    const theta = rng.random() * Math.PI * 2;
+    const phi = Math.acos(2 * rng.random() - 1);
     const radius = 450; // Slightly inside the sky dome
     
     const x = radius * Math.sin(phi) * Math.cos(theta);
@@ -249,7 +393,7 @@ function createStars() {
     starPositions.push(x, y, z);
     
     // Random star color (mostly white with some blue and yellow tints)
-    const colorChoice = Math.random();
+    const colorChoice = rng.random();
     if (colorChoice > 0.9) {
       // Bluish stars
       starColors.push(0.8, 0.8, 1);
@@ -258,7 +402,7 @@ function createStars() {
       starColors.push(1, 1, 0.8);
     } else {
       // White stars with slight variations
-      const brightness = 0.8 + Math.random() * 0.2;
+      const brightness = 0.8 + rng.random() * 0.2;
       starColors.push(brightness, brightness, brightness);
     }
   }
@@ -273,7 +417,8 @@ function createStars() {
     transparent: true,
     opacity: 0,
     vertexColors: true,
-    sizeAttenuation: false
+    sizeAttenuation: false,
+    fog: false
   });
   
   // Create star points
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Number of recent player positions that disturb the swarm
+const TRAIL_LENGTH = 6;
+const TRAIL_INTERVAL = 0.4; // Seconds between trail samples while moving
+
+/**
+ * Creates the GPU firefly swarm
+ * Each chunk gets a THREE.Points cloud clustered around mushroom groves and
+ * shorelines. Motion, blinking, the dusk/dawn fade and scattering away from the
+ * player's recent path are all computed in the shader.
+ * @param {Object} config - Firefly settings (see worldConfig.fireflies)
+ * @returns {Object} Firefly system with createChunkFireflies and update methods
+ */
+export function createFireflies(config) {
+  const uniforms = {
+    time: { value: 0 },
+    opacity: { value: 0 },
+    size: { value: config.size },
+    pixelRatio: { value: Math.min(window.devicePixelRatio, 1.5) },
+    color: { value: new THREE.Color(0xeeff66) },
+    trail: { value: Array.from({ length: TRAIL_LENGTH }, () => new THREE.Vector4(0, -1000, 0, 1000)) },
+    scatterRadius: { value: 3 },
+    scatterStrength: { value: 2.5 }
+  };
+  
+  const material = createFireflyMaterial(uniforms);
+  material.userData.shared = true;
+  
+  // Points clouds of loaded chunks, hidden together during the day
+  const clouds = new Set();
+  
+  // Ring buffer of recent player positions (w = seconds since recorded)
+  let trailIndex = 0;
+  let trailTimer = 0;
+  const lastTrailPosition = new THREE.Vector3(0, -1000, 0);
+  
+  return {
+    // Scatters fireflies around the given anchors (grove centers) and near water
+    createChunkFireflies: (chunk, terrain, rng, anchors) => {
+      const spots = anchors.slice();
+      
+      // Shoreline spots: dry ground with water close by
+      for (let i = 0; i < 16; i++) {
+        const x = chunk.minX + rng.random() * chunk.size;
+        const z = chunk.minZ + rng.random() * chunk.size;
+        if (terrain.getWaterDepthAt(x, z) > 0) continue;
+        
+        const nearWater = [[3, 0], [-3, 0], [0, 3], [0, -3]].some(([dx, dz]) => terrain.getWaterDepthAt(x + dx, z + dz) > 0);
+        if (nearWater) {
+          spots.push(new THREE.Vector3(x, 0, z));
+        }
+      }
+      
+      if (spots.length === 0) return null;
+      
+      const count = Math.min(config.perChunk, spots.length * config.perCluster);
+      const positions = new Float32Array(count * 3);
+      const phases = new Float32Array(count);
+      const speeds = new Float32Array(count);
+      
+      for (let i = 0; i < count; i++) {
+        const spot = spots[i % spots.length];
+        const angle = rng.random() * Math.PI * 2;
+        const radius = Math.sqrt(rng.random()) * config.clusterRadius;
+        const x = spot.x + Math.cos(angle) * radius;
+        const z = spot.z + Math.sin(angle) * radius;
+        
+        // Hover above the ground, or above the water surface
+        const surface = terrain.getHeightAt(x, z) + terrain.getWaterDepthAt(x, z);
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = surface + 0.3 + rng.random() * 2.2;
+        positions[i * 3 + 2] = z;
+        phases[i] = rng.random() * Math.PI * 2;
+        speeds[i] = 0.2 + rng.random() * 0.5;
+      }
+      
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+      geometry.setAttribute('speed', new THREE.BufferAttribute(speeds, 1));
+      geometry.computeBoundingSphere();
+      geometry.boundingSphere.radius += 2; // Room for drifting and scattering
+      
+      const points = new THREE.Points(geometry, material);
+      points.visible = uniforms.opacity.value > 0;
+      
+      // Add to bloom layer
+      points.layers.enable(1);
+      
+      clouds.add(points);
+      geometry.addEventListener('dispose', () => clouds.delete(points));
+      
+      return points;
+    },
+    
+    // Fades the swarm with the night (the palette's star weight, 0 by day and
+    // 1 at night) and records the player's path
+    update: (delta, night, playerPosition) => {
+      uniforms.time.value += delta;
+      
+      // Out by morning, in at dusk
+      const opacity = THREE.MathUtils.smoothstep(night, 0, 0.25);
+      uniforms.opacity.value = opacity;
+      clouds.forEach((points) => {
+        points.visible = opacity > 0;
+      });
+      
+      // Age the trail and add a sample whenever the player has moved
+      const trail = uniforms.trail.value;
+      trail.forEach((sample) => {
+        sample.w += delta;
+      });
+      
+      trailTimer += delta;
+      if (playerPosition && trailTimer >= TRAIL_INTERVAL && playerPosition.distanceTo(lastTrailPosition) > 0.2) {
+        trailTimer = 0;
+        lastTrailPosition.copy(playerPosition);
+        trail[trailIndex].set(playerPosition.x, playerPosition.y + 1, playerPosition.z, 0);
+        trailIndex = (trailIndex + 1) % TRAIL_LENGTH;
+      }
+    }
+  };
+}
+
+/**
+ * Creates the firefly point shader
+ */
+function createFireflyMaterial(uniforms) {
+  const vertexShader = `
+    uniform float time;
+    uniform float size;
+    uniform float pixelRatio;
+    uniform vec4 trail[${TRAIL_LENGTH}];
+    uniform float scatterRadius;
+    uniform float scatterStrength;
+    attribute float phase;
+    attribute float speed;
+    varying float vBlink;
+    void main() {
+      vec3 p = position;
+      
+      // Gentle floating and wandering motion
+      p.y += sin(time * speed + phase) * 0.5;
+      p.x += sin(time * 0.2 * (1.0 + speed) + phase * 3.0) * 1.0;
+      p.z += cos(time * 0.2 * (1.0 + speed) + phase * 5.0) * 1.0;
+      
+      // Scatter away from where the player just walked, settling back over a few seconds
+      for (int i = 0; i < ${TRAIL_LENGTH}; i++) {
+        vec3 away = p - trail[i].xyz;
+        float reach = 1.0 - smoothstep(0.0, scatterRadius, length(away));
+        float settle = exp(-trail[i].w * 1.2);
+        p += normalize(away + vec3(0.0, 0.01, 0.0)) * reach * settle * scatterStrength;
+      }
+      
+      // Slow blink
+      vBlink = 0.35 + 0.65 * pow(sin(time * (1.0 + speed * 2.0) + phase) * 0.5 + 0.5, 3.0);
+      
+      vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+      gl_PointSize = size * pixelRatio * (10.0 / -mvPosition.z);
+      gl_Position = projectionMatrix * mvPosition;
+    }
+  `;
+  
+  const fragmentShader = `
+    uniform vec3 color;
+    uniform float opacity;
+    varying float vBlink;
+    void main() {
+      // Soft round glow
+      float glow = 1.0 - smoothstep(0.0, 0.5, length(gl_PointCoord - 0.5));
+      gl_FragColor = vec4(color, glow * vBlink * opacity);
+    }
+  `;
+  
+  return new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: vertexShader,
+    fragmentShader: fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+}
@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { blendBiomes } from './biomes.js';
+
+// Placement candidates per 1000 square units, kept by the biome mushroom/crystal chance
+const PROP_DENSITY = 7.5;
+const CRYSTAL_SHARE = 0.2; // Fraction of candidates that try to grow crystals
+
+// Minimum distance between prop clusters, and from trees
+const PROP_SPACING = {
+  mushroom: 2.5,
+  crystal: 3
+};
+const TREE_CLEARANCE = 1.5;
+
+// Emissive intensity at noon and at night
+const DAY_GLOW = 0.15;
+const NIGHT_GLOW = 1.6;
+
+// Number of hands that can make props pulse
+const MAX_HANDS = 2;
+
+/**
+ * Creates the instanced glowing mushroom and crystal system
+ * Props are drawn with one InstancedMesh per part and material per chunk.
+ * Their glow follows the day/night cycle and pulses when a hand comes near.
+ * Cluster spots come from the scatter service's "props" layer.
+ * @returns {Object} Props system with its scatter layer, createChunkProps and update methods
+ */
+export function createGlowingProps() {
+  // Unit-sized geometries scaled per instance; bases sit at y = 0
+  const stemGeometry = new THREE.CylinderGeometry(0.8, 1, 1, 8, 1);
+  stemGeometry.translate(0, 0.5, 0);
+  const capGeometry = new THREE.SphereGeometry(1, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
+  const shardGeometry = new THREE.ConeGeometry(1, 1, 5, 1);
+  shardGeometry.translate(0, 0.5, 0);
+  [stemGeometry, capGeometry, shardGeometry].forEach((geometry) => {
+    geometry.userData.shared = true;
+  });
+  
+  // Uniforms shared by all glowing materials
+  const uniforms = {
+    propTime: { value: 0 },
+    propHands: { value: Array.from({ length: MAX_HANDS }, () => new THREE.Vector3(0, -1000, 0)) },
+    propPulseRadius: { value: 1.5 }
+  };
+  
+  // Create mushroom materials
+  const stemMaterial = new THREE.MeshStandardMaterial({
+    color: 0xeeeeee,
+    roughness: 0.7,
+    metalness: 0.2
+  });
+  
+  const capMaterial = createGlowMaterial({
+    color: 0x88ccff,
+    emissive: 0x4477ff,
+    roughness: 0.5,
+    metalness: 0.3
+  }, uniforms);
+  
+  // Create crystal materials with different colors
+  const crystalMaterials = [
+    createGlowMaterial({ color: 0xff77aa, emissive: 0xff2277, roughness: 0.2, metalness: 0.8 }, uniforms),
+    createGlowMaterial({ color: 0x77ffaa, emissive: 0x22ff77, roughness: 0.2, metalness: 0.8 }, uniforms),
+    createGlowMaterial({ color: 0x77aaff, emissive: 0x2277ff, roughness: 0.2, metalness: 0.8 }, uniforms)
+  ];
+  
+  const glowMaterials = [capMaterial, ...crystalMaterials];
+  [stemMaterial, ...glowMaterials].forEach((material) => {
+    material.userData.shared = true;
+  });
+  
+  return {
+    // Scatter layer for cluster spots; mushrooms and crystals keep clear of trees
+    layer: {
+      name: 'props',
+      density: PROP_DENSITY,
+      minSpacing: PROP_SPACING.mushroom,
+      maxSpacing: PROP_SPACING.crystal,
+      maxSlope: 35,
+      avoid: [{ layer: 'trees', distance: TREE_CLEARANCE }],
+      
+      pick: (x, z, rng, terrain) => {
+        const type = rng.random() < CRYSTAL_SHARE ? 'crystal' : 'mushroom';
+        const chance = blendBiomes(
+          terrain.getBiomeAt(x, z).weights,
+          (biome) => (type === 'crystal' ? biome.crystalChance : biome.mushroomChance)
+        );
+        return rng.random() <= chance ? { type: type, spacing: PROP_SPACING[type] } : null;
+      }
+    },
+    
+    // Grows mushroom clusters and crystal clusters on the chunk's scattered spots
+    createChunkProps: (chunk, terrain) => {
+      const propsGroup = new THREE.Group();
+      const stems = [];
+      const caps = [];
+      const shards = crystalMaterials.map(() => []);
+      
+      // Centers of mushroom clusters, used by fireflies to gather around groves
+      const clusterCenters = [];
+      
+      // Footprints the player bumps into ({ x, z, radius, height })
+      const colliders = [];
+      
+      terrain.scatter.sample(chunk, 'props').forEach(({ x, z, kind, rng }) => {
+        if (kind.type === 'mushroom') {
+          // Mushrooms grow in small clusters, mostly in groves
+          clusterCenters.push(new THREE.Vector3(x, terrain.getHeightAt(x, z), z));
+          const clusterSize = rng.int(1, 5);
+          for (let j = 0; j < clusterSize; j++) {
+            const mx = x + (rng.random() - 0.5) * 1.2;
+            const mz = z + (rng.random() - 0.5) * 1.2;
+            const y = terrain.getHeightAt(mx, mz);
+            
+            const stemHeight = 0.2 + rng.random() * 0.3;
+            const stemRadius = 0.05 + rng.random() * 0.05;
+            const capRadius = stemRadius * (2 + rng.random());
+            
+            stems.push(composeMatrix(mx, y, mz, 0, 0, 0, stemRadius, stemHeight, stemRadius));
+            caps.push(composeMatrix(mx, y + stemHeight, mz, 0, 0, 0, capRadius, capRadius * 0.7, capRadius));
+            colliders.push({ x: mx, z: mz, radius: capRadius, height: stemHeight + capRadius * 0.7 });
+          }
+        } else {
+          // Crystals are clusters of 2-4 shards
+          const y = terrain.getHeightAt(x, z);
+          const shardCount = 2 + Math.floor(rng.random() * 3);
+          const collider = { x: x, z: z, radius: 0.25, height: 0 };
+          colliders.push(collider);
+          
+          for (let j = 0; j < shardCount; j++) {
+            const height = 0.3 + rng.random() * 0.7;
+            const radius = 0.05 + rng.random() * 0.1;
+            const angle = (j / shardCount) * Math.PI * 2;
+            const distance = 0.1 * rng.random();
+            const materialIndex = Math.floor(rng.random() * crystalMaterials.length);
+            collider.height = Math.max(collider.height, height);
+            
+            shards[materialIndex].push(composeMatrix(
+              x + Math.cos(angle) * distance, y, z + Math.sin(angle) * distance,
+              (rng.random() - 0.5) * 0.3, 0, (rng.random() - 0.5) * 0.3,
+              radius, height, radius
+            ));
+          }
+        }
+      });
+      
+      // One instanced mesh per part and material
+      addInstances(propsGroup, stemGeometry, stemMaterial, stems, false);
+      addInstances(propsGroup, capGeometry, capMaterial, caps, true);
+      crystalMaterials.forEach((material, index) => {
+        addInstances(propsGroup, shardGeometry, material, shards[index], true);
+      });
+      
+      propsGroup.userData.clusterCenters = clusterCenters;
+      propsGroup.userData.colliders = colliders;
+      
+      return propsGroup;
+    },
+    
+    // Drives the glow from the night (the palette's star weight, 0 by day
+    // and 1 at night) and hand proximity
+    update: (delta, night, handPositions) => {
+      uniforms.propTime.value += delta;
+      
+      // Dim by day, full glow after dusk
+      const intensity = THREE.MathUtils.lerp(DAY_GLOW, NIGHT_GLOW, THREE.MathUtils.smoothstep(night, 0, 0.5));
+      glowMaterials.forEach((material) => {
+        material.emissiveIntensity = intensity;
+      });
+      
+      for (let i = 0; i < MAX_HANDS; i++) {
+        if (handPositions && handPositions[i]) {
+          uniforms.propHands.value[i].copy(handPositions[i]);
+        } else {
+          uniforms.propHands.value[i].set(0, -1000, 0);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Builds an instance matrix from position, rotation and scale
+ */
+function composeMatrix(x, y, z, rotationX, rotationY, rotationZ, scaleX, scaleY, scaleZ) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(x, y, z),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(rotationX, rotationY, rotationZ)),
+    new THREE.Vector3(scaleX, scaleY, scaleZ)
+  );
+}
+
+/**
+ * Adds an InstancedMesh for the given matrices (nothing if empty)
+ */
+function addInstances(group, geometry, material, matrices, glowing) {
+  if (matrices.length === 0) return;
+  
+  const mesh = new THREE.InstancedMesh(geometry, material, matrices.length);
+  matrices.forEach((matrix, index) => mesh.setMatrixAt(index, matrix));
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.computeBoundingSphere();
+  mesh.castShadow = false;
+  mesh.receiveShadow = true;
+  
+  // Add glowing parts to bloom layer
+  if (glowing) {
+    mesh.layers.enable(1);
+  }
+  
+  group.add(mesh);
+}
+
+/**
+ * Creates an emissive material that pulses when a hand is near the instance
+ */
+function createGlowMaterial(parameters, uniforms) {
+  const material = new THREE.MeshStandardMaterial({
+    ...parameters,
+    emissiveIntensity: DAY_GLOW
+  });
+  
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `
+        #include <common>
+        uniform float propTime;
+        uniform vec3 propHands[${MAX_HANDS}];
+        uniform float propPulseRadius;
+        varying float vPropPulse;
+      `)
+      .replace('#include <begin_vertex>', `
+        #include <begin_vertex>
+        
+        // Pulse strength from the nearest hand to this instance
+        vec3 propBase = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+        float nearest = 1000.0;
+        for (int i = 0; i < ${MAX_HANDS}; i++) {
+          nearest = min(nearest, distance(propHands[i], propBase));
+        }
+        float proximity = 1.0 - smoothstep(0.0, propPulseRadius, nearest);
+        vPropPulse = proximity * (0.6 + 0.4 * sin(propTime * 4.0 + propBase.x + propBase.z));
+      `);
+    
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `
+        #include <common>
+        varying float vPropPulse;
+      `)
+      .replace('#include <emissivemap_fragment>', `
+        #include <emissivemap_fragment>
+        totalEmissiveRadiance *= 1.0 + vPropPulse * 2.0;
+      `);
+  };
+  
+  return material;
+}
@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+import { blendBiomes } from './biomes.js';
+import { applySeasonalLook } from './seasons.js';
+import { WIND_SHADER, windUniforms } from './wind.js';
+
+// Blade shape
+const BLADE_HEIGHT = 0.6;
+const BLADE_WIDTH = 0.08;
+const BLADE_SEGMENTS = 3;
+
+// Number of objects that can push grass aside (feet and both hands)
+const MAX_PUSHERS = 3;
+
+/**
+ * Creates the instanced grass system
+ * Each terrain chunk gets one InstancedMesh of blades. Blades sway in the wind
+ * and bend away from the player in the vertex shader, and thin out with
+ * distance from the camera so far chunks cost little.
+ * @param {Object} config - Grass settings (see worldConfig.grass)
+ * @returns {Object} Grass system with createChunkGrass and update methods
+ */
+export function createGrass(config) {
+  const geometry = createBladeGeometry();
+  geometry.userData.shared = true;
+  
+  // Uniforms shared by every chunk's grass; the wind comes from the global wind field
+  const uniforms = {
+    ...windUniforms,
+    grassPushers: { value: Array.from({ length: MAX_PUSHERS }, () => new THREE.Vector3(0, -1000, 0)) },
+    grassPushRadius: { value: 0.6 },
+    grassFullDensity: { value: config.fullDensityDistance },
+    grassMaxDistance: { value: config.maxDistance }
+  };
+  
+  const material = createGrassMaterial(uniforms);
+  material.userData.shared = true;
+  
+  // Grass meshes of loaded chunks, for distance culling
+  const meshes = new Set();
+  const chunkCenter = new THREE.Vector3();
+  
+  return {
+    uniforms: uniforms,
+    
+    // Scatter layer whose exclusion zones, water and slope rules blades follow
+    layer: {
+      name: 'grass',
+      maxSlope: config.maxSlope
+    },
+    
+    // Scatters blades over a chunk and returns them as one InstancedMesh
+    createChunkGrass: (chunk, terrain, rng) => {
+      const cellsPerSide = 16;
+      const cellSize = chunk.size / cellsPerSide;
+      const matrix = new THREE.Matrix4();
+      const position = new THREE.Vector3();
+      const rotation = new THREE.Quaternion();
+      const euler = new THREE.Euler();
+      const scale = new THREE.Vector3();
+      const color = new THREE.Color();
+      const shades = [new THREE.Color(0x4caf50), new THREE.Color(0x388e3c), new THREE.Color(0x81c784)];
+      
+      const mesh = new THREE.InstancedMesh(geometry, material, config.bladesPerChunk);
+      let count = 0;
+      
+      // Biome density is sampled per cell rather than per blade
+      for (let cz = 0; cz < cellsPerSide; cz++) {
+        for (let cx = 0; cx < cellsPerSide; cx++) {
+          const cellX = chunk.minX + cx * cellSize;
+          const cellZ = chunk.minZ + cz * cellSize;
+          const density = blendBiomes(
+            terrain.getBiomeAt(cellX + cellSize / 2, cellZ + cellSize / 2).weights,
+            (biome) => biome.grassDensity
+          );
+          const bladesInCell = Math.round(config.bladesPerChunk / (cellsPerSide * cellsPerSide) * density);
+          
+          for (let i = 0; i < bladesInCell && count < config.bladesPerChunk; i++) {
+            const x = cellX + rng.random() * cellSize;
+            const z = cellZ + rng.random() * cellSize;
+            
+            // Grass does not grow underwater, on paths or on cliffs
+            if (!terrain.scatter.allows('grass', x, z)) continue;
+            
+            // Random heading, slight tilt and size
+            position.set(x, terrain.getHeightAt(x, z), z);
+            euler.set((rng.random() - 0.5) * 0.2, rng.random() * Math.PI * 2, (rng.random() - 0.5) * 0.2);
+            rotation.setFromEuler(euler);
+            const size = 0.6 + rng.random() * 0.6;
+            scale.set(size, size * (0.8 + rng.random() * 0.4), size);
+            
+            matrix.compose(position, rotation, scale);
+            mesh.setMatrixAt(count, matrix);
+            mesh.setColorAt(count, color.copy(rng.pick(shades)));
+            count++;
+          }
+        }
+      }
+      
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      mesh.computeBoundingSphere();
+      mesh.castShadow = false;
+      mesh.receiveShadow = false;
+      
+      // Remember the chunk center for distance culling
+      mesh.userData.center = new THREE.Vector3(chunk.minX + chunk.size / 2, 0, chunk.minZ + chunk.size / 2);
+      mesh.userData.radius = chunk.size * Math.SQRT1_2;
+      
+      meshes.add(mesh);
+      mesh.addEventListener('dispose', () => meshes.delete(mesh));
+      
+      return mesh;
+    },
+    
+    // Updates pushers and hides chunks beyond the grass range
+    update: (delta, camera, pushers) => {
+      // Feet and hands bend the grass around them
+      for (let i = 0; i < MAX_PUSHERS; i++) {
+        if (pushers && pushers[i]) {
+          uniforms.grassPushers.value[i].copy(pushers[i]);
+        } else {
+          uniforms.grassPushers.value[i].set(0, -1000, 0);
+        }
+      }
+      
+      // Skip whole chunks that are entirely past the fade-out distance
+      meshes.forEach((mesh) => {
+        chunkCenter.copy(mesh.userData.center);
+        chunkCenter.y = camera.position.y;
+        mesh.visible = chunkCenter.distanceTo(camera.position) - mesh.userData.radius < config.maxDistance;
+      });
+    }
+  };
+}
+
+/**
+ * Creates a tapered grass blade with a few segments so it can bend
+ * Normals point up so blades are lit like the ground they stand on.
+ */
+function createBladeGeometry() {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  
+  for (let i = 0; i <= BLADE_SEGMENTS; i++) {
+    const t = i / BLADE_SEGMENTS;
+    const halfWidth = BLADE_WIDTH * (1 - t) * 0.5;
+    const y = t * BLADE_HEIGHT;
+    
+    if (i === BLADE_SEGMENTS) {
+      // Single tip vertex
+      positions.push(0, y, 0);
+      normals.push(0, 1, 0);
+    } else {
+      positions.push(-halfWidth, y, 0, halfWidth, y, 0);
+      normals.push(0, 1, 0, 0, 1, 0);
+    }
+  }
+  
+  // Quads between segments, then the tip triangle
+  for (let i = 0; i < BLADE_SEGMENTS - 1; i++) {
+    const a = i * 2;
+    indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+  }
+  const last = (BLADE_SEGMENTS - 1) * 2;
+  indices.push(last, last + 1, last + 2);
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setIndex(indices);
+  
+  return geometry;
+}
+
+/**
+ * Creates the grass material with wind sway, push-away bending, distance thinning
+ * and the seasons
+ * Lambert keeps lighting cheap for tens of thousands of blades.
+ */
+function createGrassMaterial(uniforms) {
+  const material = new THREE.MeshLambertMaterial({
+    color: 0xffffff,
+    side: THREE.DoubleSide
+  });
+  
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `
+        #include <common>
+        ${WIND_SHADER}
+        uniform vec3 grassPushers[${MAX_PUSHERS}];
+        uniform float grassPushRadius;
+        uniform float grassFullDensity;
+        uniform float grassMaxDistance;
+        varying float vGrassTip;
+      `)
+      .replace('#include <project_vertex>', `
+        vec4 grassBase = modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+        vec4 grassWorld = modelMatrix * instanceMatrix * vec4(transformed, 1.0);
+        float tip = position.y / ${BLADE_HEIGHT.toFixed(2)};
+        float bend = tip * tip;
+        vGrassTip = tip;
+        
+        // Thin out with distance: each blade has a stable rank and fades out when the
+        // allowed density drops below it
+        float rank = fract(sin(dot(grassBase.xz, vec2(12.9898, 78.233))) * 43758.5453);
+        float cameraDistance = distance(cameraPosition.xz, grassBase.xz);
+        float density = 1.0 - smoothstep(grassFullDensity, grassMaxDistance, cameraDistance);
+        float keep = smoothstep(0.0, 0.1, density - rank);
+        grassWorld.xyz = mix(grassBase.xyz, grassWorld.xyz, keep);
+        
+        // Wind sway, stronger where a gust front rolls across the field
+        float phase = dot(grassBase.xz, windDirection) * 0.35;
+        float sway = sin(windTime * 2.2 + phase) * 0.5 + 0.5;
+        vec2 offset = windDirection * windAt(grassBase.xz) * (0.3 + 0.4 * sway) * bend;
+        
+        // Bend away from feet and hands
+        for (int i = 0; i < ${MAX_PUSHERS}; i++) {
+          vec2 away = grassBase.xz - grassPushers[i].xz;
+          float reach = 1.0 - smoothstep(0.0, grassPushRadius, length(away));
+          float heightReach = 1.0 - smoothstep(0.3, 1.2, abs(grassPushers[i].y - grassBase.y));
+          offset += normalize(away + vec2(0.0001)) * reach * heightReach * 0.5 * bend;
+        }
+        
+        // Shorten the blade as it bends so it keeps its length
+        grassWorld.xz += offset * keep;
+        grassWorld.y -= length(offset) * 0.5 * keep;
+        
+        vec4 mvPosition = viewMatrix * grassWorld;
+        gl_Position = projectionMatrix * mvPosition;
+      `);
+    
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `
+        #include <common>
+        varying float vGrassTip;
+      `)
+      .replace('#include <color_fragment>', `
+        #include <color_fragment>
+        diffuseColor.rgb *= mix(0.55, 1.0, vGrassTip);
+      `);
+  };
+  
+  // Blades take the ground's seasonal tint and snow
+  return applySeasonalLook(material, { tint: true, snow: true });
+}
@@ -0,0 +1,355 @@
+import * as THREE from 'three';
+
+// Names shown on the pouch counter per ornament type
+const HARVEST_LABELS = {
+  fruit: 'Fruit',
+  pineCone: 'Cones',
+  leaf: 'Leaves'
+};
+
+// Loose items lying around the world before the oldest disappear
+const MAX_LOOSE_ITEMS = 30;
+
+// Where a held item sits in the hand
+const PALM_OFFSET = new THREE.Vector3(0, -0.02, -0.06);
+
+const GRAVITY = 9.8;
+
+// Ornament meshes of loaded chunks, and the spots picked clean (key -> in-game
+// day they regrow on). Chunks rebuilt before then come back with those spots
+// still empty.
+const ornamentMeshes = new Set();
+const harvested = new Map();
+
+/**
+ * Lets a chunk's ornament mesh be harvested
+ * Called by the tree batches for every instanced ornament; spots picked
+ * earlier stay empty until they regrow.
+ * @param {THREE.InstancedMesh} mesh - Ornaments of one material in one chunk
+ */
+export function registerOrnaments(mesh) {
+  mesh.userData.hiddenOrnaments = new Map();
+  ornamentMeshes.add(mesh);
+  mesh.addEventListener('dispose', () => ornamentMeshes.delete(mesh));
+  
+  if (harvested.size === 0) return;
+  
+  const matrix = new THREE.Matrix4();
+  for (let i = 0; i < mesh.count; i++) {
+    mesh.getMatrixAt(i, matrix);
+    if (harvested.has(ornamentKey(matrix))) {
+      hideOrnament(mesh, i, matrix);
+    }
+  }
+}
+
+/**
+ * Identifies an ornament by where it hangs on the ground plane, which stays
+ * put when chunks are rebuilt or the ground under its tree is sculpted
+ */
+function ornamentKey(matrix) {
+  return `${matrix.elements[12].toFixed(2)},${matrix.elements[14].toFixed(2)}`;
+}
+
+/**
+ * Shrinks an instance to nothing, keeping its position so the terrain can
+ * still move it, and remembers its shape for when it regrows
+ */
+function hideOrnament(mesh, index, matrix) {
+  mesh.userData.hiddenOrnaments.set(index, { key: ornamentKey(matrix), matrix: matrix.clone() });
+  
+  const hidden = new THREE.Matrix4().makeScale(0, 0, 0).copyPosition(matrix);
+  mesh.setMatrixAt(index, hidden);
+  mesh.instanceMatrix.needsUpdate = true;
+}
+
+function showOrnament(mesh, index) {
+  const current = new THREE.Matrix4();
+  mesh.getMatrixAt(index, current);
+  
+  const { matrix } = mesh.userData.hiddenOrnaments.get(index);
+  mesh.setMatrixAt(index, matrix.copyPosition(current));
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.userData.hiddenOrnaments.delete(index);
+}
+
+/**
+ * Creates the harvesting system
+ * Squeezing (or pulling the trigger) with a hand near a glowing fruit, pine
+ * cone or leaf picks it off its tree into that hand. Letting go drops or
+ * throws it with the hand's motion, and letting go over the pouch on the
+ * player's hip stores it and counts it. Picked ornaments regrow after a set
+ * in-game time; thrown items can be picked up again.
+ * @param {THREE.Object3D} parent - Where dropped and thrown items go (usually the scene)
+ * @param {THREE.Group} terrain - Terrain group providing getHeightAt(x, z)
+ * @param {Object} config - Harvest settings (see worldConfig.harvest)
+ * @returns {Object} Harvest system with pouch, grab, release, update and getCounts
+ */
+export function createHarvest(parent, terrain, config) {
+  const counts = Object.fromEntries(Object.keys(HARVEST_LABELS).map((type) => [type, 0]));
+  const held = new Map(); // hand -> item
+  const loose = [];
+  const hands = new Map(); // hand -> { position, velocity }
+  const itemMaterials = new Map();
+  
+  const matrix = new THREE.Matrix4();
+  const worldMatrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const handPosition = new THREE.Vector3();
+  const pouchPosition = new THREE.Vector3();
+  
+  const pouch = createPouch();
+  const updateCounter = () => drawCounter(pouch.userData.counter, counts);
+  updateCounter();
+  
+  // Plain copy of an ornament's look for items out of the trees' batches
+  const getItemMaterial = (material) => {
+    if (!itemMaterials.has(material)) {
+      itemMaterials.set(material, new THREE.MeshStandardMaterial({
+        color: material.color,
+        emissive: material.emissive,
+        emissiveIntensity: material.emissiveIntensity,
+        roughness: material.roughness,
+        metalness: material.metalness
+      }));
+    }
+    return itemMaterials.get(material);
+  };
+  
+  // Picks the nearest ornament within reach of a point off its tree, or returns null
+  const pickOrnament = (point, day) => {
+    let nearest = null;
+    let nearestDistance = config.reach;
+    
+    ornamentMeshes.forEach((mesh) => {
+      if (!mesh.visible) return;
+      if (!mesh.boundingSphere) mesh.computeBoundingSphere();
+      if (mesh.boundingSphere.distanceToPoint(point) > config.reach) return;
+      
+      for (let i = 0; i < mesh.count; i++) {
+        if (mesh.userData.hiddenOrnaments.has(i)) continue;
+        
+        mesh.getMatrixAt(i, matrix);
+        position.setFromMatrixPosition(worldMatrix.multiplyMatrices(mesh.matrixWorld, matrix));
+        const distance = position.distanceTo(point);
+        if (distance < nearestDistance) {
+          nearest = { mesh: mesh, index: i };
+          nearestDistance = distance;
+        }
+      }
+    });
+    
+    if (!nearest) return null;
+    
+    const { mesh, index } = nearest;
+    mesh.getMatrixAt(index, matrix);
+    worldMatrix.multiplyMatrices(mesh.matrixWorld, matrix);
+    
+    const item = new THREE.Mesh(mesh.geometry.clone(), getItemMaterial(mesh.material));
+    item.geometry.deleteAttribute('anchor');
+    worldMatrix.decompose(item.position, item.quaternion, item.scale);
+    item.layers.mask = mesh.layers.mask;
+    item.castShadow = true;
+    item.geometry.computeBoundingSphere();
+    item.userData.radius = item.geometry.boundingSphere.radius * item.scale.y;
+    item.userData.type = mesh.material.userData.harvest;
+    item.userData.velocity = new THREE.Vector3();
+    
+    // The spot starts regrowing the moment the ornament leaves it
+    hideOrnament(mesh, index, matrix);
+    harvested.set(ornamentKey(matrix), day + config.regrowHours / 24);
+    return item;
+  };
+  
+  // Takes back a loose item within reach of a point, or returns null
+  const pickLoose = (point) => {
+    let nearestIndex = -1;
+    let nearestDistance = config.reach;
+    loose.forEach((item, index) => {
+      const distance = item.position.distanceTo(point);
+      if (distance < nearestDistance) {
+        nearestIndex = index;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearestIndex === -1 ? null : loose.splice(nearestIndex, 1)[0];
+  };
+  
+  const removeItem = (item) => {
+    item.removeFromParent();
+    item.geometry.dispose();
+  };
+  
+  return {
+    // Pouch with its counter, to be hung on the player's hip
+    pouch: pouch,
+    
+    /**
+     * Picks the nearest loose item or ornament within reach into a hand
+     * @param {THREE.Object3D} hand - The hand grabbing
+     * @param {number} day - In-game days elapsed, including the fraction of the current day
+     * @returns {boolean} Whether something was picked up
+     */
+    grab: (hand, day) => {
+      if (held.has(hand)) return false;
+      
+      hand.getWorldPosition(handPosition);
+      const item = pickLoose(handPosition) || pickOrnament(handPosition, day);
+      if (!item) return false;
+      
+      hand.add(item);
+      item.position.copy(PALM_OFFSET);
+      item.quaternion.identity();
+      item.scale.divide(hand.getWorldScale(position));
+      held.set(hand, item);
+      return true;
+    },
+    
+    /**
+     * Lets go of what a hand holds: into the pouch when over it, else dropped
+     * or thrown with the hand's motion
+     * @param {THREE.Object3D} hand - The hand letting go
+     */
+    release: (hand) => {
+      const item = held.get(hand);
+      if (!item) return;
+      held.delete(hand);
+      
+      pouch.getWorldPosition(pouchPosition);
+      if (item.getWorldPosition(position).distanceTo(pouchPosition) < config.pouchReach) {
+        counts[item.userData.type]++;
+        updateCounter();
+        removeItem(item);
+        return;
+      }
+      
+      // Hand it over to the world, flying off as fast as the hand moved
+      parent.attach(item);
+      const motion = hands.get(hand);
+      item.userData.velocity.set(0, 0, 0);
+      if (motion) {
+        item.userData.velocity.copy(motion.velocity);
+      }
+      item.userData.resting = false;
+      loose.push(item);
+      
+      if (loose.length > MAX_LOOSE_ITEMS) {
+        removeItem(loose.shift());
+      }
+    },
+    
+    /**
+     * Follows the hands' motion, moves loose items and regrows ornaments whose time has come
+     * @param {number} delta - Seconds since the last update
+     * @param {number} day - In-game days elapsed, including the fraction of the current day
+     * @param {Array} handObjects - The player's hands
+     */
+    update: (delta, day, handObjects) => {
+      if (delta <= 0) return;
+      
+      // Smoothed hand velocities for throwing
+      handObjects.forEach((hand) => {
+        hand.getWorldPosition(handPosition);
+        if (!hands.has(hand)) {
+          hands.set(hand, { position: handPosition.clone(), velocity: new THREE.Vector3() });
+        }
+        const motion = hands.get(hand);
+        position.subVectors(handPosition, motion.position).divideScalar(delta);
+        motion.velocity.lerp(position, Math.min(1, delta * 20));
+        motion.position.copy(handPosition);
+      });
+      
+      // Loose items fall, bounce off the ground and roll to a stop
+      loose.forEach((item) => {
+        if (item.userData.resting) return;
+        
+        const velocity = item.userData.velocity;
+        velocity.y -= GRAVITY * delta;
+        item.position.addScaledVector(velocity, delta);
+        
+        const ground = terrain.getHeightAt(item.position.x, item.position.z) + item.userData.radius;
+        if (item.position.y < ground) {
+          item.position.y = ground;
+          velocity.y = Math.abs(velocity.y) * 0.3;
+          velocity.x *= 0.6;
+          velocity.z *= 0.6;
+          item.userData.resting = velocity.lengthSq() < 0.01;
+        }
+      });
+      
+      // Regrow ornaments whose time has come
+      const regrown = [];
+      harvested.forEach((regrowDay, key) => {
+        if (day >= regrowDay) regrown.push(key);
+      });
+      if (regrown.length === 0) return;
+      
+      regrown.forEach((key) => harvested.delete(key));
+      ornamentMeshes.forEach((mesh) => {
+        mesh.userData.hiddenOrnaments.forEach(({ key }, index) => {
+          if (regrown.includes(key)) showOrnament(mesh, index);
+        });
+      });
+    },
+    
+    // Number of items stored in the pouch per type (fruit, pineCone, leaf)
+    getCounts: () => ({ ...counts })
+  };
+}
+
+/**
+ * Creates the pouch with a counter label above it
+ */
+function createPouch() {
+  const pouch = new THREE.Group();
+  
+  const bag = new THREE.Mesh(
+    new THREE.SphereGeometry(0.09, 8, 6),
+    new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.9, flatShading: true })
+  );
+  bag.scale.set(1, 1.2, 0.7);
+  bag.castShadow = true;
+  pouch.add(bag);
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  
+  const counter = new THREE.Mesh(
+    new THREE.PlaneGeometry(0.24, 0.06),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+  );
+  counter.position.set(0, 0.16, 0);
+  counter.rotation.x = -Math.PI / 4;
+  counter.userData.canvas = canvas;
+  pouch.add(counter);
+  pouch.userData.counter = counter;
+  
+  return pouch;
+}
+
+/**
+ * Draws the collected counts onto the pouch label
+ */
+function drawCounter(counter, counts) {
+  const canvas = counter.userData.canvas;
+  const context = canvas.getContext('2d');
+  
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#ffffff';
+  context.font = '22px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(
+    Object.entries(HARVEST_LABELS).map(([type, label]) => `${label} ${counts[type]}`).join('  '),
+    canvas.width / 2,
+    canvas.height / 2
+  );
+  
+  counter.material.map.needsUpdate = true;
+}
@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { BIOMES } from './biomes.js';
+import { decodePng, isPng } from '../utils/png.js';
+
+const BIOME_IDS = Object.keys(BIOMES);
+
+/**
+ * Loads a hand-authored heightmap and optional splat map
+ * The image covers a square of worldSize units centred on the spawn point;
+ * beyond its edges the border heights continue outwards. Heights come from
+ * 8/16-bit PNGs (first channel, normalized to 0..1), raw little-endian Uint16
+ * files (normalized to 0..1) or raw Float32 files (used as-is), and are mapped
+ * to baseHeight + value * heightScale.
+ * @param {Object|null} config - Heightmap settings (see worldConfig.terrain.heightmap)
+ * @returns {Promise<Object|null>} Height source with cellSize, sampleHeight(x, z)
+ *   and splat (or null), or null when no heightmap is configured
+ */
+export async function loadHeightmap(config) {
+  if (!config) {
+    return null;
+  }
+  
+  const grid = await loadElevationGrid(config);
+  const baseHeight = config.baseHeight || 0;
+  const heightScale = config.heightScale === undefined ? 1 : config.heightScale;
+  
+  const heightmap = {
+    worldSize: config.worldSize,
+    cellSize: config.worldSize / config.segments,
+    sampleHeight: (x, z) => baseHeight + sampleGrid(grid, x, z, config.worldSize) * heightScale,
+    splat: null
+  };
+  
+  if (config.splatmap) {
+    heightmap.splat = await loadSplatMap(config.splatmap, config.worldSize);
+  }
+  
+  return heightmap;
+}
+
+/**
+ * Fetches a file from public/ as an ArrayBuffer
+ */
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url} (${response.status})`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Guesses the elevation format from the file extension
+ */
+function guessFormat(url) {
+  if (/\.(f32|r32)$/i.test(url)) return 'float32';
+  if (/\.(r16|raw)$/i.test(url)) return 'uint16';
+  return 'image';
+}
+
+/**
+ * Loads the elevation samples into a row-major grid
+ * @returns {Promise<Object>} Grid with width, height and values (Float32Array)
+ */
+async function loadElevationGrid(config) {
+  const buffer = await fetchBuffer(config.url);
+  const format = config.format || guessFormat(config.url);
+  
+  if (format === 'image') {
+    const image = await decodeImage(buffer);
+    const maxValue = (1 << image.bitDepth) - 1;
+    const values = new Float32Array(image.width * image.height);
+    
+    // Grayscale lives in the first channel of every pixel
+    for (let i = 0; i < values.length; i++) {
+      values[i] = image.data[i * image.channels] / maxValue;
+    }
+    
+    return { width: image.width, height: image.height, values: values };
+  }
+  
+  let values;
+  if (format === 'float32') {
+    values = new Float32Array(buffer.byteLength / 4);
+    const view = new DataView(buffer);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view.getFloat32(i * 4, true);
+    }
+  } else if (format === 'uint16') {
+    values = new Float32Array(buffer.byteLength / 2);
+    const view = new DataView(buffer);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view.getUint16(i * 2, true) / 65535;
+    }
+  } else {
+    throw new Error(`Unknown heightmap format "${format}"`);
+  }
+  
+  // Raw files carry no header, so square grids are assumed unless a resolution is given
+  const [width, height] = config.resolution || [Math.sqrt(values.length), Math.sqrt(values.length)];
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width * height !== values.length) {
+    throw new Error(`${config.url} holds ${values.length} samples; set resolution: [width, height]`);
+  }
+  
+  return { width: width, height: height, values: values };
+}
+
+/**
+ * Decodes an image file into per-channel samples
+ * PNGs are decoded at full bit depth; anything else goes through a canvas at 8 bits.
+ */
+async function decodeImage(buffer) {
+  if (isPng(buffer)) {
+    try {
+      return await decodePng(buffer);
+    } catch (error) {
+      console.warn(`${error.message}, decoding at 8 bits instead`);
+    }
+  }
+  
+  const bitmap = await createImageBitmap(new Blob([buffer]));
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    channels: 4,
+    bitDepth: 8,
+    data: context.getImageData(0, 0, canvas.width, canvas.height).data
+  };
+}
+
+/**
+ * Maps a world position onto continuous texel coordinates
+ * Texel (0, 0) is the north-west (-x, -z) corner of the covered square.
+ */
+function toTexel(x, z, width, height, worldSize) {
+  return {
+    u: (x / worldSize + 0.5) * (width - 1),
+    v: (z / worldSize + 0.5) * (height - 1)
+  };
+}
+
+/**
+ * Bilinearly samples the grid, clamping to its border
+ */
+function sampleGrid(grid, x, z, worldSize) {
+  const { u, v } = toTexel(x, z, grid.width, grid.height, worldSize);
+  const cu = THREE.MathUtils.clamp(u, 0, grid.width - 1);
+  const cv = THREE.MathUtils.clamp(v, 0, grid.height - 1);
+  const x0 = Math.min(Math.floor(cu), grid.width - 2);
+  const y0 = Math.min(Math.floor(cv), grid.height - 2);
+  const fx = cu - x0;
+  const fy = cv - y0;
+  
+  const top = grid.values[y0 * grid.width + x0] * (1 - fx) + grid.values[y0 * grid.width + x0 + 1] * fx;
+  const bottom = grid.values[(y0 + 1) * grid.width + x0] * (1 - fx) + grid.values[(y0 + 1) * grid.width + x0 + 1] * fx;
+  
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Loads a splat map whose texel colors select biomes
+ * Each texel is assigned the biome with the nearest splatColor, and weights
+ * blend bilinearly between neighbouring texels so borders stay soft.
+ * @returns {Promise<Object>} Splat map with sampleWeights(x, z), which returns
+ *   biome weights or null outside the covered square
+ */
+async function loadSplatMap(url, worldSize) {
+  const image = await decodeImage(await fetchBuffer(url));
+  const maxValue = (1 << image.bitDepth) - 1;
+  const texelBiomes = new Uint8Array(image.width * image.height);
+  
+  // Compare in the image's own color space, so no color management here
+  const splatColors = BIOME_IDS.map((id) => {
+    const hex = BIOMES[id].splatColor;
+    return { r: (hex >> 16 & 0xff) / 255, g: (hex >> 8 & 0xff) / 255, b: (hex & 0xff) / 255 };
+  });
+  
+  // Classify every texel once up front
+  for (let i = 0; i < texelBiomes.length; i++) {
+    const offset = i * image.channels;
+    const r = image.data[offset] / maxValue;
+    const g = image.channels >= 3 ? image.data[offset + 1] / maxValue : r;
+    const b = image.channels >= 3 ? image.data[offset + 2] / maxValue : r;
+    
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    splatColors.forEach((color, index) => {
+      const distance = (color.r - r) ** 2 + (color.g - g) ** 2 + (color.b - b) ** 2;
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+    texelBiomes[i] = nearest;
+  }
+  
+  const half = worldSize / 2;
+  
+  return {
+    sampleWeights: (x, z) => {
+      if (x < -half || x > half || z < -half || z > half) {
+        return null;
+      }
+      
+      const { u, v } = toTexel(x, z, image.width, image.height, worldSize);
+      const x0 = Math.min(Math.floor(u), image.width - 2);
+      const y0 = Math.min(Math.floor(v), image.height - 2);
+      const fx = u - x0;
+      const fy = v - y0;
+      
+      const weights = {};
+      BIOME_IDS.forEach((id) => {
+        weights[id] = 0;
+      });
+      weights[BIOME_IDS[texelBiomes[y0 * image.width + x0]]] += (1 - fx) * (1 - fy);
+      weights[BIOME_IDS[texelBiomes[y0 * image.width + x0 + 1]]] += fx * (1 - fy);
+      weights[BIOME_IDS[texelBiomes[(y0 + 1) * image.width + x0]]] += (1 - fx) * fy;
+      weights[BIOME_IDS[texelBiomes[(y0 + 1) * image.width + x0 + 1]]] += fx * fy;
+      
+      return weights;
+    }
+  };
+}
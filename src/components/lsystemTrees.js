@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// Longest word a rule set may grow; further iterations are skipped past it
+const MAX_SYMBOLS = 20000;
+
+// Branches never get thinner than this
+const MIN_RADIUS = 0.02;
+
+// Values used where a rule set leaves a setting out
+const RULE_SET_DEFAULTS = {
+  weight: 1,
+  iterations: 3,
+  angle: 25,
+  angleJitter: 0,
+  segmentLength: 1,
+  lengthScale: 0.8,
+  radius: 0.25,
+  radiusScale: 0.6,
+  taper: 0.9,
+  tropism: 0,
+  sides: 5
+};
+
+const LEAF_DEFAULTS = {
+  shape: 'cluster',
+  size: 0.8,
+  sizeJitter: 0.2
+};
+
+// Turtle rotation axes in its own frame: it heads along +Y
+const TURN_AXIS = new THREE.Vector3(0, 0, 1);
+const PITCH_AXIS = new THREE.Vector3(1, 0, 0);
+const ROLL_AXIS = new THREE.Vector3(0, 1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Loads the L-system rule sets listed in a manifest
+ * The manifest is JSON of the form { "ruleSets": ["oak.json", ...] } with
+ * files relative to the manifest. Each file describes one kind of tree:
+ * - name: unique id
+ * - species: the species it stands in for (pine, broadleaf or simple), which
+ *   decides where it grows and the foliage material it uses
+ * - weight: how often it replaces that species' built-in tree (which has weight 1)
+ * - axiom and rules: the start word and its rewrite rules; a rule is a
+ *   successor string or a list of { successor, weight } picked at random
+ * - iterations, angle and angleJitter (degrees), segmentLength, lengthScale and
+ *   radiusScale (applied per branch level), radius, taper (per segment),
+ *   tropism (bend towards the sky per segment; negative droops) and sides
+ * - leaves: { shape: "cluster" or "cone", size, sizeJitter }
+ * Turtle symbols are F (grow a branch segment), L (leaf cluster), + and -
+ * (turn), & and ^ (pitch), / and \ (roll), and [ and ] (start and end a
+ * thinner, shorter side branch); other letters only take part in rewriting.
+ * Files that are missing or invalid are skipped with a warning.
+ * @param {string} manifestUrl - Manifest path under public/
+ * @returns {Promise<Array>} Resolves with the rule sets, defaults filled in
+ */
+export function loadRuleSets(manifestUrl) {
+  const basePath = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+  const loader = new THREE.FileLoader().setResponseType('json');
+  
+  return loader.loadAsync(manifestUrl)
+    .catch((error) => {
+      console.warn(`Tree rule set manifest ${manifestUrl} could not be loaded, using built-in trees only:`, error);
+      return { ruleSets: [] };
+    })
+    .then((manifest) => Promise.all(manifest.ruleSets.map((file) => loader.loadAsync(basePath + file)
+      .then((data) => readRuleSet(data))
+      .catch((error) => {
+        console.warn(`Tree rule set ${file} could not be loaded:`, error);
+        return null;
+      })
+    )))
+    .then((ruleSets) => ruleSets.filter(Boolean));
+}
+
+/**
+ * Checks a rule set and fills in its defaults
+ */
+function readRuleSet(data) {
+  if (typeof data.name !== 'string' || typeof data.species !== 'string') {
+    throw new Error('A rule set needs a name and a species');
+  }
+  if (typeof data.axiom !== 'string' || typeof data.rules !== 'object') {
+    throw new Error(`Rule set "${data.name}" needs an axiom and rules`);
+  }
+  
+  // Every rule becomes a list of weighted successors
+  const rules = {};
+  Object.entries(data.rules).forEach(([symbol, rule]) => {
+    if (symbol.length !== 1) {
+      throw new Error(`Rule set "${data.name}" rewrites "${symbol}", which is not a single symbol`);
+    }
+    rules[symbol] = typeof rule === 'string'
+      ? [{ successor: rule, weight: 1 }]
+      : rule.map(({ successor, weight = 1 }) => ({ successor: successor, weight: weight }));
+  });
+  
+  return {
+    ...RULE_SET_DEFAULTS,
+    ...data,
+    rules: rules,
+    leaves: { ...LEAF_DEFAULTS, ...data.leaves }
+  };
+}
+
+/**
+ * Rewrites a rule set's axiom for a number of iterations
+ */
+function expandRuleSet(ruleSet, iterations, rng) {
+  let word = ruleSet.axiom;
+  
+  for (let i = 0; i < iterations; i++) {
+    let next = '';
+    for (const symbol of word) {
+      const rule = ruleSet.rules[symbol];
+      next += rule ? pickSuccessor(rule, rng) : symbol;
+    }
+    
+    // Runaway rules stop growing rather than freezing the world
+    if (next.length > MAX_SYMBOLS) break;
+    word = next;
+  }
+  
+  return word;
+}
+
+function pickSuccessor(rule, rng) {
+  if (rule.length === 1) return rule[0].successor;
+  
+  const total = rule.reduce((sum, { weight }) => sum + weight, 0);
+  let threshold = rng.random() * total;
+  for (const { successor, weight } of rule) {
+    threshold -= weight;
+    if (threshold < 0) return successor;
+  }
+  return rule[rule.length - 1].successor;
+}
+
+/**
+ * Grows a tree from a rule set
+ * A turtle walks the rewritten word from the base of the trunk, leaving a
+ * tapered cylinder for every segment and a low-poly cluster for every leaf.
+ * Branch and leaf parts are merged into one mesh each.
+ * @param {Object} ruleSet - Rule set from loadRuleSets
+ * @param {Object} rng - Random stream for stochastic rules and jitter
+ * @param {Object} materials - trunk and foliage materials
+ * @param {string} detail - 'full', or 'simplified' for fewer sides and coarser leaves
+ * @returns {THREE.Group} The tree, standing on the origin
+ */
+export function growLSystemTree(ruleSet, rng, materials, detail = 'full') {
+  const simplified = detail === 'simplified';
+  const sides = simplified ? 3 : ruleSet.sides;
+  const word = expandRuleSet(ruleSet, ruleSet.iterations, rng);
+  
+  const branches = [];
+  const leaves = [];
+  const stack = [];
+  const rotation = new THREE.Quaternion();
+  const heading = new THREE.Vector3();
+  const axis = new THREE.Vector3();
+  const matrix = new THREE.Matrix4();
+  const unitScale = new THREE.Vector3(1, 1, 1);
+  
+  let turtle = {
+    position: new THREE.Vector3(),
+    orientation: new THREE.Quaternion(),
+    length: ruleSet.segmentLength,
+    radius: ruleSet.radius
+  };
+  
+  // Rotates the turtle about one of its own axes by the rule set's angle
+  const rotate = (localAxis, sign) => {
+    const jitter = (rng.random() - 0.5) * 2 * ruleSet.angleJitter;
+    rotation.setFromAxisAngle(localAxis, sign * THREE.MathUtils.degToRad(ruleSet.angle + jitter));
+    turtle.orientation.multiply(rotation);
+  };
+  
+  for (const symbol of word) {
+    switch (symbol) {
+      case 'F': {
+        // Segments overlap a little at the bottom so bends leave no gaps
+        const top = Math.max(MIN_RADIUS, turtle.radius * ruleSet.taper);
+        const overlap = turtle.radius * 0.5;
+        const segment = new THREE.CylinderGeometry(top, turtle.radius, turtle.length + overlap, sides, 1, true);
+        segment.translate(0, (turtle.length - overlap) / 2, 0);
+        branches.push(segment.applyMatrix4(matrix.compose(turtle.position, turtle.orientation, unitScale)));
+        
+        heading.copy(ROLL_AXIS).applyQuaternion(turtle.orientation);
+        turtle.position.addScaledVector(heading, turtle.length);
+        turtle.radius = top;
+        
+        // Bend towards the sky (or droop) a little after every segment
+        axis.crossVectors(heading, UP);
+        if (ruleSet.tropism !== 0 && axis.lengthSq() > 1e-8) {
+          rotation.setFromAxisAngle(axis.normalize(), ruleSet.tropism * heading.angleTo(UP));
+          turtle.orientation.premultiply(rotation);
+        }
+        break;
+      }
+      case 'L':
+        leaves.push(createLeafCluster(ruleSet.leaves, turtle, rng, simplified));
+        break;
+      case '+': rotate(TURN_AXIS, 1); break;
+      case '-': rotate(TURN_AXIS, -1); break;
+      case '&': rotate(PITCH_AXIS, 1); break;
+      case '^': rotate(PITCH_AXIS, -1); break;
+      case '/': rotate(ROLL_AXIS, 1); break;
+      case '\\': rotate(ROLL_AXIS, -1); break;
+      case '[':
+        stack.push(turtle);
+        turtle = {
+          position: turtle.position.clone(),
+          orientation: turtle.orientation.clone(),
+          length: turtle.length * ruleSet.lengthScale,
+          radius: Math.max(MIN_RADIUS, turtle.radius * ruleSet.radiusScale)
+        };
+        break;
+      case ']':
+        // Unbalanced brackets end the branch without losing the trunk
+        turtle = stack.pop() || turtle;
+        break;
+    }
+  }
+  
+  const treeGroup = new THREE.Group();
+  [[branches, materials.trunk], [leaves, materials.foliage]].forEach(([geometries, material]) => {
+    if (geometries.length === 0) return;
+    
+    const mesh = new THREE.Mesh(mergeGeometries(geometries), material);
+    geometries.forEach((geometry) => geometry.dispose());
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    treeGroup.add(mesh);
+  });
+  
+  return treeGroup;
+}
+
+/**
+ * Creates one leaf cluster at the turtle: a jittered blob, or an upright cone
+ * for conifers
+ */
+function createLeafCluster(leaves, turtle, rng, simplified) {
+  const size = leaves.size * (1 + (rng.random() - 0.5) * 2 * leaves.sizeJitter);
+  const heading = ROLL_AXIS.clone().applyQuaternion(turtle.orientation);
+  let geometry;
+  
+  if (leaves.shape === 'cone') {
+    geometry = new THREE.ConeGeometry(size, size * 1.5, simplified ? 4 : 6, 1);
+    geometry.rotateY(rng.random() * Math.PI * 2);
+    geometry.translate(turtle.position.x, turtle.position.y + size * 0.5, turtle.position.z);
+  } else {
+    geometry = simplified ? new THREE.SphereGeometry(size, 4, 2) : new THREE.SphereGeometry(size, 6, 4);
+    
+    // Lumpy rather than round
+    const vertices = geometry.attributes.position.array;
+    for (let i = 0; i < vertices.length; i += 3) {
+      vertices[i] += (rng.random() - 0.5) * size * 0.3;
+      vertices[i + 1] += (rng.random() - 0.5) * size * 0.3;
+      vertices[i + 2] += (rng.random() - 0.5) * size * 0.3;
+    }
+    geometry.computeVertexNormals();
+    geometry.translate(
+      turtle.position.x + heading.x * size * 0.5,
+      turtle.position.y + heading.y * size * 0.5,
+      turtle.position.z + heading.z * size * 0.5
+    );
+  }
+  
+  return geometry;
+}
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+
+// Distance from the viewer, inside the star field
+const MOON_DISTANCE = 400;
+
+// Light the dark side still catches from the earth
+const EARTHSHINE = 0.05;
+
+// Dark patches (maria) on the surface: how many and their angular radius
+const MARIA_COUNT = 5;
+const MARIA_RADIUS = 0.45;
+
+/**
+ * Creates the moon
+ * A faceted low-poly ball with darker patches, lit from the sun so it shows
+ * its phase. The phase runs from new (0) through full (0.5) over
+ * config.cycleDays in-game days. The moon crosses the sky on its own tilted
+ * path, or on the sun's path under a real sky, falling a little further
+ * behind the sun every day, so a full moon rises at sunset and a new moon
+ * keeps to the daytime sky.
+ * @param {Object} rng - Random stream for the surface
+ * @param {Object} config - Moon settings (see worldConfig.dayNight.moon)
+ * @returns {Object} Moon with mesh, direction (unit, towards the moon),
+ *   update, getPhase, getIllumination and getLight
+ */
+export function createMoon(rng, config) {
+  const uniforms = {
+    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+    // The shader writes display colors, so the configured color is taken as is
+    moonColor: { value: new THREE.Color().setStyle(config.color, THREE.LinearSRGBColorSpace) },
+    visibility: { value: 1 }
+  };
+  
+  const mesh = new THREE.Mesh(createMoonGeometry(rng, config.size), createMoonMaterial(uniforms));
+  
+  const direction = new THREE.Vector3(0, -1, 0);
+  const tilt = THREE.MathUtils.degToRad(config.tilt);
+  let phase = config.startPhase;
+  
+  // Lit share of the disc as seen from the ground (0-1)
+  const illumination = () => (1 - Math.cos(phase * Math.PI * 2)) / 2;
+  
+  return {
+    mesh: mesh,
+    direction: direction,
+    
+    /**
+     * Moves the moon along its path and lights it from the sun
+     * @param {number} days - Days elapsed, including the fraction of the current day
+     * @param {THREE.Vector3} sunDirection - Unit direction towards the sun
+     * @param {Function} placeOnSky - Under a real sky, sets the direction of
+     *   the moon for a phase (phase, target); null keeps it on its own path
+     */
+    update: (days, sunDirection, placeOnSky = null) => {
+      phase = THREE.MathUtils.euclideanModulo(config.startPhase + days / config.cycleDays, 1);
+      
+      // Trails the sun by the phase: with the sun at new moon, opposite it at full moon
+      if (placeOnSky) {
+        placeOnSky(phase, direction);
+      } else {
+        const angle = (days - phase) * Math.PI * 2;
+        direction.set(Math.cos(angle), Math.sin(angle) * Math.cos(tilt), Math.sin(angle) * Math.sin(tilt));
+      }
+      mesh.position.copy(direction).multiplyScalar(MOON_DISTANCE);
+      
+      // Pale against the daytime sky
+      uniforms.sunDirection.value.copy(sunDirection);
+      uniforms.visibility.value = 1 - 0.7 * THREE.MathUtils.smoothstep(sunDirection.y, -0.1, 0.2);
+    },
+    
+    // Lunar phase (0-1): 0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter
+    getPhase: () => phase,
+    
+    getIllumination: illumination,
+    
+    // Share of full moonlight reaching the ground (0-1), fading out as the moon sets
+    getLight: () => illumination() * THREE.MathUtils.smoothstep(direction.y, -0.05, 0.1)
+  };
+}
+
+/**
+ * Creates the moon's faceted surface, with a shade per face and darker maria
+ */
+function createMoonGeometry(rng, size) {
+  const geometry = new THREE.IcosahedronGeometry(size, 2);
+  
+  // Separate vertices per face give flat normals
+  geometry.computeVertexNormals();
+  
+  const maria = Array.from({ length: MARIA_COUNT }, () => new THREE.Vector3(
+    rng.random() - 0.5,
+    rng.random() - 0.5,
+    rng.random() - 0.5
+  ).normalize());
+  
+  const positions = geometry.attributes.position;
+  const colors = [];
+  const center = new THREE.Vector3();
+  const corner = new THREE.Vector3();
+  
+  for (let i = 0; i < positions.count; i += 3) {
+    center.set(0, 0, 0);
+    for (let j = 0; j < 3; j++) {
+      center.add(corner.fromBufferAttribute(positions, i + j));
+    }
+    center.normalize();
+    
+    let shade = 0.85 + rng.random() * 0.15;
+    if (maria.some((mare) => center.angleTo(mare) < MARIA_RADIUS)) shade *= 0.65;
+    
+    colors.push(shade, shade, shade, shade, shade, shade, shade, shade, shade);
+  }
+  
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  return geometry;
+}
+
+/**
+ * Creates the moon material
+ * Light adds onto the sky behind it, so the unlit side vanishes by day and
+ * leaves a faint earthshine at night.
+ */
+function createMoonMaterial(uniforms) {
+  return new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: `
+      attribute vec3 color;
+      varying vec3 vNormal;
+      varying vec3 vColor;
+      
+      void main() {
+        vNormal = normalize(mat3(modelMatrix) * normal);
+        vColor = color;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 sunDirection;
+      uniform vec3 moonColor;
+      uniform float visibility;
+      varying vec3 vNormal;
+      varying vec3 vColor;
+      
+      void main() {
+        float lit = smoothstep(-0.05, 0.25, dot(normalize(vNormal), sunDirection));
+        gl_FragColor = vec4(moonColor * vColor * (lit + ${EARTHSHINE.toFixed(2)}) * visibility, 1.0);
+      }
+    `,
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false
+  });
+}
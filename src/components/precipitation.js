@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { getWind } from './wind.js';
+
+// Fall speeds in units per second, and how far the wind carries drops sideways per unit of wind speed
+const RAIN_SPEED = 14;
+const SNOW_SPEED = 1.5;
+const RAIN_DRIFT = 4;
+const SNOW_DRIFT = 3;
+
+// Length of a rain streak in units
+const STREAK_LENGTH = 0.5;
+
+// Drops pick up some of the sky's color and are paler than it
+const WHITE = new THREE.Color(1, 1, 1);
+
+/**
+ * Creates the rain and snow around the camera
+ * Drops and flakes fill a box that follows the camera. Each one falls and
+ * drifts with the wind in the vertex shader and wraps round inside the box,
+ * so the precipitation stays put in the world as the player walks through
+ * it. Rain and snow thin out with the weather's amounts.
+ * @param {Object} config - Precipitation settings (see worldConfig.weather.precipitation)
+ * @param {Object} rng - Random stream for where drops and flakes start
+ * @returns {Object} Precipitation with group and update method
+ */
+export function createPrecipitation(config, rng) {
+  const area = new THREE.Vector3(config.area, config.height, config.area);
+  
+  const createUniforms = (speed) => ({
+    time: { value: 0 },
+    center: { value: new THREE.Vector3() },
+    area: { value: area },
+    fallSpeed: { value: speed },
+    drift: { value: new THREE.Vector2() },
+    amount: { value: 0 },
+    color: { value: new THREE.Color() },
+    size: { value: config.flakeSize },
+    pixelRatio: { value: Math.min(window.devicePixelRatio, 1.5) }
+  });
+  
+  const rainUniforms = createUniforms(RAIN_SPEED);
+  const snowUniforms = createUniforms(SNOW_SPEED);
+  
+  const rain = new THREE.LineSegments(createDropGeometry(config.drops, 2, rng), createPrecipitationMaterial(rainUniforms, 'rain'));
+  const snow = new THREE.Points(createDropGeometry(config.flakes, 1, rng), createPrecipitationMaterial(snowUniforms, 'snow'));
+  
+  // Positions are worked out in the shader, so the bounds mean nothing
+  rain.frustumCulled = false;
+  snow.frustumCulled = false;
+  rain.visible = false;
+  snow.visible = false;
+  
+  const group = new THREE.Group();
+  group.add(rain, snow);
+  
+  return {
+    group: group,
+    
+    /**
+     * Moves the precipitation box to the camera and sets how much falls
+     * @param {number} delta - Seconds since the last update
+     * @param {THREE.Vector3} cameraPosition - Camera position in the world
+     * @param {Object} weather - Current weather from getWeather
+     * @param {THREE.Color} skyColor - Sky color near the horizon, which the drops pick up
+     */
+    update: (delta, cameraPosition, weather, skyColor) => {
+      const wind = getWind();
+      
+      [[rainUniforms, rain, weather.rain, RAIN_DRIFT], [snowUniforms, snow, weather.snow, SNOW_DRIFT]].forEach(([uniforms, mesh, amount, drift]) => {
+        uniforms.time.value += delta;
+        uniforms.center.value.copy(cameraPosition);
+        uniforms.drift.value.copy(wind.direction).multiplyScalar(wind.speed * drift);
+        uniforms.amount.value = amount;
+        uniforms.color.value.copy(skyColor).lerp(WHITE, 0.35).multiplyScalar(1 + weather.flash);
+        mesh.visible = amount > 0.01;
+      });
+    }
+  };
+}
+
+/**
+ * Creates drops with a random start in the unit box and a rank deciding how
+ * much precipitation it takes for them to fall; rain drops are streaks of two
+ * vertices
+ */
+function createDropGeometry(count, verticesPerDrop, rng) {
+  const positions = new Float32Array(count * verticesPerDrop * 3);
+  const ranks = new Float32Array(count * verticesPerDrop);
+  const tips = new Float32Array(count * verticesPerDrop);
+  
+  for (let i = 0; i < count; i++) {
+    const x = rng.random();
+    const y = rng.random();
+    const z = rng.random();
+    const rank = rng.random();
+    
+    for (let j = 0; j < verticesPerDrop; j++) {
+      const vertex = i * verticesPerDrop + j;
+      positions.set([x, y, z], vertex * 3);
+      ranks[vertex] = rank;
+      tips[vertex] = j;
+    }
+  }
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('rank', new THREE.BufferAttribute(ranks, 1));
+  geometry.setAttribute('tip', new THREE.BufferAttribute(tips, 1));
+  
+  return geometry;
+}
+
+/**
+ * Creates the shader for falling rain streaks or snow flakes
+ */
+function createPrecipitationMaterial(uniforms, kind) {
+  const vertexShader = `
+    uniform float time;
+    uniform vec3 center;
+    uniform vec3 area;
+    uniform float fallSpeed;
+    uniform vec2 drift;
+    uniform float amount;
+    uniform float size;
+    uniform float pixelRatio;
+    attribute float rank;
+    attribute float tip;
+    varying float vFade;
+    void main() {
+      // Fall and drift, then wrap into the box around the camera
+      vec3 p = position * area;
+      p.y -= time * fallSpeed * (0.8 + 0.4 * rank);
+      p.xz += drift * time;
+      vec3 corner = center - area * 0.5;
+      p = corner + mod(p - corner, area);
+      
+      ${kind === 'rain' ? `
+        // Streak back along the path the drop came down
+        p -= normalize(vec3(drift.x, -fallSpeed, drift.y)) * ${STREAK_LENGTH.toFixed(2)} * tip;
+      ` : `
+        // Flakes flutter as they fall
+        p.x += sin(time * 1.3 + rank * 40.0) * 0.4;
+        p.z += cos(time * 1.1 + rank * 70.0) * 0.4;
+      `}
+      
+      // Fade towards the sides of the box so its edges do not show
+      vFade = 1.0 - smoothstep(0.6, 1.0, length(p.xz - center.xz) / (area.x * 0.5));
+      
+      vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+      ${kind === 'snow' ? 'gl_PointSize = size * pixelRatio * (10.0 / -mvPosition.z);' : ''}
+      
+      // Only as many fall as the amount asks for; the rest go off screen
+      if (rank > amount) gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    }
+  `;
+  
+  const fragmentShader = `
+    uniform vec3 color;
+    varying float vFade;
+    void main() {
+      ${kind === 'snow' ? `
+        float alpha = 1.0 - smoothstep(0.3, 0.5, length(gl_PointCoord - 0.5));
+      ` : `
+        float alpha = 0.35;
+      `}
+      gl_FragColor = vec4(color, alpha * vFade);
+    }
+  `;
+  
+  return new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: vertexShader,
+    fragmentShader: fragmentShader,
+    transparent: true,
+    depthWrite: false
+  });
+}
@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+import { hashCoords, hashSeed } from '../utils/random.js';
+
+/**
+ * Creates the scattering service shared by every vegetation and prop generator
+ * Layers (trees, props, grass) are registered once; sample() then returns the
+ * Poisson-disk distributed spots of a layer inside one chunk. Candidates sit
+ * on a global jittered grid seeded from the world seed, and a candidate is
+ * kept only if no valid candidate of higher priority lies within the larger of
+ * their two spacings. That rule only looks at nearby cells, so neighbouring
+ * chunks agree on the spots along their border whatever order they load in.
+ * A spot is valid when it is outside every exclusion zone, on dry ground
+ * (unless the layer allows water), not too steep and clear of the layers it
+ * avoids.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {THREE.Group} terrain - Terrain group providing surface, water and normal queries
+ * @param {Object} config - Scatter settings (see worldConfig.scatter)
+ * @returns {Object} Scatter service with addLayer, sample, allows and exclusion zone methods
+ */
+export function createScatter(world, terrain, config) {
+  const layers = new Map();
+  const zones = [];
+  const normal = new THREE.Vector3();
+  
+  // Keeps a zone's bounding box alongside it for quick rejection
+  const addZone = (zone) => {
+    const reach = zone.radius !== undefined ? zone.radius : zone.width / 2;
+    const points = zone.points || [[zone.x, zone.z]];
+    zone.bounds = {
+      minX: Math.min(...points.map(([x]) => x)) - reach,
+      minZ: Math.min(...points.map(([, z]) => z)) - reach,
+      maxX: Math.max(...points.map(([x]) => x)) + reach,
+      maxZ: Math.max(...points.map(([, z]) => z)) + reach
+    };
+    zones.push(zone);
+    return zone;
+  };
+  
+  // Spawn clearing and configured paths
+  addZone({ x: 0, z: 0, radius: config.spawnRadius, layers: config.spawnLayers });
+  config.paths.forEach((path) => addZone({ points: path.points, width: path.width }));
+  
+  // Checks the exclusion zones that apply to a layer
+  const isExcluded = (layerName, x, z) => zones.some((zone) => {
+    if (zone.layers && !zone.layers.includes(layerName)) return false;
+    if (x < zone.bounds.minX || x > zone.bounds.maxX || z < zone.bounds.minZ || z > zone.bounds.maxZ) return false;
+    
+    if (zone.points) {
+      return distanceToPolyline(x, z, zone.points) < zone.width / 2;
+    }
+    return Math.hypot(x - zone.x, z - zone.z) < zone.radius;
+  });
+  
+  // Zones, water and slope rules of a layer at a spot
+  const allows = (layer, x, z) => {
+    if (isExcluded(layer.name, x, z)) return false;
+    if (!layer.allowWater && terrain.getWaterDepthAt(x, z) > 0) return false;
+    if (layer.maxSlope !== undefined) {
+      terrain.getNormalAt(x, z, normal);
+      if (normal.y < Math.cos(THREE.MathUtils.degToRad(layer.maxSlope))) return false;
+    }
+    return true;
+  };
+  
+  // Evaluates grid cells of one layer, remembering results for the current sample() call
+  const createCellCache = (layer, caches) => {
+    const cellSize = layer.minSpacing / Math.SQRT2;
+    const presence = Math.min(1, layer.density / 1000 * cellSize * cellSize);
+    const [presenceSeed, xSeed, zSeed, prioritySeed] = ['presence', 'x', 'z', 'priority']
+      .map((label) => hashSeed(world.seed, 'scatter', layer.name, label));
+    const reach = Math.ceil(layer.maxSpacing / cellSize);
+    const candidates = new Map();
+    const accepted = new Map();
+    
+    // The candidate of a cell if it exists and is valid, or null
+    const candidateAt = (gx, gz) => {
+      const key = `${gx},${gz}`;
+      if (candidates.has(key)) return candidates.get(key);
+      
+      let candidate = null;
+      if (hashCoords(presenceSeed, gx, gz) < presence) {
+        const x = (gx + hashCoords(xSeed, gx, gz)) * cellSize;
+        const z = (gz + hashCoords(zSeed, gx, gz)) * cellSize;
+        
+        if (allows(layer, x, z) && !avoidsOtherLayers(layer, x, z, caches)) {
+          // Each spot gets its own random stream, so it grows the same from any chunk
+          const rng = world.random.fork('scatter', layer.name, gx, gz);
+          const kind = layer.pick(x, z, rng, terrain);
+          if (kind) {
+            candidate = { x: x, z: z, kind: kind, rng: rng, priority: hashCoords(prioritySeed, gx, gz) };
+          }
+        }
+      }
+      
+      candidates.set(key, candidate);
+      return candidate;
+    };
+    
+    // Whether a cell's candidate survives the spacing of its neighbours
+    const acceptedAt = (gx, gz) => {
+      const key = `${gx},${gz}`;
+      if (accepted.has(key)) return accepted.get(key);
+      
+      const candidate = candidateAt(gx, gz);
+      let keep = candidate !== null;
+      
+      for (let dz = -reach; keep && dz <= reach; dz++) {
+        for (let dx = -reach; keep && dx <= reach; dx++) {
+          if (dx === 0 && dz === 0) continue;
+          
+          const other = candidateAt(gx + dx, gz + dz);
+          if (!other || other.priority < candidate.priority) continue;
+          
+          const spacing = Math.max(candidate.kind.spacing, other.kind.spacing);
+          keep = Math.hypot(other.x - candidate.x, other.z - candidate.z) >= spacing;
+        }
+      }
+      
+      const result = keep ? candidate : null;
+      accepted.set(key, result);
+      return result;
+    };
+    
+    return { cellSize: cellSize, acceptedAt: acceptedAt };
+  };
+  
+  // Checks the layers this layer keeps its distance from
+  const avoidsOtherLayers = (layer, x, z, caches) => (layer.avoid || []).some(({ layer: name, distance }) => {
+    const other = getCache(name, caches);
+    const range = Math.ceil(distance / other.cellSize) + 1;
+    const gx = Math.floor(x / other.cellSize);
+    const gz = Math.floor(z / other.cellSize);
+    
+    for (let dz = -range; dz <= range; dz++) {
+      for (let dx = -range; dx <= range; dx++) {
+        const spot = other.acceptedAt(gx + dx, gz + dz);
+        if (spot && Math.hypot(spot.x - x, spot.z - z) < distance) return true;
+      }
+    }
+    return false;
+  });
+  
+  const getCache = (name, caches) => {
+    if (!caches.has(name)) {
+      if (!layers.has(name)) {
+        throw new Error(`Unknown scatter layer "${name}"`);
+      }
+      caches.set(name, createCellCache(layers.get(name), caches));
+    }
+    return caches.get(name);
+  };
+  
+  return {
+    /**
+     * Registers a layer
+     * @param {Object} layer - name; minSpacing and maxSpacing (smallest and largest
+     *   spacing of its kinds); density (candidates per 1000 square units before
+     *   thinning); pick(x, z, rng, terrain), which returns the kind to place
+     *   (with its spacing) or null to leave the spot empty; and optional
+     *   maxSlope (degrees), allowWater and avoid ([{ layer, distance }])
+     */
+    addLayer: (layer) => {
+      layers.set(layer.name, layer);
+    },
+    
+    /**
+     * Returns the spots of a layer inside a chunk
+     * @returns {Array} Spots with x, z, kind and rng (the spot's own random stream)
+     */
+    sample: (chunk, name) => {
+      const cache = getCache(name, new Map());
+      const spots = [];
+      
+      for (let gz = Math.floor(chunk.minZ / cache.cellSize); gz * cache.cellSize < chunk.minZ + chunk.size; gz++) {
+        for (let gx = Math.floor(chunk.minX / cache.cellSize); gx * cache.cellSize < chunk.minX + chunk.size; gx++) {
+          const spot = cache.acceptedAt(gx, gz);
+          
+          // Cells straddling a border belong to the chunk their spot falls in
+          if (spot && spot.x >= chunk.minX && spot.x < chunk.minX + chunk.size &&
+              spot.z >= chunk.minZ && spot.z < chunk.minZ + chunk.size) {
+            spots.push(spot);
+          }
+        }
+      }
+      
+      return spots;
+    },
+    
+    // Whether a layer may place something at a spot (zones, water and slope only)
+    allows: (name, x, z) => allows(layers.get(name), x, z),
+    
+    /**
+     * Keeps a layer, or every layer, clear of an area
+     * @param {Object} zone - A circle ({ x, z, radius }) or a path ({ points: [[x, z], ...], width }),
+     *   with an optional list of the layers it applies to
+     * @returns {Object} The zone, with its bounds, for removeExclusionZone
+     */
+    addExclusionZone: addZone,
+    
+    removeExclusionZone: (zone) => {
+      const index = zones.indexOf(zone);
+      if (index !== -1) {
+        zones.splice(index, 1);
+      }
+    }
+  };
+}
+
+/**
+ * Distance from a point to the nearest segment of a polyline
+ */
+function distanceToPolyline(x, z, points) {
+  if (points.length === 1) {
+    return Math.hypot(x - points[0][0], z - points[0][1]);
+  }
+  
+  let nearest = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [ax, az] = points[i];
+    const [bx, bz] = points[i + 1];
+    const lengthSquared = (bx - ax) ** 2 + (bz - az) ** 2;
+    const t = lengthSquared > 0 ? THREE.MathUtils.clamp(((x - ax) * (bx - ax) + (z - az) * (bz - az)) / lengthSquared, 0, 1) : 0;
+    nearest = Math.min(nearest, Math.hypot(x - (ax + t * (bx - ax)), z - (az + t * (bz - az))));
+  }
+  return nearest;
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+// Brush modes in the order the mode button cycles through them (null = sculpting off)
+const MODES = [null, 'raise', 'lower', 'smooth', 'flatten'];
+
+// Cursor color per brush mode
+const MODE_COLORS = {
+  raise: 0x66ff88,
+  lower: 0xff6655,
+  smooth: 0x66ccff,
+  flatten: 0xffdd55
+};
+
+const CURSOR_SEGMENTS = 48;
+const CURSOR_LIFT = 0.05; // Keeps the cursor ring from sinking into the ground
+
+// Mode label floating over the brush center: height above the ground and size in units
+const LABEL_LIFT = 0.8;
+const LABEL_WIDTH = 1.2;
+const LABEL_HEIGHT = 0.3;
+
+/**
+ * Creates the terrain sculpting tool
+ * While a stroke is active the brush raises, lowers, smooths or flattens the
+ * grid vertices within its radius, strongest at the center. Edits are saved to
+ * local storage after every stroke and can be downloaded and loaded as JSON.
+ * @param {THREE.Group} terrain - Terrain from createTerrain
+ * @param {Object} config - Brush settings (see worldConfig.sculpt)
+ * @param {string} storageKey - Local storage key for this world's edits
+ * @returns {Object} Sculpt tool with a cursor (the ring and its mode label) to
+ *   add to the scene and update(delta, ray, active)
+ */
+export function createSculptTool(terrain, config, storageKey) {
+  let modeIndex = 0;
+  let radius = config.radius;
+  let strength = config.strength;
+  let stroke = null;
+  const hit = new THREE.Vector3();
+  const cursor = createBrushCursor();
+  const label = cursor.userData.label;
+  
+  // Drapes the cursor ring over the ground around the brush center and floats the mode label over it
+  const updateCursor = (center) => {
+    cursor.visible = center !== null;
+    if (!center) return;
+    
+    const positions = cursor.geometry.attributes.position;
+    for (let i = 0; i < CURSOR_SEGMENTS; i++) {
+      const angle = i / CURSOR_SEGMENTS * Math.PI * 2;
+      const x = center.x + Math.cos(angle) * radius;
+      const z = center.z + Math.sin(angle) * radius;
+      positions.setXYZ(i, x, terrain.getHeightAt(x, z) + CURSOR_LIFT, z);
+    }
+    positions.needsUpdate = true;
+    cursor.material.color.setHex(MODE_COLORS[MODES[modeIndex]]);
+    label.position.set(center.x, center.y + LABEL_LIFT, center.z);
+  };
+  
+  // Moves every grid vertex under the brush towards its new height
+  const applyBrush = (center, delta) => {
+    const mode = MODES[modeIndex];
+    const cellSize = terrain.cellSize;
+    const updates = [];
+    
+    for (let iz = Math.ceil((center.z - radius) / cellSize); iz <= Math.floor((center.z + radius) / cellSize); iz++) {
+      for (let ix = Math.ceil((center.x - radius) / cellSize); ix <= Math.floor((center.x + radius) / cellSize); ix++) {
+        const distance = Math.hypot(ix * cellSize - center.x, iz * cellSize - center.z);
+        if (distance > radius) continue;
+        
+        const falloff = 1 - THREE.MathUtils.smoothstep(distance, 0, radius);
+        const height = terrain.getVertexHeight(ix, iz);
+        const blend = Math.min(1, strength * delta * falloff);
+        let target;
+        
+        switch (mode) {
+          case 'raise':
+            target = height + strength * delta * falloff;
+            break;
+          case 'lower':
+            target = height - strength * delta * falloff;
+            break;
+          case 'smooth': {
+            const average = (
+              terrain.getVertexHeight(ix - 1, iz) +
+              terrain.getVertexHeight(ix + 1, iz) +
+              terrain.getVertexHeight(ix, iz - 1) +
+              terrain.getVertexHeight(ix, iz + 1)
+            ) / 4;
+            target = height + (average - height) * blend;
+            break;
+          }
+          case 'flatten':
+            target = height + (stroke.flattenHeight - height) * blend;
+            break;
+        }
+        
+        updates.push([ix, iz, target]);
+      }
+    }
+    
+    if (updates.length > 0) {
+      terrain.setVertexHeights(updates);
+    }
+  };
+  
+  // Keeps this world's edits across reloads
+  const save = () => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(terrain.exportEdits()));
+    } catch (error) {
+      console.warn('Terrain edits could not be saved:', error);
+    }
+  };
+  
+  return {
+    cursor: cursor,
+    
+    // Current brush mode, or null while sculpting is off
+    getMode: () => MODES[modeIndex],
+    
+    // Steps to the next brush mode, or back to off
+    cycleMode: () => {
+      modeIndex = (modeIndex + 1) % MODES.length;
+      if (MODES[modeIndex]) drawLabel(label, MODES[modeIndex]);
+    },
+    
+    // Brush size and strength are scaled so small adjustments stay fine-grained
+    scaleRadius: (factor) => {
+      radius = THREE.MathUtils.clamp(radius * factor, config.minRadius, config.maxRadius);
+    },
+    
+    scaleStrength: (factor) => {
+      strength = THREE.MathUtils.clamp(strength * factor, config.minStrength, config.maxStrength);
+    },
+    
+    // Aims the brush along the ray and sculpts while active
+    update: (delta, ray, active) => {
+      const mode = MODES[modeIndex];
+      const center = mode && ray ? terrain.raycastSurface(ray, config.reach, hit) : null;
+      updateCursor(center);
+      
+      if (mode && active && center) {
+        // Flattening levels the ground to where the stroke started
+        if (!stroke) {
+          stroke = { flattenHeight: center.y };
+        }
+        applyBrush(center, delta);
+      } else if (!active && stroke) {
+        stroke = null;
+        save();
+      }
+    },
+    
+    // Applies edits saved by an earlier session
+    restore: () => {
+      const saved = localStorage.getItem(storageKey);
+      if (saved) {
+        terrain.importEdits(JSON.parse(saved));
+      }
+    },
+    
+    // Replaces the current edits with exported ones
+    load: (data) => {
+      terrain.importEdits(data);
+      save();
+    },
+    
+    // Saves the current edits as a JSON file
+    download: () => {
+      const blob = new Blob([JSON.stringify(terrain.exportEdits())], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${storageKey.replace(/[^\w-]+/g, '-')}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+  };
+}
+
+/**
+ * Creates the ring that outlines the brush on the ground
+ */
+function createBrushCursor() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(CURSOR_SEGMENTS * 3), 3));
+  
+  const material = new THREE.LineBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.9,
+    depthTest: false // Stay visible through grass
+  });
+  
+  const cursor = new THREE.LineLoop(geometry, material);
+  cursor.renderOrder = 10;
+  cursor.frustumCulled = false;
+  cursor.visible = false;
+  
+  // The ring stays at the origin with world positions in its vertices, so the label is placed in world units too
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+  label.scale.set(LABEL_WIDTH, LABEL_HEIGHT, 1);
+  label.renderOrder = 10;
+  label.userData.canvas = canvas;
+  cursor.add(label);
+  cursor.userData.label = label;
+  
+  return cursor;
+}
+
+/**
+ * Writes the brush mode onto the label in the mode's color
+ */
+function drawLabel(label, mode) {
+  const canvas = label.userData.canvas;
+  const context = canvas.getContext('2d');
+  
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = `#${new THREE.Color(MODE_COLORS[mode]).getHexString()}`;
+  context.font = '32px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(mode, canvas.width / 2, canvas.height / 2);
+  
+  label.material.map.needsUpdate = true;
+}
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+// Seasons in the order they follow each other
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// How each season looks and sounds: a tint on ground and grass colors, snow
+// cover (0-1), the share of broadleaf foliage that has fallen, and
+// multipliers on the ambient sound beds
+const SEASON_LOOKS = {
+  spring: {
+    groundTint: new THREE.Color(0.95, 1.05, 0.9),
+    snow: 0,
+    leafLoss: 0,
+    ambience: { birds: 1.2, wind: 0.8, night: 0.8 }
+  },
+  summer: {
+    groundTint: new THREE.Color(1, 1, 1),
+    snow: 0,
+    leafLoss: 0,
+    ambience: { birds: 1, wind: 0.7, night: 1.2 }
+  },
+  autumn: {
+    groundTint: new THREE.Color(1.15, 0.95, 0.7),
+    snow: 0,
+    leafLoss: 0.4,
+    ambience: { birds: 0.6, wind: 1.2, night: 0.7 }
+  },
+  winter: {
+    groundTint: new THREE.Color(0.9, 0.9, 0.95),
+    snow: 1,
+    leafLoss: 0.85,
+    ambience: { birds: 0.2, wind: 1.4, night: 0.3 }
+  }
+};
+
+// Uniforms shared by every shader that changes with the seasons
+export const seasonUniforms = {
+  seasonGroundTint: { value: new THREE.Color(1, 1, 1) },
+  seasonSnow: { value: 0 },
+  seasonLeafLoss: { value: 0 }
+};
+
+// Where the year stands: position runs 0-4 through SEASONS, whole numbers
+// being a season at its height. It eases towards the season the calendar (or
+// setSeason) asks for at one season per transition.
+const state = {
+  position: 1,
+  start: 1,
+  held: null,
+  daysPerSeason: 8,
+  transitionDays: 3,
+  rate: 1 / 3,
+  firstDay: null,
+  day: 0
+};
+
+/**
+ * Sets up the calendar from the configuration
+ * @param {Object} config - Season settings (see worldConfig.seasons)
+ */
+export function configureSeasons(config) {
+  state.start = seasonIndex(config.start);
+  state.position = state.start;
+  state.held = config.advance ? null : state.start;
+  state.daysPerSeason = config.daysPerSeason;
+  state.transitionDays = Math.max(0.01, config.transitionDays);
+  state.rate = 1 / state.transitionDays;
+  state.firstDay = null;
+  applyUniforms();
+}
+
+/**
+ * Holds the world in one season, or hands it back to the calendar
+ * @param {string|null} name - Season to hold, or null to advance with the days again
+ * @param {number} transitionDays - In-game days one season takes to give way
+ *   to the next (0 to switch at once)
+ */
+export function setSeason(name, transitionDays = state.transitionDays) {
+  state.held = name === null ? null : seasonIndex(name);
+  
+  if (transitionDays > 0) {
+    state.rate = 1 / transitionDays;
+  } else {
+    state.rate = 1 / state.transitionDays;
+    state.position = seasonGoal();
+    applyUniforms();
+  }
+}
+
+/**
+ * Moves the seasons along with the in-game calendar
+ * @param {number} day - Days elapsed, including the fraction of the current day
+ */
+export function updateSeasons(day) {
+  if (state.firstDay === null) {
+    state.firstDay = day;
+    state.day = day;
+  }
+  
+  // Setting the clock back does not turn back the year
+  const days = Math.max(0, day - state.day);
+  state.day = day;
+  
+  const goal = seasonGoal();
+  
+  // Take the short way round the year, at most one season per transition
+  let distance = (goal - state.position) % SEASONS.length;
+  if (distance > SEASONS.length / 2) distance -= SEASONS.length;
+  if (distance < -SEASONS.length / 2) distance += SEASONS.length;
+  
+  const step = days * state.rate;
+  if (Math.abs(distance) <= step) {
+    state.position = goal;
+    if (state.held === null) state.rate = 1 / state.transitionDays;
+  } else {
+    state.position = (state.position + Math.sign(distance) * step + SEASONS.length) % SEASONS.length;
+  }
+  
+  applyUniforms();
+}
+
+/**
+ * The season held by setSeason, or else where the calendar has got to
+ */
+function seasonGoal() {
+  if (state.held !== null) return state.held;
+  return calendarPosition(state.firstDay === null ? 0 : state.day - state.firstDay);
+}
+
+/**
+ * Where the calendar puts the year a number of days after it started: each
+ * season holds for most of its days and hands over during the last transitionDays
+ */
+function calendarPosition(days) {
+  const seasons = state.start + days / state.daysPerSeason;
+  const season = Math.floor(seasons);
+  const handover = Math.min(1, state.transitionDays / state.daysPerSeason);
+  const progress = THREE.MathUtils.clamp((seasons - season - (1 - handover)) / handover, 0, 1);
+  
+  return (season + progress) % SEASONS.length;
+}
+
+/**
+ * Current season blend, for systems that follow the seasons on the CPU
+ * @returns {Object} name (the season closest to now), from and to (the two
+ *   seasons being blended), blend (0 is all from, 1 all to), snow and leafLoss
+ */
+export function getSeason() {
+  const index = Math.floor(state.position) % SEASONS.length;
+  const progress = state.position - Math.floor(state.position);
+  
+  return {
+    name: SEASONS[Math.round(state.position) % SEASONS.length],
+    from: SEASONS[index],
+    to: SEASONS[(index + 1) % SEASONS.length],
+    blend: progress * progress * (3 - 2 * progress),
+    snow: seasonUniforms.seasonSnow.value,
+    leafLoss: seasonUniforms.seasonLeafLoss.value
+  };
+}
+
+/**
+ * Scales an ambient sound mix for the season: fewer birds and crickets in
+ * winter, more wind in autumn and winter
+ * @param {Object} mix - Volumes per bed (birds, wind, night), e.g. from getAmbienceMix
+ * @returns {Object} A new mix with the seasonal volumes
+ */
+export function getSeasonalAmbience(mix) {
+  const { from, to, blend } = getSeason();
+  const result = {};
+  
+  Object.keys(mix).forEach((bed) => {
+    const scale = THREE.MathUtils.lerp(SEASON_LOOKS[from].ambience[bed], SEASON_LOOKS[to].ambience[bed], blend);
+    result[bed] = mix[bed] * scale;
+  });
+  
+  return result;
+}
+
+/**
+ * Copies the blended season look to the shaders
+ */
+function applyUniforms() {
+  const { from, to, blend } = getSeason();
+  
+  seasonUniforms.seasonGroundTint.value.lerpColors(SEASON_LOOKS[from].groundTint, SEASON_LOOKS[to].groundTint, blend);
+  seasonUniforms.seasonSnow.value = THREE.MathUtils.lerp(SEASON_LOOKS[from].snow, SEASON_LOOKS[to].snow, blend);
+  seasonUniforms.seasonLeafLoss.value = THREE.MathUtils.lerp(SEASON_LOOKS[from].leafLoss, SEASON_LOOKS[to].leafLoss, blend);
+}
+
+function seasonIndex(name) {
+  const index = SEASONS.indexOf(name);
+  if (index === -1) {
+    throw new Error(`Unknown season "${name}"`);
+  }
+  return index;
+}
+
+/**
+ * Makes a material follow the seasons
+ * Runs after any shader patch the material already has.
+ * @param {THREE.Material} material - Material to patch (modified in place)
+ * @param {Object} look - Which effects apply: tint (ground and grass colors),
+ *   snow (white on faces that look up) and leafLoss (foliage thinned in
+ *   blocky gaps as the leaves fall)
+ * @returns {THREE.Material} The same material
+ */
+export function applySeasonalLook(material, look) {
+  const previousCompile = material.onBeforeCompile;
+  const previousKey = material.customProgramCacheKey();
+  
+  material.defines = {
+    ...material.defines,
+    ...(look.tint ? { SEASON_TINT: '' } : {}),
+    ...(look.snow ? { SEASON_SNOW: '' } : {}),
+    ...(look.leafLoss ? { SEASON_LEAF_LOSS: '' } : {})
+  };
+  
+  material.onBeforeCompile = (shader, renderer) => {
+    previousCompile.call(material, shader, renderer);
+    addSeasonalLook(shader);
+  };
+  material.customProgramCacheKey = () => `${previousKey}|seasons`;
+  
+  return material;
+}
+
+/**
+ * Injects the seasonal effects, each behind its define
+ */
+function addSeasonalLook(shader) {
+  Object.assign(shader.uniforms, seasonUniforms);
+  
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', `
+      #include <common>
+      #ifdef SEASON_LEAF_LOSS
+        varying vec3 vSeasonPosition;
+      #endif
+    `)
+    .replace('#include <begin_vertex>', `
+      #include <begin_vertex>
+      #ifdef SEASON_LEAF_LOSS
+        vSeasonPosition = transformed;
+        #ifdef USE_INSTANCING
+          vSeasonPosition = (instanceMatrix * vec4(transformed, 1.0)).xyz;
+        #endif
+      #endif
+    `);
+  
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', `
+      #include <common>
+      uniform vec3 seasonGroundTint;
+      uniform float seasonSnow;
+      uniform float seasonLeafLoss;
+      #ifdef SEASON_LEAF_LOSS
+        varying vec3 vSeasonPosition;
+      #endif
+    `)
+    .replace('#include <clipping_planes_fragment>', `
+      #include <clipping_planes_fragment>
+      #ifdef SEASON_LEAF_LOSS
+        // Whole blocks of foliage drop out so the canopy opens up in gaps
+        vec3 seasonCell = floor(vSeasonPosition * 3.0);
+        if (fract(sin(dot(seasonCell, vec3(12.9898, 78.233, 37.719))) * 43758.5453) < seasonLeafLoss) discard;
+      #endif
+    `)
+    .replace('#include <color_fragment>', `
+      #include <color_fragment>
+      #ifdef SEASON_TINT
+        diffuseColor.rgb *= seasonGroundTint;
+      #endif
+    `)
+    .replace('#include <normal_fragment_maps>', `
+      #include <normal_fragment_maps>
+      #ifdef SEASON_SNOW
+        // Snow settles on the flattest upward faces first and covers steeper ones as it deepens
+        float seasonUp = max(0.0, dot(normal, normalize((viewMatrix * vec4(0.0, 1.0, 0.0, 0.0)).xyz)));
+        float seasonSnowCover = smoothstep(1.0 - seasonSnow, 1.15 - seasonSnow, seasonUp) * step(0.001, seasonSnow);
+        diffuseColor.rgb = mix(diffuseColor.rgb, vec3(0.92, 0.95, 1.0), seasonSnowCover);
+      #endif
+    `)
+    .replace('#include <emissivemap_fragment>', `
+      #include <emissivemap_fragment>
+      #ifdef SEASON_SNOW
+        totalEmissiveRadiance *= 1.0 - seasonSnowCover;
+      #endif
+    `);
+}
@@ -1,137 +1,136 @@
 import * as THREE from 'three';
+import { getWind } from './wind.js';
+
+// Cloud speed in units per second at wind strength 1, and how far out they drift before wrapping
+const CLOUD_DRIFT_SPEED = 8;
+const CLOUD_RANGE = 200;
+
+// Clouds in the sky when it is completely covered; fair weather shows some of them
+const CLOUD_COUNT = 40;
+
+// Cloud color under the darkest storm, and the sky and clouds lit by lightning
+const STORM_CLOUD_COLOR = new THREE.Color(0.3, 0.32, 0.36);
+const LIGHTNING_COLOR = new THREE.Color(0.55, 0.6, 0.75);
+
+// Optical depth of the air towards the zenith at the red, green and blue
+// wavelengths, and of haze per unit of turbidity above a perfectly clear sky
+const RAYLEIGH_DEPTH = new THREE.Vector3(0.0464, 0.108, 0.2648);
+const MIE_DEPTH = 0.03;
+
+// Brightness of sunlight entering the atmosphere, and of the sun disc relative to it
+const SUN_INTENSITY = 40;
+const SUN_DISC_INTENSITY = 20;
+
+// Glow left after sunset and the night sky's floor
+const TWILIGHT_COLOR = new THREE.Color(0.02, 0.04, 0.12);
+const NIGHT_COLOR = new THREE.Color(0.004, 0.008, 0.025);
+
+// Settings setAtmosphere accepts, each a uniform of the sky dome
+const ATMOSPHERE_SETTINGS = ['turbidity', 'rayleigh', 'mieDirectionalG', 'exposure', 'sunSize'];
 
 /**
- * Creates a sky with moving clouds
- * @returns {Object} Sky object with mesh and update method
+ * Creates an atmospheric sky with moving clouds
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object} config - Atmosphere settings (see worldConfig.sky)
+ * @returns {Object} Sky group with update, setSunDirection, setTint,
+ *   setWeather, setAtmosphere, getAtmosphere and sampleColor methods
  */
-export function createSky() {
+export function createSky(world, config) {
   // Create a group to hold all sky elements
   const skyGroup = new THREE.Group();
   
-  // Create the sky dome
-  const skyDome = createSkyDome();
+  // Create the sky dome, which also draws the sun
+  const skyDome = createSkyDome(config);
   skyGroup.add(skyDome);
   
   // Create clouds
-  const clouds = createClouds();
+  const clouds = createClouds(world.random.fork('clouds'));
   skyGroup.add(clouds);
   
-  // Create sun
-  const sun = createSun();
-  skyGroup.add(sun);
+  const uniforms = skyDome.material.uniforms;
   
   // Add update method to the skyGroup
   skyGroup.update = (delta) => {
-    // Rotate clouds slowly
-    clouds.rotation.y += delta * 0.02;
+    // Drift clouds with the wind
+    clouds.update(delta);
     
     // Move individual cloud parts for more dynamic effect
     clouds.children.forEach((cloud, index) => {
       cloud.position.x += Math.sin(Date.now() * 0.0001 + index) * delta * 0.05;
       cloud.position.z += Math.cos(Date.now() * 0.0001 + index * 0.7) * delta * 0.05;
     });
-    
-    // Store reference to sun for day-night cycle
-    skyGroup.userData.sun = sun;
   };
   
-  // Return the skyGroup with the update method
-  return skyGroup;
-}
-
-/**
- * Creates a bright sun in the sky
- */
-function createSun() {
-  // Create sun group
-  const sunGroup = new THREE.Group();
-  
-  // Create sun disc
-  const sunGeometry = new THREE.CircleGeometry(15, 32);
-  const sunMaterial = new THREE.MeshBasicMaterial({
-    color: 0xffffdd,
-    transparent: true,
-    opacity: 0.9,
-    side: THREE.DoubleSide
-  });
-  
-  const sunDisc = new THREE.Mesh(sunGeometry, sunMaterial);
-  
-  // Position sun in the sky
-  sunDisc.position.set(50, 100, -100);
-  
-  // Make sun always face the camera
-  sunDisc.lookAt(0, 0, 0);
-  
-  // Add to bloom layer
-  sunDisc.layers.enable(1);
-  
-  sunGroup.add(sunDisc);
+  // Points the sun (and the light it scatters) along a unit direction from the ground
+  skyGroup.setSunDirection = (direction) => {
+    uniforms.sunDirection.value.copy(direction).normalize();
+  };
   
-  // Create sun glow
-  const glowGeometry = new THREE.CircleGeometry(30, 32);
-  const glowMaterial = new THREE.MeshBasicMaterial({
-    color: 0xffffaa,
-    transparent: true,
-    opacity: 0.4,
-    side: THREE.DoubleSide,
-    blending: THREE.AdditiveBlending
-  });
+  // Tints the sky at the zenith and the horizon, blending in between (white leaves it as scattered)
+  skyGroup.setTint = (top, bottom) => {
+    uniforms.topTint.value.copy(top);
+    uniforms.bottomTint.value.copy(bottom);
+  };
   
-  const sunGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-  sunGlow.position.copy(sunDisc.position);
-  sunGlow.lookAt(0, 0, 0);
+  /**
+   * Covers and darkens the sky for the weather
+   * Past half cover the sky turns an even grey and the sun disc disappears.
+   * @param {number} cloudCover - Share of the clouds out (0-1)
+   * @param {number} darkness - How dark the clouds and the overcast sky are (0-1)
+   * @param {number} flash - Lightning lighting up the clouds and sky (0-1)
+   */
+  skyGroup.setWeather = (cloudCover, darkness, flash) => {
+    clouds.setWeather(cloudCover, darkness, flash);
+    uniforms.overcast.value = THREE.MathUtils.smoothstep(cloudCover, 0.5, 1);
+    uniforms.darkness.value = darkness;
+    uniforms.flash.value = flash;
+  };
   
-  // Add to bloom layer
-  sunGlow.layers.enable(1);
+  /**
+   * Changes the atmosphere; settings left out keep their value
+   * @param {Object} settings - Any of turbidity, rayleigh, mieDirectionalG,
+   *   exposure and sunSize (see worldConfig.sky)
+   */
+  skyGroup.setAtmosphere = (settings) => {
+    Object.entries(settings).forEach(([name, value]) => {
+      if (!ATMOSPHERE_SETTINGS.includes(name)) {
+        throw new Error(`Unknown sky setting "${name}"`);
+      }
+      uniforms[name].value = value;
+    });
+  };
   
-  sunGroup.add(sunGlow);
+  skyGroup.getAtmosphere = () => Object.fromEntries(ATMOSPHERE_SETTINGS.map((name) => [name, uniforms[name].value]));
   
-  // Create sun rays
-  const rayCount = 8;
-  const rayLength = 40;
+  /**
+   * Works out the sky color in a direction the same way the dome shader does,
+   * for things that reflect or pick up the sky
+   * @param {THREE.Vector3} direction - Unit direction from the viewer
+   * @param {THREE.Color} target - Receives the color
+   * @returns {THREE.Color} The target
+   */
+  skyGroup.sampleColor = (direction, target) => sampleSkyColor(direction, uniforms, target);
   
-  for (let i = 0; i < rayCount; i++) {
-    const angle = (i / rayCount) * Math.PI * 2;
-    
-    const rayGeometry = new THREE.PlaneGeometry(rayLength, 2);
-    const rayMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffffaa,
-      transparent: true,
-      opacity: 0.3,
-      side: THREE.DoubleSide,
-      blending: THREE.AdditiveBlending
-    });
-    
-    const ray = new THREE.Mesh(rayGeometry, rayMaterial);
-    
-    // Position ray around sun
-    ray.position.copy(sunDisc.position);
-    
-    // Rotate ray around sun
-    ray.lookAt(0, 0, 0);
-    ray.rotateZ(angle);
-    
-    // Add to bloom layer
-    ray.layers.enable(1);
-    
-    sunGroup.add(ray);
-  }
-  
-  return sunGroup;
+  // Return the skyGroup with the update method
+  return skyGroup;
 }
 
 /**
- * Creates a sky dome with gradient
+ * Creates a sky dome lit by atmospheric scattering
+ * Sunlight loses blue light on its way through the air, the more the lower
+ * the sun, and the air scatters light towards the viewer: molecules
+ * (Rayleigh) mostly blue light in every direction, haze (Mie) all colors in a
+ * bright halo around the sun. That gives a blue sky that pales towards the
+ * horizon by day, orange and red around a low sun and, once the sun is down,
+ * a dark blue twilight fading into night.
  */
-function createSkyDome() {
+function createSkyDome(config) {
   // Create a large sphere for the sky with reduced resolution for better performance
   const geometry = new THREE.SphereGeometry(500, 24, 16);
   
   // Invert the geometry so that the material renders on the inside
   geometry.scale(-1, 1, 1);
   
-  // Create a shader material for the sky gradient
   const vertexShader = `
     varying vec3 vWorldPosition;
     void main() {
@@ -141,24 +140,90 @@ function createSkyDome() {
     }
   `;
   
+  // sampleSkyColor repeats this on the CPU; keep the two in step
   const fragmentShader = `
-    uniform vec3 topColor;
-    uniform vec3 bottomColor;
-    uniform float offset;
-    uniform float exponent;
+    uniform vec3 sunDirection;
+    uniform float turbidity;
+    uniform float rayleigh;
+    uniform float mieDirectionalG;
+    uniform float exposure;
+    uniform float sunSize;
+    uniform vec3 topTint;
+    uniform vec3 bottomTint;
+    uniform float overcast;
+    uniform float darkness;
+    uniform float flash;
     varying vec3 vWorldPosition;
+    
+    const vec3 RAYLEIGH_DEPTH = vec3(${vectorToGlsl(RAYLEIGH_DEPTH)});
+    const float MIE_DEPTH = ${MIE_DEPTH.toFixed(4)};
+    const float SUN_INTENSITY = ${SUN_INTENSITY.toFixed(1)};
+    const float SUN_DISC_INTENSITY = ${SUN_DISC_INTENSITY.toFixed(1)};
+    const vec3 TWILIGHT_COLOR = vec3(${vectorToGlsl(TWILIGHT_COLOR)});
+    const vec3 NIGHT_COLOR = vec3(${vectorToGlsl(NIGHT_COLOR)});
+    const vec3 LIGHTNING_COLOR = vec3(${vectorToGlsl(LIGHTNING_COLOR)});
+    
+    // Relative length of the path through the air towards a height above the horizon
+    float airMass(float height) {
+      float zenithAngle = acos(clamp(height, 0.0, 1.0));
+      return 1.0 / (cos(zenithAngle) + 0.15 * pow(93.885 - degrees(zenithAngle), -1.253));
+    }
+    
+    float rayleighPhase(float cosTheta) {
+      return 0.0596831 * (1.0 + cosTheta * cosTheta);
+    }
+    
+    // Henyey-Greenstein phase, peaking towards the sun
+    float miePhase(float cosTheta, float g) {
+      float g2 = g * g;
+      return 0.0795775 * (1.0 - g2) / pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5);
+    }
+    
     void main() {
-      float h = normalize(vWorldPosition + offset).y;
-      gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
+      vec3 direction = normalize(vWorldPosition - cameraPosition);
+      float cosTheta = dot(direction, sunDirection);
+      
+      vec3 rayleighDepth = RAYLEIGH_DEPTH * rayleigh;
+      float mieDepth = MIE_DEPTH * max(turbidity - 1.0, 0.0);
+      vec3 depth = rayleighDepth + mieDepth;
+      vec3 sunTransmittance = exp(-depth * airMass(sunDirection.y));
+      vec3 viewTransmittance = exp(-depth * airMass(direction.y));
+      
+      // Light scattered towards the viewer along the view ray
+      vec3 scattering = (rayleighDepth * rayleighPhase(cosTheta) + mieDepth * miePhase(cosTheta, mieDirectionalG)) /
+        depth * (1.0 - viewTransmittance);
+      
+      // Sun disc, hidden below the horizon and behind thick cloud
+      float discAngle = radians(sunSize);
+      float disc = smoothstep(cos(discAngle * 1.2), cos(discAngle), cosTheta) * smoothstep(-0.01, 0.01, direction.y) * (1.0 - overcast);
+      
+      // Sunlight fades out as the sun sinks under the horizon
+      float daylight = smoothstep(-0.1, 0.02, sunDirection.y);
+      vec3 radiance = SUN_INTENSITY * daylight * sunTransmittance * (scattering + SUN_DISC_INTENSITY * disc * viewTransmittance);
+      radiance += TWILIGHT_COLOR * smoothstep(-0.3, 0.0, sunDirection.y) + NIGHT_COLOR;
+      
+      vec3 tint = mix(bottomTint, topTint, sqrt(clamp(direction.y, 0.0, 1.0)));
+      vec3 color = (1.0 - exp(-radiance * exposure)) * tint;
+      
+      // Cloud cover greys and darkens the sky, and lightning lights it up
+      float grey = dot(color, vec3(0.299, 0.587, 0.114));
+      color = mix(color, vec3(grey * 0.95, grey * 0.97, grey), overcast) * (1.0 - 0.6 * darkness * overcast);
+      gl_FragColor = vec4(color + LIGHTNING_COLOR * flash, 1.0);
     }
   `;
   
-  // Create the shader material with brighter colors
   const uniforms = {
-    topColor: { value: new THREE.Color(0x1a8cff) },     // Brighter sky blue
-    bottomColor: { value: new THREE.Color(0xa6e6ff) },  // Brighter light blue
-    offset: { value: 10 },
-    exponent: { value: 0.5 }                           // Lower exponent for more gradual gradient
+    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+    turbidity: { value: config.turbidity },
+    rayleigh: { value: config.rayleigh },
+    mieDirectionalG: { value: config.mieDirectionalG },
+    exposure: { value: config.exposure },
+    sunSize: { value: config.sunSize },
+    topTint: { value: new THREE.Color(1, 1, 1) },
+    bottomTint: { value: new THREE.Color(1, 1, 1) },
+    overcast: { value: 0 },
+    darkness: { value: 0 },
+    flash: { value: 0 }
   };
   
   const material = new THREE.ShaderMaterial({
@@ -173,9 +238,65 @@ function createSkyDome() {
 }
 
 /**
- * Creates low-poly clouds
+ * The dome shader's color for one direction (without the sun disc)
+ */
+function sampleSkyColor(direction, uniforms, target) {
+  const sunDirection = uniforms.sunDirection.value;
+  const cosTheta = direction.dot(sunDirection);
+  const mieDepth = MIE_DEPTH * Math.max(uniforms.turbidity.value - 1, 0);
+  const phaseR = 0.0596831 * (1 + cosTheta * cosTheta);
+  const phaseM = miePhase(cosTheta, uniforms.mieDirectionalG.value);
+  const daylight = THREE.MathUtils.smoothstep(sunDirection.y, -0.1, 0.02);
+  const twilight = THREE.MathUtils.smoothstep(sunDirection.y, -0.3, 0);
+  
+  const tint = Math.sqrt(THREE.MathUtils.clamp(direction.y, 0, 1));
+  
+  const channel = (rayleighDepth, twilightColor, nightColor, topTint, bottomTint) => {
+    rayleighDepth *= uniforms.rayleigh.value;
+    const depth = rayleighDepth + mieDepth;
+    const sunTransmittance = Math.exp(-depth * airMass(sunDirection.y));
+    const viewTransmittance = Math.exp(-depth * airMass(direction.y));
+    const scattering = (rayleighDepth * phaseR + mieDepth * phaseM) / depth * (1 - viewTransmittance);
+    const radiance = SUN_INTENSITY * daylight * sunTransmittance * scattering + twilightColor * twilight + nightColor;
+    return (1 - Math.exp(-radiance * uniforms.exposure.value)) * THREE.MathUtils.lerp(bottomTint, topTint, tint);
+  };
+  
+  const top = uniforms.topTint.value;
+  const bottom = uniforms.bottomTint.value;
+  const r = channel(RAYLEIGH_DEPTH.x, TWILIGHT_COLOR.r, NIGHT_COLOR.r, top.r, bottom.r);
+  const g = channel(RAYLEIGH_DEPTH.y, TWILIGHT_COLOR.g, NIGHT_COLOR.g, top.g, bottom.g);
+  const b = channel(RAYLEIGH_DEPTH.z, TWILIGHT_COLOR.b, NIGHT_COLOR.b, top.b, bottom.b);
+  
+  const overcast = uniforms.overcast.value;
+  const grey = r * 0.299 + g * 0.587 + b * 0.114;
+  const shade = 1 - 0.6 * uniforms.darkness.value * overcast;
+  const flash = uniforms.flash.value;
+  return target.setRGB(
+    THREE.MathUtils.lerp(r, grey * 0.95, overcast) * shade + LIGHTNING_COLOR.r * flash,
+    THREE.MathUtils.lerp(g, grey * 0.97, overcast) * shade + LIGHTNING_COLOR.g * flash,
+    THREE.MathUtils.lerp(b, grey, overcast) * shade + LIGHTNING_COLOR.b * flash,
+    THREE.LinearSRGBColorSpace
+  );
+}
+
+function airMass(height) {
+  const zenithAngle = Math.acos(THREE.MathUtils.clamp(height, 0, 1));
+  return 1 / (Math.cos(zenithAngle) + 0.15 * Math.pow(93.885 - THREE.MathUtils.radToDeg(zenithAngle), -1.253));
+}
+
+function miePhase(cosTheta, g) {
+  return 0.0795775 * (1 - g * g) / Math.pow(1 + g * g - 2 * g * cosTheta, 1.5);
+}
+
+// Writes a vector or color as GLSL float literals
+function vectorToGlsl(vector) {
+  return vector.toArray().map((value) => value.toFixed(4)).join(', ');
+}
+
+/**
+ * Creates low-poly clouds that drift with the wind
  */
-function createClouds() {
+function createClouds(rng) {
   const cloudsGroup = new THREE.Group();
   
   // Create cloud material with emissive properties
@@ -187,19 +308,18 @@ function createClouds() {
     transparent: true,
     opacity: 0.9,
     roughness: 0.7,
-    metalness: 0.1
+    metalness: 0.1,
+    fog: false // Clouds belong to the sky, beyond the fog
   });
   
-  // Create multiple clouds (reduced count for better performance)
-  const cloudCount = 15;
-  
-  for (let i = 0; i < cloudCount; i++) {
-    const cloud = createSingleCloud(cloudMaterial);
+  // Create enough clouds for a covered sky; setWeather decides how many are out
+  for (let i = 0; i < CLOUD_COUNT; i++) {
+    const cloud = createSingleCloud(cloudMaterial, rng);
     
     // Position clouds randomly in the sky
-    const radius = 80 + Math.random() * 120;
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.random() * Math.PI * 0.3 + Math.PI * 0.2;
+    const radius = 80 + rng.random() * 120;
+    const theta = rng.random() * Math.PI * 2;
+    const phi = rng.random() * Math.PI * 0.3 + Math.PI * 0.2;
     
     cloud.position.x = radius * Math.sin(phi) * Math.cos(theta);
     cloud.position.y = radius * Math.cos(phi) + 20;
@@ -207,25 +327,54 @@ function createClouds() {
     
     // Random rotation
     cloud.rotation.set(
-      Math.random() * Math.PI * 2,
-      Math.random() * Math.PI * 2,
-      Math.random() * Math.PI * 2
+      rng.random() * Math.PI * 2,
+      rng.random() * Math.PI * 2,
+      rng.random() * Math.PI * 2
     );
     
     // Random scale
-    const scale = 5 + Math.random() * 15;
+    const scale = 5 + rng.random() * 15;
     cloud.scale.set(scale, scale * 0.6, scale);
     
+    cloud.visible = i < CLOUD_COUNT * 0.375;
     cloudsGroup.add(cloud);
   }
   
+  // Brings out clouds for the cover and darkens them, or lights them up with lightning
+  cloudsGroup.setWeather = (cover, darkness, flash) => {
+    const count = Math.round(cover * CLOUD_COUNT);
+    cloudsGroup.children.forEach((cloud, index) => {
+      cloud.visible = index < count;
+    });
+    
+    cloudMaterial.color.setRGB(1, 1, 1).lerp(STORM_CLOUD_COLOR, darkness);
+    cloudMaterial.emissiveIntensity = 0.1 + flash * 3;
+  };
+  
+  // Clouds drift downwind and wrap around to the upwind side of the sky
+  cloudsGroup.update = (delta) => {
+    const wind = getWind();
+    const step = wind.speed * CLOUD_DRIFT_SPEED * delta;
+    
+    cloudsGroup.children.forEach((cloud) => {
+      cloud.position.x += wind.direction.x * step;
+      cloud.position.z += wind.direction.y * step;
+      
+      const downwind = cloud.position.x * wind.direction.x + cloud.position.z * wind.direction.y;
+      if (downwind > 0 && Math.hypot(cloud.position.x, cloud.position.z) > CLOUD_RANGE) {
+        cloud.position.x -= wind.direction.x * downwind * 2;
+        cloud.position.z -= wind.direction.y * downwind * 2;
+      }
+    });
+  };
+  
   return cloudsGroup;
 }
 
 /**
  * Creates a single low-poly cloud with connected geometry
  */
-function createSingleCloud(material) {
+function createSingleCloud(material, rng) {
   const cloudGroup = new THREE.Group();
   
   // Create a main cloud body first (as a base)
@@ -235,9 +384,9 @@ function createSingleCloud(material) {
   const mainVertices = mainCloudGeometry.attributes.position.array;
   for (let j = 0; j < mainVertices.length; j += 3) {
     // Use smaller random values to avoid breaking the mesh
-    mainVertices[j] += (Math.random() - 0.5) * 0.15;
-    mainVertices[j + 1] += (Math.random() - 0.5) * 0.15;
-    mainVertices[j + 2] += (Math.random() - 0.5) * 0.15;
+    mainVertices[j] += (rng.random() - 0.5) * 0.15;
+    mainVertices[j + 1] += (rng.random() - 0.5) * 0.15;
+    mainVertices[j + 2] += (rng.random() - 0.5) * 0.15;
   }
   
   mainCloudGeometry.computeVertexNormals();
@@ -247,7 +396,7 @@ function createSingleCloud(material) {
   cloudGroup.add(mainCloud);
   
   // Create several "puffs" for each cloud
-  const puffCount = 2 + Math.floor(Math.random() * 3); // Reduced count for better performance
+  const puffCount = 2 + Math.floor(rng.random() * 3); // Reduced count for better performance
   
   for (let i = 0; i < puffCount; i++) {
     // Create a sphere with more segments for better connectivity
@@ -257,9 +406,9 @@ function createSingleCloud(material) {
     const vertices = geometry.attributes.position.array;
     for (let j = 0; j < vertices.length; j += 3) {
       // Use smaller random values to avoid breaking the mesh
-      vertices[j] += (Math.random() - 0.5) * 0.1;
-      vertices[j + 1] += (Math.random() - 0.5) * 0.1;
-      vertices[j + 2] += (Math.random() - 0.5) * 0.1;
+      vertices[j] += (rng.random() - 0.5) * 0.1;
+      vertices[j + 1] += (rng.random() - 0.5) * 0.1;
+      vertices[j + 2] += (rng.random() - 0.5) * 0.1;
     }
     
     geometry.computeVertexNormals();
@@ -268,12 +417,12 @@ function createSingleCloud(material) {
     const puff = new THREE.Mesh(geometry, material);
     
     // Position puffs to form a cloud shape
-    puff.position.x = (Math.random() - 0.5) * 2;
-    puff.position.y = (Math.random() - 0.5) * 0.8;
-    puff.position.z = (Math.random() - 0.5) * 2;
+    puff.position.x = (rng.random() - 0.5) * 2;
+    puff.position.y = (rng.random() - 0.5) * 0.8;
+    puff.position.z = (rng.random() - 0.5) * 2;
     
     // Random scale for each puff
-    const scale = 0.8 + Math.random() * 0.5;
+    const scale = 0.8 + rng.random() * 0.5;
     puff.scale.set(scale, scale, scale);
     
     cloudGroup.add(puff);
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+const DAY_MS = 86400000;
+
+// Days from the Unix epoch to noon UTC on 1 January 2000, the epoch of the formulas below
+const J2000_DAYS = 10957.5;
+
+// Height of the sun's center at sunrise and sunset, allowing for refraction and the disc's size
+const SUNRISE_ELEVATION = THREE.MathUtils.degToRad(-0.833);
+
+// Shortest stretch of hour angle either side of noon that counts as day (or
+// night), so polar days and nights still pass through every phase
+const MIN_HALF_DAY = Math.PI / 12;
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Works out where the sun stands over a place at a moment
+ * Uses the low-precision solar coordinates of the Astronomical Almanac,
+ * good to about a hundredth of a degree this century.
+ * @param {Date} date - Moment to look at
+ * @param {number} latitude - Degrees north (negative for south)
+ * @param {number} longitude - Degrees east (negative for west)
+ * @returns {Object} elevation above the horizon and azimuth (clockwise from
+ *   north), the hour angle (0 at solar noon, growing through the afternoon,
+ *   -PI to PI), the declination and the hour angle of sunset (0 when the sun
+ *   does not rise, PI when it does not set), plus the ecliptic longitude,
+ *   right ascension, obliquity and latitude that getLunarDirection works
+ *   from; all in radians
+ */
+export function getSolarPosition(date, latitude, longitude) {
+  const days = date.getTime() / DAY_MS - J2000_DAYS;
+  const toRadians = THREE.MathUtils.degToRad;
+  
+  // Ecliptic longitude of the sun and the tilt of the earth's axis
+  const meanAnomaly = toRadians(357.529 + 0.98560028 * days);
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude = toRadians(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly));
+  const obliquity = toRadians(23.439 - 0.00000036 * days);
+  
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  
+  // How far the sky has turned past the sun at this longitude
+  const siderealTime = toRadians((280.46061837 + 360.98564736629 * days) % 360);
+  const hourAngle = wrapAngle(siderealTime + toRadians(longitude) - rightAscension);
+  
+  const phi = toRadians(latitude);
+  const horizon = toHorizon(hourAngle, declination, phi);
+  
+  const cosSunset = (Math.sin(SUNRISE_ELEVATION) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  
+  return {
+    elevation: horizon.elevation,
+    azimuth: horizon.azimuth,
+    hourAngle: hourAngle,
+    declination: declination,
+    sunsetHourAngle: Math.acos(THREE.MathUtils.clamp(cosSunset, -1, 1)),
+    eclipticLongitude: eclipticLongitude,
+    rightAscension: rightAscension,
+    obliquity: obliquity,
+    latitude: phi
+  };
+}
+
+/**
+ * Works out where a moon of some phase stands, as a unit direction in the
+ * same frame as getSolarDirection
+ * The moon is taken to run along the ecliptic, ahead of the sun by the phase,
+ * so a full moon stands opposite the sun and rides low under a summer sun.
+ * @param {Object} position - Solar position from getSolarPosition
+ * @param {number} phase - Lunar phase (0-1): 0 new, 0.5 full
+ * @param {THREE.Vector3} target - Receives the direction
+ * @returns {THREE.Vector3} The target
+ */
+export function getLunarDirection(position, phase, target) {
+  const eclipticLongitude = position.eclipticLongitude + phase * TWO_PI;
+  const obliquity = position.obliquity;
+  
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  
+  // Further east along the sky, the moon comes round later than the sun
+  const hourAngle = wrapAngle(position.hourAngle - (rightAscension - position.rightAscension));
+  
+  return getSolarDirection(toHorizon(hourAngle, declination, position.latitude), target);
+}
+
+/**
+ * Turns a solar position into a unit direction towards the sun in the world,
+ * where +x is east, +z south and +y up
+ * @param {Object} position - Solar position from getSolarPosition
+ * @param {THREE.Vector3} target - Receives the direction
+ * @returns {THREE.Vector3} The target
+ */
+export function getSolarDirection(position, target) {
+  const ground = Math.cos(position.elevation);
+  return target.set(
+    ground * Math.sin(position.azimuth),
+    Math.sin(position.elevation),
+    -ground * Math.cos(position.azimuth)
+  );
+}
+
+/**
+ * Where a solar position falls in the day-night cycle's time of day: 0 at
+ * sunrise, 0.25 at solar noon, 0.5 at sunset and 0.75 at solar midnight,
+ * stretched to the real length of the day and night
+ * @param {Object} position - Solar position from getSolarPosition
+ * @returns {number} Time of day (0-1)
+ */
+export function getSolarTimeOfDay(position) {
+  const halfDay = THREE.MathUtils.clamp(position.sunsetHourAngle, MIN_HALF_DAY, Math.PI - MIN_HALF_DAY);
+  const hourAngle = position.hourAngle;
+  
+  if (Math.abs(hourAngle) <= halfDay) {
+    return 0.25 + 0.25 * hourAngle / halfDay;
+  }
+  
+  const intoNight = hourAngle > 0 ? hourAngle - halfDay : hourAngle + TWO_PI - halfDay;
+  return 0.5 + 0.5 * intoNight / (TWO_PI - 2 * halfDay);
+}
+
+/**
+ * The hour angle at which a solar position's day reaches a time of day, the
+ * reverse of getSolarTimeOfDay
+ * @param {Object} position - Solar position from getSolarPosition (for the day's length)
+ * @param {number} timeOfDay - Time of day (0-1)
+ * @returns {number} Hour angle in radians (-PI to PI)
+ */
+export function getSolarHourAngle(position, timeOfDay) {
+  const halfDay = THREE.MathUtils.clamp(position.sunsetHourAngle, MIN_HALF_DAY, Math.PI - MIN_HALF_DAY);
+  
+  if (timeOfDay <= 0.5) {
+    return (timeOfDay - 0.25) / 0.25 * halfDay;
+  }
+  return wrapAngle(halfDay + (timeOfDay - 0.5) / 0.5 * (TWO_PI - 2 * halfDay));
+}
+
+// Elevation and azimuth (clockwise from north) of a point of the sky at an
+// hour angle and declination, seen from a latitude
+function toHorizon(hourAngle, declination, phi) {
+  return {
+    elevation: Math.asin(
+      Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+    ),
+    azimuth: Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    ) + Math.PI
+  };
+}
+
+// Wraps an angle into -PI to PI
+function wrapAngle(angle) {
+  return THREE.MathUtils.euclideanModulo(angle + Math.PI, TWO_PI) - Math.PI;
+}
@@ -1,457 +1,670 @@
 import * as THREE from 'three';
-import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { createChunkTrees, createTreeLayer } from './trees.js';
+import { updateTreeLod } from './treeLod.js';
+import { createBiomeMap, getGroundColor } from './biomes.js';
+import { createWater } from './water.js';
+import { createGrass } from './grass.js';
+import { createGlowingProps } from './glowingProps.js';
+import { createScatter } from './scatter.js';
+import { applySeasonalLook } from './seasons.js';
+import { applyWetLook } from './weather.js';
+import { createFireflies } from './fireflies.js';
+import { createChunkLod } from './terrainLod.js';
+import { hashCoords, hashSeed } from '../utils/random.js';
+
+const SPAWN_FLAT_RADIUS = 12; // Keep the spawn area level
+const SCATTER_MARGIN = 16;    // Spots this far outside a changed exclusion zone may change too
+
+// Scratch matrix for moving instances with the ground
+const followMatrix = new THREE.Matrix4();
 
 /**
- * Creates a low-poly terrain with grass and glowing elements
+ * Creates a streaming low-poly terrain with grass, glowing props and trees
+ * Terrain is split into square chunks that are generated in a ring around the
+ * player and disposed of once they fall out of range. Every chunk is generated
+ * from the world seed and its chunk coordinate, so revisited areas look the same.
+ * Each chunk's ground is a quadtree of tiles that refine towards the camera.
+ * The returned group exposes getHeightAt(x, z) and getNormalAt(x, z) for
+ * placing objects on the surface, getBiomeAt(x, z) for blended biome weights,
+ * getWaterDepthAt(x, z) for lakes and rivers, and update(position, viewPosition)
+ * to stream chunks around the player and pick tile levels for the camera.
+ * Sculpted grid heights set through setVertexHeights override the generated
+ * ground and can be saved with exportEdits and restored with importEdits.
+ * When a heightmap is given, its heights and splat map replace the noise
+ * terrain and biomes, and its segment count sets the grid resolution.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object} worldConfig - World settings (terrain, water, trees, grass, scatter and fireflies sections)
+ * @param {Object|null} heightmap - Authored height source from loadHeightmap, or null for noise terrain
  * @returns {THREE.Group} The terrain group
  */
-export function createTerrain() {
+export function createTerrain(world, worldConfig, heightmap = null) {
+  const config = worldConfig.terrain;
+  const waterConfig = worldConfig.water;
   const terrainGroup = new THREE.Group();
   
-  // Create a simple flat terrain for debugging
-  const groundGeometry = new THREE.PlaneGeometry(400, 400, 20, 20);
+  // Authored heightmaps pick the cell size; round it so LOD tiles halve evenly down to it
+  const requestedSegments = heightmap
+    ? config.chunkSize / heightmap.cellSize
+    : config.chunkSegments;
+  const lodDepth = Math.max(0, Math.round(Math.log2(requestedSegments / config.lod.tileSegments)));
+  const chunkSegments = config.lod.tileSegments * 2 ** lodDepth;
+  const cellSize = config.chunkSize / chunkSegments;
+  
+  const colorSeed = hashSeed(world.seed, 'terrain-colors');
+  const biomes = createBiomeMap(world, heightmap && heightmap.splat);
+  const water = createWater(waterConfig);
+  const grass = createGrass(worldConfig.grass);
+  const glowingProps = createGlowingProps();
+  const fireflies = createFireflies(worldConfig.fireflies);
+  
+  // Height of the ground at a world position, before any chunk exists there
+  const sampleHeight = heightmap
+    ? heightmap.sampleHeight
+    : (x, z) => sampleTerrainHeight(world.noise, x, z, config.heightScale, waterConfig);
+  
+  // Sculpted heights of global grid vertices keyed by "ix,iz"; they win over generated heights
+  const edits = new Map();
+  
+  // Height of a global grid vertex before any chunk exists there
+  const sampleVertexHeight = (ix, iz) => {
+    const edit = edits.get(chunkKey(ix, iz));
+    return edit === undefined ? sampleHeight(ix * cellSize, iz * cellSize) : edit;
+  };
+  
+  // Loaded chunks keyed by "cx,cz"
+  const chunks = new Map();
+  
+  // Where the player and the camera were last seen, so new chunks start at the right detail
+  const streamPosition = new THREE.Vector3();
+  const viewPosition = new THREE.Vector3();
   
-  // Create a material with texture for better depth perception
+  // One material shared by every chunk; vertex colors carry the palette, which
+  // the season tints and covers in snow and rain darkens
   const groundMaterial = new THREE.MeshStandardMaterial({
-    color: 0x3b7d4e, // Green color
+    vertexColors: true,
     flatShading: true, // Use flat shading for low-poly look
     roughness: 0.8,
-    metalness: 0.1,
-    wireframe: false
+    metalness: 0.1
   });
+  groundMaterial.userData.shared = true;
+  applySeasonalLook(groundMaterial, { tint: true, snow: true });
+  applyWetLook(groundMaterial);
+  
+  // Height of a global grid vertex, read from a loaded chunk when possible
+  const getVertexHeight = (ix, iz) => {
+    const cx = Math.floor(ix / chunkSegments);
+    const cz = Math.floor(iz / chunkSegments);
+    const chunk = chunks.get(chunkKey(cx, cz));
+    
+    if (chunk) {
+      const lx = ix - cx * chunkSegments;
+      const lz = iz - cz * chunkSegments;
+      return chunk.heights[lz * (chunkSegments + 1) + lx];
+    }
+    
+    return sampleVertexHeight(ix, iz);
+  };
   
-  // Create the ground mesh
-  const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-  ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-  ground.receiveShadow = true; // Important for receiving shadows from trees
-  ground.castShadow = false;
-  terrainGroup.add(ground);
-  
-  // Add a grid helper for better depth perception
-  const gridHelper = new THREE.GridHelper(400, 40, 0x000000, 0x000000);
-  gridHelper.position.y = 0.01; // Slightly above ground to avoid z-fighting
-  gridHelper.material.opacity = 0.2;
-  gridHelper.material.transparent = true;
-  terrainGroup.add(gridHelper);
-  
-  // Store reference to ground for collision detection
-  terrainGroup.userData.ground = ground;
-  
-  // Store reference to fireflies for animation (empty group for now)
-  const fireflies = new THREE.Group();
-  fireflies.update = () => {}; // Empty update function
-  terrainGroup.userData.fireflies = fireflies;
+  // Calls fn(chunk, lx, lz) for every loaded chunk sharing a global grid vertex
+  const forEachChunkAtVertex = (ix, iz, fn) => {
+    const cx = Math.floor(ix / chunkSegments);
+    const cz = Math.floor(iz / chunkSegments);
+    
+    // Border vertices also belong to the chunks to the west and north
+    for (let ncz = cz; ncz >= cz - (iz === cz * chunkSegments ? 1 : 0); ncz--) {
+      for (let ncx = cx; ncx >= cx - (ix === cx * chunkSegments ? 1 : 0); ncx--) {
+        const chunk = chunks.get(chunkKey(ncx, ncz));
+        if (chunk) {
+          fn(chunk, ix - ncx * chunkSegments, iz - ncz * chunkSegments);
+        }
+      }
+    }
+  };
   
-  return terrainGroup;
-}
-
-/**
- * Creates a low-poly plane geometry
- */
-function createLowPolyPlane(width, height, widthSegments, heightSegments) {
-  const geometry = new THREE.PlaneGeometry(
-    width,
-    height,
-    widthSegments,
-    heightSegments
-  );
-  
-  // Randomize vertices slightly for more natural look
-  const vertices = geometry.attributes.position.array;
-  for (let i = 0; i < vertices.length; i += 3) {
-    if (i % 9 === 0) { // Only modify certain vertices for low-poly look
-      vertices[i] += (Math.random() - 0.5) * 0.5;
-      vertices[i + 2] += (Math.random() - 0.5) * 0.5;
+  // Surface queries used by trees, props and the player
+  const surface = createSurfaceQueries(cellSize, getVertexHeight);
+  terrainGroup.getHeightAt = surface.getHeightAt;
+  terrainGroup.getNormalAt = surface.getNormalAt;
+  
+  // Biome weights at a world position, used to pick vegetation and ambience
+  terrainGroup.getBiomeAt = (x, z) => biomes.sample(x, z, terrainGroup.getHeightAt(x, z));
+  
+  // Depth of lake or river water at a world position (0 on dry land)
+  terrainGroup.getWaterDepthAt = (x, z) => Math.max(0, waterConfig.seaLevel - terrainGroup.getHeightAt(x, z));
+  
+  // Where trees, props and grass may grow; every generator draws its spots from here
+  const scatter = createScatter(world, terrainGroup, worldConfig.scatter);
+  scatter.addLayer(createTreeLayer(world, worldConfig.trees));
+  scatter.addLayer(glowingProps.layer);
+  scatter.addLayer(grass.layer);
+  terrainGroup.scatter = scatter;
+  
+  // Spacing of the full-detail height grid, for tools that edit grid vertices
+  terrainGroup.cellSize = cellSize;
+  terrainGroup.getVertexHeight = getVertexHeight;
+  
+  // Finds where a ray first meets the ground by marching and refining along it
+  terrainGroup.raycastSurface = (ray, maxDistance, target = new THREE.Vector3()) => {
+    const step = cellSize * 0.5;
+    let previous = 0;
+    
+    for (let distance = step; distance <= maxDistance; distance += step) {
+      ray.at(distance, target);
+      if (target.y > surface.getHeightAt(target.x, target.z)) {
+        previous = distance;
+        continue;
+      }
+      
+      // Bisect between the last point above and the first point below the ground
+      let above = previous;
+      let below = distance;
+      for (let i = 0; i < 10; i++) {
+        const middle = (above + below) / 2;
+        ray.at(middle, target);
+        if (target.y > surface.getHeightAt(target.x, target.z)) {
+          above = middle;
+        } else {
+          below = middle;
+        }
+      }
+      
+      ray.at(below, target);
+      target.y = surface.getHeightAt(target.x, target.z);
+      return target;
     }
-  }
+    
+    return null;
+  };
   
-  geometry.computeVertexNormals();
-  return geometry;
-}
-
-/**
- * Applies a height map to the geometry using simplex noise
- */
-function applyHeightMap(geometry, intensity = 5) {
-  const noise = new SimplexNoise();
-  const vertices = geometry.attributes.position.array;
+  /**
+   * Overrides the heights of global grid vertices
+   * Loaded chunks are redrawn, and their grass, props, fireflies and trees are
+   * moved by however much the ground under them rose or sank.
+   * @param {Array} updates - [ix, iz, height] entries
+   */
+  terrainGroup.setVertexHeights = (updates) => {
+    const previousHeights = new Map();
+    const touched = new Map();
+    
+    updates.forEach(([ix, iz, height]) => {
+      const key = chunkKey(ix, iz);
+      if (!previousHeights.has(key)) {
+        previousHeights.set(key, getVertexHeight(ix, iz));
+      }
+      edits.set(key, height);
+      
+      forEachChunkAtVertex(ix, iz, (chunk, lx, lz) => {
+        chunk.heights[lz * (chunkSegments + 1) + lx] = height;
+        
+        // Track the edited grid range of every chunk
+        const range = touched.get(chunk) || { minX: lx, minZ: lz, maxX: lx, maxZ: lz };
+        range.minX = Math.min(range.minX, lx);
+        range.minZ = Math.min(range.minZ, lz);
+        range.maxX = Math.max(range.maxX, lx);
+        range.maxZ = Math.max(range.maxZ, lz);
+        touched.set(chunk, range);
+      });
+    });
+    
+    // The surface as it was, to measure how far objects on it have to move
+    const previousSurface = createSurfaceQueries(cellSize, (ix, iz) => {
+      const height = previousHeights.get(chunkKey(ix, iz));
+      return height === undefined ? getVertexHeight(ix, iz) : height;
+    });
+    const getShift = (x, z) => surface.getHeightAt(x, z) - previousSurface.getHeightAt(x, z);
+    
+    touched.forEach((range, chunk) => {
+      updateTerrainColors(chunk, chunkSegments, cellSize, biomes, colorSeed, range);
+      
+      // Objects up to one cell outside the edited vertices stand on changed triangles
+      const bounds = {
+        minX: chunk.minX + (range.minX - 1) * cellSize,
+        minZ: chunk.minZ + (range.minZ - 1) * cellSize,
+        maxX: chunk.minX + (range.maxX + 1) * cellSize,
+        maxZ: chunk.minZ + (range.maxZ + 1) * cellSize
+      };
+      chunk.lod.refresh(bounds);
+      chunk.lod.update(viewPosition);
+      
+      // Flood new hollows below the sea level
+      if (!chunk.water) {
+        chunk.water = water.createChunkSurface(chunk, chunk.heights);
+        if (chunk.water) {
+          chunk.group.add(chunk.water);
+        }
+      }
+      
+      [chunk.grass, ...chunk.props.children, chunk.fireflies, ...chunk.trees.children].forEach((object) => {
+        if (object) {
+          followSurface(object, bounds, getShift);
+        }
+      });
+    });
+  };
+  
+  // Sculpted heights as plain data, for saving edits to a file or local storage
+  terrainGroup.exportEdits = () => ({
+    version: 1,
+    seed: world.seed,
+    cellSize: cellSize,
+    vertices: Array.from(edits, ([key, height]) => {
+      const [ix, iz] = key.split(',').map(Number);
+      return [ix, iz, Math.round(height * 1000) / 1000];
+    })
+  });
   
-  for (let i = 0; i < vertices.length; i += 3) {
-    const x = vertices[i];
-    const z = vertices[i + 2];
+  // Replaces all sculpted heights with previously exported ones and rebuilds the loaded chunks
+  terrainGroup.importEdits = (data) => {
+    if (data.cellSize !== cellSize) {
+      throw new Error(`Terrain edits were made on a ${data.cellSize} unit grid, but this terrain uses ${cellSize}`);
+    }
+    if (data.seed !== world.seed) {
+      console.warn(`Terrain edits were made for seed "${data.seed}", applying them to "${world.seed}"`);
+    }
     
-    // Apply noise at different frequencies for more natural terrain
-    const noise1 = noise.noise(x * 0.01, z * 0.01) * 0.5;
-    const noise2 = noise.noise(x * 0.05, z * 0.05) * 0.25;
-    const noise3 = noise.noise(x * 0.2, z * 0.2) * 0.125;
+    edits.clear();
+    data.vertices.forEach(([ix, iz, height]) => edits.set(chunkKey(ix, iz), height));
     
-    // Combine noise values and apply to y-coordinate
-    vertices[i + 1] = (noise1 + noise2 + noise3) * intensity;
+    chunks.forEach(disposeChunk);
+    streamChunks(streamPosition, Infinity);
+  };
+  
+  /**
+   * Keeps trees, props and grass out of an area, e.g. around a placed object
+   * Loaded chunks near the zone are regrown without it.
+   * @param {Object} zone - A circle ({ x, z, radius }) or a path ({ points: [[x, z], ...], width }),
+   *   optionally limited to some scatter layers ({ layers: ['trees'] })
+   * @returns {Object} The zone, to pass to removeExclusionZone later
+   */
+  terrainGroup.addExclusionZone = (zone) => {
+    scatter.addExclusionZone(zone);
+    rebuildChunksNear(zone.bounds);
+    return zone;
+  };
+  
+  terrainGroup.removeExclusionZone = (zone) => {
+    scatter.removeExclusionZone(zone);
+    rebuildChunksNear(zone.bounds);
+  };
+  
+  // Regrows loaded chunks whose scattered spots a zone change may have moved
+  const rebuildChunksNear = (bounds) => {
+    const affected = Array.from(chunks.values()).filter((chunk) =>
+      chunk.minX < bounds.maxX + SCATTER_MARGIN && chunk.minX + chunk.size > bounds.minX - SCATTER_MARGIN &&
+      chunk.minZ < bounds.maxZ + SCATTER_MARGIN && chunk.minZ + chunk.size > bounds.minZ - SCATTER_MARGIN
+    );
+    affected.forEach((chunk) => {
+      disposeChunk(chunk);
+      buildChunk(chunk.cx, chunk.cz);
+    });
+  };
+  
+  // Builds a chunk tile and everything that grows on it
+  const buildChunk = (cx, cz) => {
+    const chunk = {
+      key: chunkKey(cx, cz),
+      cx: cx,
+      cz: cz,
+      size: config.chunkSize,
+      minX: cx * config.chunkSize,
+      minZ: cz * config.chunkSize,
+      random: world.random.fork('chunk', cx, cz),
+      group: new THREE.Group()
+    };
+    
+    // Sample the full-detail grid; LOD tiles pick their vertices from it
+    chunk.heights = sampleChunkHeights(chunk, chunkSegments, sampleVertexHeight);
+    chunk.colors = new Float32Array(chunk.heights.length * 3);
+    updateTerrainColors(chunk, chunkSegments, cellSize, biomes, colorSeed, { minX: 0, minZ: 0, maxX: chunkSegments, maxZ: chunkSegments });
+    
+    chunk.lod = createChunkLod(chunk, {
+      segments: chunkSegments,
+      tileSegments: config.lod.tileSegments,
+      cellSize: cellSize,
+      splitDistance: config.lod.splitDistance,
+      material: groundMaterial
+    });
+    chunk.lod.update(viewPosition);
+    chunk.group.add(chunk.lod.group);
     
-    // Create flat areas occasionally
-    if (Math.random() > 0.97) {
-      vertices[i + 1] *= 0.1;
+    // Fill depressions below the sea level with water
+    chunk.water = water.createChunkSurface(chunk, chunk.heights);
+    if (chunk.water) {
+      chunk.group.add(chunk.water);
     }
-  }
-  
-  geometry.attributes.position.needsUpdate = true;
-  geometry.computeVertexNormals();
-}
-
-/**
- * Applies colors to the terrain vertices based on height and randomness
- */
-function applyTerrainColors(geometry) {
-  const positions = geometry.attributes.position.array;
-  const colors = [];
+    
+    // Register before populating so surface queries read this chunk's heights
+    chunks.set(chunk.key, chunk);
+    
+    // Populate the chunk with vegetation and glowing props
+    chunk.grass = grass.createChunkGrass(chunk, terrainGroup, chunk.random.fork('grass'));
+    chunk.group.add(chunk.grass);
+    chunk.props = glowingProps.createChunkProps(chunk, terrainGroup);
+    chunk.group.add(chunk.props);
+    
+    // Fireflies gather around mushroom clusters and along shorelines
+    chunk.fireflies = fireflies.createChunkFireflies(chunk, terrainGroup, chunk.random.fork('fireflies'), chunk.props.userData.clusterCenters);
+    if (chunk.fireflies) {
+      chunk.group.add(chunk.fireflies);
+    }
+    
+    chunk.trees = createChunkTrees(chunk, world, terrainGroup);
+    updateTreeLod(chunk.trees, viewPosition);
+    chunk.group.add(chunk.trees);
+    
+    terrainGroup.add(chunk.group);
+  };
   
-  // Base colors
-  const grassColor = new THREE.Color(0x3b7d4e); // Medium green
-  const darkGrassColor = new THREE.Color(0x2d5d3b); // Dark green
-  const dirtColor = new THREE.Color(0x8B4513); // Brown
+  // Removes a chunk and frees its GPU resources
+  const disposeChunk = (chunk) => {
+    terrainGroup.remove(chunk.group);
+    disposeObject(chunk.group);
+    chunks.delete(chunk.key);
+  };
   
-  for (let i = 0; i < positions.length; i += 3) {
-    const height = positions[i + 1];
+  // Loads missing chunks nearest first and drops chunks out of range
+  const streamChunks = (position, buildBudget) => {
+    const centerX = Math.floor(position.x / config.chunkSize);
+    const centerZ = Math.floor(position.z / config.chunkSize);
+    
+    // Unload chunks beyond the view distance (one chunk of slack avoids thrashing at borders)
+    chunks.forEach((chunk) => {
+      const distance = Math.max(Math.abs(chunk.cx - centerX), Math.abs(chunk.cz - centerZ));
+      if (distance > config.viewDistance + 1) {
+        disposeChunk(chunk);
+      }
+    });
     
-    // Choose color based on height and randomness
-    let color;
-    if (height < 0) {
-      // Mix dirt and dark grass for low areas
-      color = dirtColor.clone().lerp(darkGrassColor, 0.3 + Math.random() * 0.3);
-    } else if (height < 2) {
-      // Regular grass with slight variation
-      color = grassColor.clone();
-      color.r += (Math.random() - 0.5) * 0.1;
-      color.g += (Math.random() - 0.5) * 0.1;
-      color.b += (Math.random() - 0.5) * 0.1;
-    } else {
-      // Lighter grass for higher areas
-      color = grassColor.clone().lerp(new THREE.Color(0x7cad6d), Math.min(1, (height - 2) / 3));
+    // Collect missing chunks in the ring around the player
+    const missing = [];
+    for (let dz = -config.viewDistance; dz <= config.viewDistance; dz++) {
+      for (let dx = -config.viewDistance; dx <= config.viewDistance; dx++) {
+        if (!chunks.has(chunkKey(centerX + dx, centerZ + dz))) {
+          missing.push({ cx: centerX + dx, cz: centerZ + dz, distance: dx * dx + dz * dz });
+        }
+      }
     }
     
-    colors.push(color.r, color.g, color.b);
-  }
+    missing.sort((a, b) => a.distance - b.distance);
+    missing.slice(0, buildBudget).forEach(({ cx, cz }) => buildChunk(cx, cz));
+  };
+  
+  // Stream chunks around the player and refine the ground and trees towards the camera
+  terrainGroup.update = (position, cameraPosition = position) => {
+    streamPosition.copy(position);
+    viewPosition.copy(cameraPosition);
+    streamChunks(position, config.chunkBuildsPerFrame);
+    chunks.forEach((chunk) => {
+      chunk.lod.update(viewPosition);
+      updateTreeLod(chunk.trees, viewPosition);
+    });
+  };
+  
+  // Generate the area around the spawn point up front
+  streamChunks(new THREE.Vector3(), Infinity);
+  
+  // Store reference to loaded chunks for debugging and collision detection
+  terrainGroup.userData.chunks = chunks;
+  
+  // Store reference to water, grass, glowing props and fireflies for animation
+  terrainGroup.userData.water = water;
+  terrainGroup.userData.grass = grass;
+  terrainGroup.userData.glowingProps = glowingProps;
+  terrainGroup.userData.fireflies = fireflies;
   
-  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  return terrainGroup;
 }
 
 /**
- * Adds grass patches to the terrain (optimized for performance)
+ * Builds the map key for a chunk coordinate
  */
-function addGrassPatches(terrainGroup, ground) {
-  const grassCount = 800; // Increased count for better coverage
-  
-  // Create grass geometry (improved triangle with better shape)
-  const grassGeometry = new THREE.BufferGeometry();
-  const grassVertices = new Float32Array([
-    -0.1, 0, 0.05,
-    0.1, 0, 0.05,
-    0, 0.5, 0,
-    -0.1, 0, -0.05,
-    0.1, 0, -0.05,
-    0, 0.5, 0
-  ]);
-  
-  // Create faces for the grass blade (two triangles)
-  const indices = new Uint16Array([
-    0, 1, 2, // front face
-    3, 5, 4  // back face
-  ]);
-  
-  grassGeometry.setAttribute('position', new THREE.BufferAttribute(grassVertices, 3));
-  grassGeometry.setIndex(new THREE.BufferAttribute(indices, 1));
-  grassGeometry.computeVertexNormals();
-  
-  // Create grass materials with different shades
-  const grassMaterials = [
-    new THREE.MeshStandardMaterial({ color: 0x4caf50, flatShading: true }), // Medium green
-    new THREE.MeshStandardMaterial({ color: 0x388e3c, flatShading: true }), // Dark green
-    new THREE.MeshStandardMaterial({ color: 0x81c784, flatShading: true })  // Light green
-  ];
-  
-  // Create grass instances and distribute them
-  const groundVertices = ground.geometry.attributes.position.array;
-  const groundVertexCount = groundVertices.length / 3;
-  
-  for (let i = 0; i < grassCount; i++) {
-    // Get a random vertex from the ground
-    const randomIndex = Math.floor(Math.random() * groundVertexCount) * 3;
-    const x = groundVertices[randomIndex];
-    const y = groundVertices[randomIndex + 1];
-    const z = groundVertices[randomIndex + 2];
-    
-    // Create grass blade
-    const grassMaterial = grassMaterials[Math.floor(Math.random() * grassMaterials.length)];
-    const grass = new THREE.Mesh(grassGeometry, grassMaterial);
-    
-    // Position grass on the terrain
-    grass.position.set(x, y, z);
-    
-    // Rotate grass randomly
-    grass.rotation.y = Math.random() * Math.PI * 2;
-    
-    // Add slight random tilt
-    grass.rotation.x = (Math.random() - 0.5) * 0.2;
-    grass.rotation.z = (Math.random() - 0.5) * 0.2;
-    
-    // Scale grass randomly
-    const scale = 0.2 + Math.random() * 0.3;
-    grass.scale.set(scale, scale, scale);
+function chunkKey(cx, cz) {
+  return `${cx},${cz}`;
+}
+
+/**
+ * Disposes geometries and materials below an object
+ * Resources flagged with userData.shared are left alone.
+ */
+function disposeObject(object) {
+  object.traverse((child) => {
+    // Instanced meshes own their per-instance buffers
+    if (child.isInstancedMesh) {
+      child.dispose();
+    }
     
-    // Apply ground rotation to grass
-    grass.rotation.x -= Math.PI / 2; // Adjust for ground rotation
+    if (child.geometry && !child.geometry.userData.shared) {
+      child.geometry.dispose();
+    }
     
-    // Add to terrain group
-    terrainGroup.add(grass);
-  }
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (material && !material.userData.shared) {
+        material.dispose();
+      }
+    });
+  });
 }
 
 /**
- * Adds glowing elements to the terrain for bloom effect
+ * Samples the terrain height at a world position
+ * Pure function of the noise so neighbouring samples always agree.
  */
-function addGlowingElements(terrainGroup, ground) {
-  const noise = new SimplexNoise();
-  
-  // Create glowing mushrooms
-  addGlowingMushrooms(terrainGroup, ground, noise);
+function sampleTerrainHeight(noise, x, z, intensity, waterConfig) {
+  // Apply noise at different frequencies for more natural terrain
+  const noise1 = noise.noise(x * 0.01, z * 0.01) * 0.5;
+  const noise2 = noise.noise(x * 0.05, z * 0.05) * 0.25;
+  const noise3 = noise.noise(x * 0.2, z * 0.2) * 0.125;
+  
+  let height = (noise1 + noise2 + noise3) * intensity;
+  
+  // Create flat meadows where a slow noise field is high
+  const flatness = THREE.MathUtils.smoothstep(noise.noise(x * 0.004 + 31.7, z * 0.004 - 12.3), 0.2, 0.6);
+  height *= 1 - flatness * 0.8;
+  
+  // Carve river beds along the zero crossings of a slow noise field
+  if (waterConfig.rivers) {
+    const river = Math.abs(noise.noise(x * 0.003 + 71.3, z * 0.003 - 19.1));
+    const carve = 1 - THREE.MathUtils.smoothstep(river, waterConfig.riverWidth, waterConfig.riverWidth * 3);
+    height = THREE.MathUtils.lerp(height, waterConfig.seaLevel - waterConfig.riverDepth, carve);
+  }
   
-  // Create glowing crystals
-  addGlowingCrystals(terrainGroup, ground, noise);
+  // Level the spawn area around the origin
+  const spawnDistance = Math.sqrt(x * x + z * z);
+  height *= THREE.MathUtils.smoothstep(spawnDistance, SPAWN_FLAT_RADIUS * 0.5, SPAWN_FLAT_RADIUS * 1.5);
   
-  // Create fireflies
-  addFireflies(terrainGroup, ground, noise);
+  return height;
 }
 
 /**
- * Adds glowing mushrooms to the terrain
+ * Samples the heights of a chunk's full-detail grid
+ * @param {Function} sampleVertexHeight - Returns the height of global grid vertex (ix, iz)
+ * @returns {Float32Array} Vertex heights in row order (x fastest)
  */
-function addGlowingMushrooms(terrainGroup, ground, noise) {
-  const mushroomCount = 50; // Increased count for better distribution
-  const groundVertices = ground.geometry.attributes.position.array;
-  const groundVertexCount = groundVertices.length / 3;
-  
-  // Create mushroom materials
-  const stemMaterial = new THREE.MeshStandardMaterial({
-    color: 0xeeeeee,
-    roughness: 0.7,
-    metalness: 0.2
-  });
+function sampleChunkHeights(chunk, segments, sampleVertexHeight) {
+  const heights = new Float32Array((segments + 1) * (segments + 1));
   
-  const capMaterial = new THREE.MeshStandardMaterial({
-    color: 0x88ccff,
-    emissive: 0x4477ff,
-    emissiveIntensity: 0.8,
-    roughness: 0.5,
-    metalness: 0.3
-  });
-  
-  for (let i = 0; i < mushroomCount; i++) {
-    // Get a random vertex from the ground
-    const randomIndex = Math.floor(Math.random() * groundVertexCount) * 3;
-    const x = groundVertices[randomIndex];
-    const y = groundVertices[randomIndex + 1];
-    const z = groundVertices[randomIndex + 2];
-    
-    // Create mushroom group
-    const mushroom = new THREE.Group();
-    
-    // Create stem
-    const stemHeight = 0.2 + Math.random() * 0.3;
-    const stemRadius = 0.05 + Math.random() * 0.05;
-    const stemGeometry = new THREE.CylinderGeometry(
-      stemRadius * 0.8, stemRadius, stemHeight, 8, 1
-    );
-    const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-    stem.position.y = stemHeight / 2;
-    mushroom.add(stem);
-    
-    // Create cap
-    const capRadius = stemRadius * (2 + Math.random());
-    const capGeometry = new THREE.SphereGeometry(capRadius, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
-    const cap = new THREE.Mesh(capGeometry, capMaterial);
-    cap.position.y = stemHeight;
-    cap.scale.y = 0.7;
-    
-    // Add cap to bloom layer
-    cap.layers.enable(1);
-    
-    mushroom.add(cap);
-    
-    // Position mushroom on terrain
-    mushroom.position.set(x, y, z);
-    
-    // Apply ground rotation
-    mushroom.rotation.x = -Math.PI / 2;
-    
-    // Add to terrain group
-    terrainGroup.add(mushroom);
+  for (let iz = 0; iz <= segments; iz++) {
+    for (let ix = 0; ix <= segments; ix++) {
+      heights[iz * (segments + 1) + ix] = sampleVertexHeight(chunk.cx * segments + ix, chunk.cz * segments + iz);
+    }
   }
+  
+  return heights;
 }
 
 /**
- * Adds glowing crystals to the terrain
+ * Moves an object placed on the ground by the change in surface height under it
+ * Instanced meshes and point clouds move per instance or point, and batched
+ * meshes with an anchor attribute move per vertex by the shift at the vertex's
+ * anchor; anything else moves as a whole. Only positions inside the bounds are considered.
  */
-function addGlowingCrystals(terrainGroup, ground, noise) {
-  const crystalCount = 25; // Increased count for better distribution
-  const groundVertices = ground.geometry.attributes.position.array;
-  const groundVertexCount = groundVertices.length / 3;
-  
-  // Create crystal materials with different colors
-  const crystalMaterials = [
-    new THREE.MeshStandardMaterial({
-      color: 0xff77aa,
-      emissive: 0xff2277,
-      emissiveIntensity: 0.8,
-      roughness: 0.2,
-      metalness: 0.8
-    }),
-    new THREE.MeshStandardMaterial({
-      color: 0x77ffaa,
-      emissive: 0x22ff77,
-      emissiveIntensity: 0.8,
-      roughness: 0.2,
-      metalness: 0.8
-    }),
-    new THREE.MeshStandardMaterial({
-      color: 0x77aaff,
-      emissive: 0x2277ff,
-      emissiveIntensity: 0.8,
-      roughness: 0.2,
-      metalness: 0.8
-    })
-  ];
-  
-  for (let i = 0; i < crystalCount; i++) {
-    // Get a random vertex from the ground
-    const randomIndex = Math.floor(Math.random() * groundVertexCount) * 3;
-    const x = groundVertices[randomIndex];
-    const y = groundVertices[randomIndex + 1];
-    const z = groundVertices[randomIndex + 2];
-    
-    // Create crystal group
-    const crystal = new THREE.Group();
-    
-    // Create 2-4 crystal shards
-    const shardCount = 2 + Math.floor(Math.random() * 3);
-    
-    for (let j = 0; j < shardCount; j++) {
-      // Create crystal shard
-      const height = 0.3 + Math.random() * 0.7;
-      const radius = 0.05 + Math.random() * 0.1;
-      
-      // Use cone geometry for crystal shard
-      const shardGeometry = new THREE.ConeGeometry(radius, height, 5, 1);
-      
-      // Select random material
-      const material = crystalMaterials[Math.floor(Math.random() * crystalMaterials.length)];
-      const shard = new THREE.Mesh(shardGeometry, material);
+function followSurface(object, bounds, getShift) {
+  const inBounds = (x, z) => x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ;
+  
+  if (object.isInstancedMesh) {
+    // Instances that belong to a tree follow the ground under its trunk
+    const anchors = object.userData.anchors;
+    let moved = false;
+    
+    for (let i = 0; i < object.count; i++) {
+      object.getMatrixAt(i, followMatrix);
+      const elements = followMatrix.elements;
+      const x = anchors ? anchors[i * 3] : elements[12];
+      const z = anchors ? anchors[i * 3 + 2] : elements[14];
+      if (!inBounds(x, z)) continue;
       
-      // Position shard within crystal group
-      const angle = (j / shardCount) * Math.PI * 2;
-      const distance = 0.1 * Math.random();
-      shard.position.set(
-        Math.cos(angle) * distance,
-        height / 2,
-        Math.sin(angle) * distance
-      );
-      
-      // Random rotation
-      shard.rotation.x = (Math.random() - 0.5) * 0.3;
-      shard.rotation.z = (Math.random() - 0.5) * 0.3;
+      const shift = getShift(x, z);
+      elements[13] += shift;
+      object.setMatrixAt(i, followMatrix);
+      if (anchors) {
+        anchors[i * 3 + 1] += shift;
+      }
+      moved = true;
+    }
+    
+    if (moved) {
+      object.instanceMatrix.needsUpdate = true;
+      object.computeBoundingSphere();
       
-      // Add to bloom layer
-      shard.layers.enable(1);
+      // Ornaments also read their anchors in the shader
+      if (object.geometry.attributes.anchor) {
+        object.geometry.attributes.anchor.needsUpdate = true;
+      }
+    }
+  } else if (object.isPoints) {
+    const positions = object.geometry.attributes.position;
+    let moved = false;
+    
+    for (let i = 0; i < positions.count; i++) {
+      const x = positions.getX(i);
+      const z = positions.getZ(i);
+      if (!inBounds(x, z)) continue;
       
-      crystal.add(shard);
+      positions.setY(i, positions.getY(i) + getShift(x, z));
+      moved = true;
     }
     
-    // Position crystal on terrain
-    crystal.position.set(x, y, z);
-    
-    // Apply ground rotation
-    crystal.rotation.x = -Math.PI / 2;
+    if (moved) {
+      positions.needsUpdate = true;
+      object.geometry.computeBoundingSphere();
+    }
+  } else if (object.geometry && object.geometry.attributes.anchor) {
+    // Batched trees move vertex by vertex with the ground under their anchor
+    const positions = object.geometry.attributes.position;
+    const anchors = object.geometry.attributes.anchor;
+    let moved = false;
+    let shift = 0;
+    
+    for (let i = 0; i < positions.count; i++) {
+      const x = anchors.getX(i);
+      const z = anchors.getZ(i);
+      if (!inBounds(x, z)) continue;
+      
+      // Vertices of one tree are stored together, so reuse the shift of the previous one
+      if (i === 0 || x !== anchors.getX(i - 1) || z !== anchors.getZ(i - 1)) {
+        shift = getShift(x, z);
+      }
+      positions.setY(i, positions.getY(i) + shift);
+      anchors.setY(i, anchors.getY(i) + shift);
+      moved = true;
+    }
     
-    // Add to terrain group
-    terrainGroup.add(crystal);
+    if (moved) {
+      positions.needsUpdate = true;
+      anchors.needsUpdate = true;
+      object.geometry.computeBoundingSphere();
+    }
+  } else if (inBounds(object.position.x, object.position.z)) {
+    object.position.y += getShift(object.position.x, object.position.z);
   }
 }
 
 /**
- * Adds fireflies (small glowing particles) to the terrain
+ * Creates height and normal lookups over an unbounded square grid
+ * Interpolates over the same two triangles per cell that PlaneGeometry renders,
+ * so returned heights lie exactly on the visible surface.
+ * @param {number} cellSize - World units per grid cell
+ * @param {Function} getVertexHeight - Returns the height of global grid vertex (ix, iz)
  */
-function addFireflies(terrainGroup, ground, noise) {
-  const fireflyCount = 150; // Increased count for better effect
-  
-  // Create firefly material (use MeshStandardMaterial for emissive properties)
-  const fireflyMaterial = new THREE.MeshStandardMaterial({
-    color: 0xffff77,
-    emissive: 0xffff00,
-    emissiveIntensity: 1.0,
-    roughness: 0.3,
-    metalness: 0.2
-  });
-  
-  // Create firefly geometry (small sphere)
-  const fireflyGeometry = new THREE.SphereGeometry(0.05, 4, 4);
-  
-  // Create firefly group
-  const fireflies = new THREE.Group();
-  
-  for (let i = 0; i < fireflyCount; i++) {
-    // Create firefly
-    const firefly = new THREE.Mesh(fireflyGeometry, fireflyMaterial);
-    
-    // Position randomly in the scene
-    const radius = 40 + Math.random() * 30;
-    const angle = Math.random() * Math.PI * 2;
-    const height = 0.5 + Math.random() * 5;
-    
-    firefly.position.set(
-      Math.cos(angle) * radius,
-      height,
-      Math.sin(angle) * radius
-    );
-    
-    // Add to bloom layer
-    firefly.layers.enable(1);
-    
-    // Store original position for animation
-    firefly.userData.originalY = firefly.position.y;
-    firefly.userData.originalX = firefly.position.x;
-    firefly.userData.originalZ = firefly.position.z;
-    firefly.userData.speed = 0.2 + Math.random() * 0.5;
-    firefly.userData.phase = Math.random() * Math.PI * 2;
-    
-    // Add to fireflies group
-    fireflies.add(firefly);
-  }
+function createSurfaceQueries(cellSize, getVertexHeight) {
+  const edgeA = new THREE.Vector3();
+  const edgeB = new THREE.Vector3();
+  
+  // Finds the cell and the position inside it for a world coordinate
+  const locate = (x, z) => {
+    const gx = x / cellSize;
+    const gz = z / cellSize;
+    const ix = Math.floor(gx);
+    const iz = Math.floor(gz);
+    
+    return {
+      u: gx - ix,
+      v: gz - iz,
+      h00: getVertexHeight(ix, iz),
+      h10: getVertexHeight(ix + 1, iz),
+      h01: getVertexHeight(ix, iz + 1),
+      h11: getVertexHeight(ix + 1, iz + 1)
+    };
+  };
   
-  // Add animation function to the fireflies group
-  fireflies.update = (delta) => {
-    const time = Date.now() * 0.001;
-    
-    // Animate each firefly
-    fireflies.children.forEach((firefly, index) => {
-      // Gentle floating motion
-      firefly.position.y = firefly.userData.originalY + 
-                          Math.sin(time * firefly.userData.speed + firefly.userData.phase) * 0.5;
+  return {
+    getHeightAt: (x, z) => {
+      const { u, v, h00, h10, h01, h11 } = locate(x, z);
       
-      // Gentle horizontal motion
-      const horizontalPhase = firefly.userData.phase + index;
-      firefly.position.x = firefly.userData.originalX + 
-                          Math.sin(time * 0.2 + horizontalPhase) * 1.0;
-      firefly.position.z = firefly.userData.originalZ + 
-                          Math.cos(time * 0.2 + horizontalPhase) * 1.0;
+      // Each cell is split along the (ix, iz + 1) - (ix + 1, iz) diagonal
+      if (u + v <= 1) {
+        return h00 + (h10 - h00) * u + (h01 - h00) * v;
+      }
+      return h11 + (h01 - h11) * (1 - u) + (h10 - h11) * (1 - v);
+    },
+    
+    getNormalAt: (x, z, target = new THREE.Vector3()) => {
+      const { u, v, h00, h10, h01, h11 } = locate(x, z);
       
-      // Pulse the size slightly
-      const scale = 0.8 + Math.sin(time * 2 + index) * 0.2;
-      firefly.scale.set(scale, scale, scale);
-    });
+      // Face normal of the triangle under the point
+      if (u + v <= 1) {
+        edgeA.set(0, h01 - h00, cellSize);
+        edgeB.set(cellSize, h10 - h00, 0);
+      } else {
+        edgeA.set(0, h10 - h11, -cellSize);
+        edgeB.set(-cellSize, h01 - h11, 0);
+      }
+      
+      return target.crossVectors(edgeA, edgeB).normalize();
+    }
   };
-  
-  // Add fireflies to terrain group
-  terrainGroup.add(fireflies);
-  
-  // Store reference to fireflies for animation
-  terrainGroup.userData.fireflies = fireflies;
+}
+
+/**
+ * Colors a range of a chunk's grid vertices from the blended biome palettes
+ * The range is inclusive and in chunk grid units. Variation is hashed from the global grid coordinate so colors match across
+ * chunk borders.
+ */
+function updateTerrainColors(chunk, segments, cellSize, biomes, colorSeed, range) {
+  const colors = chunk.colors;
+  const color = new THREE.Color();
+  const originX = chunk.cx * segments;
+  const originZ = chunk.cz * segments;
+  
+  for (let iz = range.minZ; iz <= range.maxZ; iz++) {
+    for (let ix = range.minX; ix <= range.maxX; ix++) {
+      const index = iz * (segments + 1) + ix;
+      const x = chunk.minX + ix * cellSize;
+      const z = chunk.minZ + iz * cellSize;
+      const height = chunk.heights[index];
+      
+      // Blend the palettes of all biomes meeting at this vertex
+      getGroundColor(biomes.sample(x, z, height).weights, height, color);
+      
+      // Slight per-vertex variation
+      color.r += (hashCoords(colorSeed + 1, originX + ix, originZ + iz) - 0.5) * 0.1;
+      color.g += (hashCoords(colorSeed + 2, originX + ix, originZ + iz) - 0.5) * 0.1;
+      color.b += (hashCoords(colorSeed + 3, originX + ix, originZ + iz) - 0.5) * 0.1;
+      
+      colors[index * 3] = color.r;
+      colors[index * 3 + 1] = color.g;
+      colors[index * 3 + 2] = color.b;
+    }
+  }
 }
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+// Merge a little further out than we split so tiles don't flicker at the threshold
+const MERGE_HYSTERESIS = 1.15;
+
+/**
+ * Creates a quadtree level-of-detail mesh for one terrain chunk
+ * Every tile has the same number of grid segments, so a tile covering a
+ * quarter of its parent shows twice the detail. Tiles near the viewer split
+ * down to the chunk's full-detail grid; the finest level renders exactly the
+ * surface that getHeightAt interpolates. Coarser tiles reuse every n-th
+ * full-detail vertex, and skirts hanging from each tile edge hide the gaps
+ * where neighbouring tiles of different levels meet.
+ * @param {Object} chunk - Chunk with minX, minZ, heights and colors on the full-detail grid
+ * @param {Object} options - segments (full-detail cells per chunk side), tileSegments,
+ *   cellSize, splitDistance (in tile sizes) and the ground material
+ * @returns {Object} LOD with a group of tile meshes, update(viewPosition) and refresh(bounds)
+ */
+export function createChunkLod(chunk, options) {
+  const group = new THREE.Group();
+  const maxDepth = Math.round(Math.log2(options.segments / options.tileSegments));
+  const root = createNode(chunk, options, 0, 0, 0, options.segments);
+  
+  // Shows the node's own tile, creating it on first use
+  const showTile = (node) => {
+    if (!node.mesh) {
+      node.mesh = new THREE.Mesh(createTileGeometry(chunk, options, node), options.material);
+      node.mesh.receiveShadow = true; // Important for receiving shadows from trees
+      node.mesh.castShadow = false;
+      group.add(node.mesh);
+    }
+    node.mesh.visible = true;
+  };
+  
+  // Frees the node's own tile
+  const dropTile = (node) => {
+    if (node.mesh) {
+      group.remove(node.mesh);
+      node.mesh.geometry.dispose();
+      node.mesh = null;
+    }
+  };
+  
+  // Drops the tiles of a node and everything below it
+  const releaseNode = (node) => {
+    dropTile(node);
+    if (node.children) {
+      node.children.forEach(releaseNode);
+      node.children = null;
+    }
+  };
+  
+  // Splits nodes close to the viewer and merges those that fell behind
+  const visit = (node, viewPosition) => {
+    const threshold = node.size * options.splitDistance;
+    const distance = distanceToNode(node, viewPosition);
+    const split = node.depth < maxDepth &&
+      distance < (node.children ? threshold * MERGE_HYSTERESIS : threshold);
+    
+    if (split) {
+      if (!node.children) {
+        const half = node.cells / 2;
+        node.children = [
+          createNode(chunk, options, node.depth + 1, node.ix, node.iz, half),
+          createNode(chunk, options, node.depth + 1, node.ix + half, node.iz, half),
+          createNode(chunk, options, node.depth + 1, node.ix, node.iz + half, half),
+          createNode(chunk, options, node.depth + 1, node.ix + half, node.iz + half, half)
+        ];
+      }
+      
+      // Parent tiles stay cached while their children are shown
+      if (node.mesh) {
+        node.mesh.visible = false;
+      }
+      node.children.forEach((child) => visit(child, viewPosition));
+    } else {
+      if (node.children) {
+        node.children.forEach(releaseNode);
+        node.children = null;
+      }
+      showTile(node);
+    }
+  };
+  
+  // Drops tiles overlapping edited world bounds so they are rebuilt from the new heights
+  const refreshNode = (node, bounds) => {
+    if (node.minX > bounds.maxX || node.minX + node.size < bounds.minX ||
+        node.minZ > bounds.maxZ || node.minZ + node.size < bounds.minZ) {
+      return;
+    }
+    
+    Object.assign(node, measureHeights(chunk, options, node.ix, node.iz, node.cells));
+    dropTile(node);
+    if (node.children) {
+      node.children.forEach((child) => refreshNode(child, bounds));
+    }
+  };
+  
+  return {
+    group: group,
+    
+    // Picks tile levels for the current viewer position (the camera, not the player)
+    update: (viewPosition) => {
+      visit(root, viewPosition);
+    },
+    
+    // Rebuilds the tiles covering changed heights on the next update
+    refresh: (bounds) => {
+      refreshNode(root, bounds);
+    }
+  };
+}
+
+/**
+ * Creates a quadtree node covering a square of full-detail grid cells
+ */
+function createNode(chunk, options, depth, ix, iz, cells) {
+  return {
+    depth: depth,
+    ix: ix,
+    iz: iz,
+    cells: cells,
+    minX: chunk.minX + ix * options.cellSize,
+    minZ: chunk.minZ + iz * options.cellSize,
+    size: cells * options.cellSize,
+    ...measureHeights(chunk, options, ix, iz, cells),
+    mesh: null,
+    children: null
+  };
+}
+
+/**
+ * Finds the height range of a square of grid cells, used for the distance test
+ */
+function measureHeights(chunk, options, ix, iz, cells) {
+  const stride = options.segments + 1;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  
+  for (let gz = iz; gz <= iz + cells; gz++) {
+    for (let gx = ix; gx <= ix + cells; gx++) {
+      const height = chunk.heights[gz * stride + gx];
+      minY = Math.min(minY, height);
+      maxY = Math.max(maxY, height);
+    }
+  }
+  
+  return { minY: minY, maxY: maxY };
+}
+
+/**
+ * Distance from a point to the node's bounding box
+ */
+function distanceToNode(node, point) {
+  const dx = Math.max(node.minX - point.x, 0, point.x - (node.minX + node.size));
+  const dy = Math.max(node.minY - point.y, 0, point.y - node.maxY);
+  const dz = Math.max(node.minZ - point.z, 0, point.z - (node.minZ + node.size));
+  
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Builds the geometry for one tile, with skirts along its four edges
+ * Cells are split along the same diagonal as PlaneGeometry so the finest
+ * level matches the surface queries exactly.
+ */
+function createTileGeometry(chunk, options, node) {
+  const segments = options.tileSegments;
+  const step = node.cells / segments;
+  const stride = options.segments + 1;
+  const tileCellSize = step * options.cellSize;
+  const skirtDepth = tileCellSize;
+  const positions = [];
+  const colors = [];
+  const indices = [];
+  
+  // Surface vertices, copied from the full-detail grid
+  for (let j = 0; j <= segments; j++) {
+    for (let i = 0; i <= segments; i++) {
+      const gx = node.ix + i * step;
+      const gz = node.iz + j * step;
+      const index = gz * stride + gx;
+      
+      positions.push(chunk.minX + gx * options.cellSize, chunk.heights[index], chunk.minZ + gz * options.cellSize);
+      colors.push(chunk.colors[index * 3], chunk.colors[index * 3 + 1], chunk.colors[index * 3 + 2]);
+    }
+  }
+  
+  const vertex = (i, j) => j * (segments + 1) + i;
+  
+  for (let j = 0; j < segments; j++) {
+    for (let i = 0; i < segments; i++) {
+      const a = vertex(i, j);
+      const b = vertex(i, j + 1);
+      const c = vertex(i + 1, j + 1);
+      const d = vertex(i + 1, j);
+      indices.push(a, b, d, b, c, d);
+    }
+  }
+  
+  // Walk the border once around (+x, +z, -x, -z) so every skirt faces outwards
+  const border = [];
+  for (let i = 0; i < segments; i++) border.push(vertex(i, 0));
+  for (let j = 0; j < segments; j++) border.push(vertex(segments, j));
+  for (let i = segments; i > 0; i--) border.push(vertex(i, segments));
+  for (let j = segments; j > 0; j--) border.push(vertex(0, j));
+  
+  const firstSkirtVertex = positions.length / 3;
+  border.forEach((top) => {
+    positions.push(positions[top * 3], positions[top * 3 + 1] - skirtDepth, positions[top * 3 + 2]);
+    colors.push(colors[top * 3], colors[top * 3 + 1], colors[top * 3 + 2]);
+  });
+  
+  border.forEach((top, k) => {
+    const next = (k + 1) % border.length;
+    const bottom = firstSkirtVertex + k;
+    const nextBottom = firstSkirtVertex + next;
+    indices.push(top, border[next], bottom, border[next], nextBottom, bottom);
+  });
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  
+  return geometry;
+}
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+
+// Named phases of the day a palette's keyframes belong to
+export const PALETTE_PHASES = ['night', 'dawn', 'morning', 'noon', 'goldenHour', 'dusk'];
+
+// Colors and numbers every keyframe sets
+const COLOR_KEYS = ['skyTop', 'skyBottom', 'sunColor', 'moonColor', 'ambientColor', 'fogColor'];
+const NUMBER_KEYS = ['sunIntensity', 'moonIntensity', 'ambientIntensity', 'fogNear', 'fogFar', 'exposure', 'stars'];
+
+// Palette used when no preset can be loaded; public/palettes/default.json holds the same looks
+const DEFAULT_KEYFRAMES = [
+  {
+    phase: 'dawn', time: 0.97,
+    skyTop: '#e8e0ff', skyBottom: '#ffd0c0',
+    sunColor: '#ff9a70', sunIntensity: 0.5,
+    moonColor: '#3a3a6a', moonIntensity: 0.2,
+    ambientColor: '#3c3454', ambientIntensity: 0.7,
+    fogColor: '#7a6a80', fogNear: 40, fogFar: 220,
+    exposure: 1.1, stars: 0.3
+  },
+  {
+    phase: 'morning', time: 0.08,
+    skyTop: '#ffffff', skyBottom: '#fff8f0',
+    sunColor: '#ffe0b0', sunIntensity: 1.8,
+    moonColor: '#3a3a6a', moonIntensity: 0,
+    ambientColor: '#585860', ambientIntensity: 1.2,
+    fogColor: '#c0d0e0', fogNear: 60, fogFar: 280,
+    exposure: 1, stars: 0
+  },
+  {
+    phase: 'noon', time: 0.25,
+    skyTop: '#ffffff', skyBottom: '#ffffff',
+    sunColor: '#ffffcc', sunIntensity: 2.5,
+    moonColor: '#3a3a6a', moonIntensity: 0,
+    ambientColor: '#606060', ambientIntensity: 1.5,
+    fogColor: '#c8dcf0', fogNear: 80, fogFar: 320,
+    exposure: 1, stars: 0
+  },
+  {
+    phase: 'goldenHour', time: 0.44,
+    skyTop: '#fff4e8', skyBottom: '#ffe0c0',
+    sunColor: '#ffb066', sunIntensity: 2,
+    moonColor: '#3a3a6a', moonIntensity: 0,
+    ambientColor: '#705848', ambientIntensity: 1.2,
+    fogColor: '#e0b890', fogNear: 60, fogFar: 260,
+    exposure: 1.05, stars: 0
+  },
+  {
+    phase: 'dusk', time: 0.52,
+    skyTop: '#e0d8ff', skyBottom: '#ffc0a0',
+    sunColor: '#ff7040', sunIntensity: 0.6,
+    moonColor: '#3a3a6a', moonIntensity: 0.15,
+    ambientColor: '#403050', ambientIntensity: 0.8,
+    fogColor: '#6a5068', fogNear: 40, fogFar: 220,
+    exposure: 1.1, stars: 0.3
+  },
+  {
+    phase: 'night', time: 0.75,
+    skyTop: '#c8d0ff', skyBottom: '#c8d0ff',
+    sunColor: '#ffffff', sunIntensity: 0,
+    moonColor: '#3a3a6a', moonIntensity: 0.5,
+    ambientColor: '#202040', ambientIntensity: 0.5,
+    fogColor: '#0a0c1c', fogNear: 30, fogFar: 180,
+    exposure: 1.2, stars: 1
+  }
+];
+
+/**
+ * Loads a time-of-day palette preset
+ * The preset is JSON of the form { "keyframes": [...] }. Each keyframe names
+ * its phase (night, dawn, morning, noon, goldenHour or dusk) and the time of
+ * day it peaks at (0 is sunrise, 0.25 noon, 0.5 sunset and 0.75 midnight),
+ * and sets:
+ * - skyTop and skyBottom: tints over the scattering sky at the zenith and the horizon
+ * - sunColor, sunIntensity, moonColor and moonIntensity: the two directional lights
+ * - ambientColor and ambientIntensity: the ambient light
+ * - fogColor, fogNear and fogFar: distance fog
+ * - exposure: tone mapping exposure
+ * - stars: star field opacity (0-1)
+ * Colors are CSS color strings. Between keyframes every value eases from one
+ * to the next. A preset that is missing or invalid is replaced by the
+ * built-in palette with a warning.
+ * @param {string} url - Preset path under public/
+ * @returns {Promise<Object>} Resolves with the palette
+ */
+export function loadPalette(url) {
+  return new THREE.FileLoader().setResponseType('json').loadAsync(url)
+    .then((data) => readPalette(data))
+    .catch((error) => {
+      console.warn(`Time-of-day palette ${url} could not be loaded, using the built-in palette:`, error);
+      return createDefaultPalette();
+    });
+}
+
+export function createDefaultPalette() {
+  return readPalette({ keyframes: DEFAULT_KEYFRAMES });
+}
+
+/**
+ * Checks a preset and turns its colors into THREE.Colors, keyframes sorted by time
+ */
+function readPalette(data) {
+  if (!Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+    throw new Error('A palette needs a list of keyframes');
+  }
+  
+  const keyframes = data.keyframes.map((keyframe) => {
+    if (!PALETTE_PHASES.includes(keyframe.phase)) {
+      throw new Error(`Unknown palette phase "${keyframe.phase}"`);
+    }
+    [...COLOR_KEYS, ...NUMBER_KEYS, 'time'].forEach((key) => {
+      if (keyframe[key] === undefined) {
+        throw new Error(`Palette keyframe "${keyframe.phase}" has no ${key}`);
+      }
+    });
+    
+    const result = { phase: keyframe.phase, time: THREE.MathUtils.euclideanModulo(keyframe.time, 1) };
+    COLOR_KEYS.forEach((key) => {
+      result[key] = new THREE.Color(keyframe[key]);
+    });
+    NUMBER_KEYS.forEach((key) => {
+      result[key] = keyframe[key];
+    });
+    return result;
+  });
+  
+  return { keyframes: keyframes.sort((a, b) => a.time - b.time) };
+}
+
+/**
+ * Creates an empty look for samplePalette to fill in
+ */
+export function createPaletteLook() {
+  const look = { phase: 'noon' };
+  COLOR_KEYS.forEach((key) => {
+    look[key] = new THREE.Color();
+  });
+  NUMBER_KEYS.forEach((key) => {
+    look[key] = 0;
+  });
+  return look;
+}
+
+/**
+ * Eases between the keyframes around a time of day, wrapping round midnight
+ * @param {Object} palette - Palette from loadPalette
+ * @param {number} timeOfDay - Time of day (0-1)
+ * @param {Object} look - Receives the values and phase (the nearer keyframe's), from createPaletteLook
+ * @returns {Object} The look
+ */
+export function samplePalette(palette, timeOfDay, look) {
+  const keyframes = palette.keyframes;
+  
+  // The last keyframe at or before the time, and the one after it
+  let index = keyframes.length - 1;
+  for (let i = 0; i < keyframes.length; i++) {
+    if (keyframes[i].time <= timeOfDay) index = i;
+  }
+  const from = keyframes[index];
+  const to = keyframes[(index + 1) % keyframes.length];
+  
+  const span = THREE.MathUtils.euclideanModulo(to.time - from.time, 1) || 1;
+  const progress = THREE.MathUtils.euclideanModulo(timeOfDay - from.time, 1) / span;
+  const blend = progress * progress * (3 - 2 * progress);
+  
+  COLOR_KEYS.forEach((key) => {
+    look[key].lerpColors(from[key], to[key], blend);
+  });
+  NUMBER_KEYS.forEach((key) => {
+    look[key] = THREE.MathUtils.lerp(from[key], to[key], blend);
+  });
+  look.phase = blend < 0.5 ? from.phase : to.phase;
+  
+  return look;
+}
@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
+import { WIND_SHADER, windUniforms } from './wind.js';
+
+// Detail levels from near to far
+export const TREE_LEVELS = ['full', 'simplified', 'impostor'];
+
+// Impostor atlas tiles are twice as tall as they are wide
+const IMPOSTOR_ASPECT = 2;
+
+// Uniforms shared by every tree material: the viewer position and, per level,
+// the distance bands over which the level fades in (x..y) and out (z..w)
+const uniforms = {
+  treeViewPosition: { value: new THREE.Vector3() },
+  treeFadeRanges: {
+    full: { value: new THREE.Vector4(-2, -1, 1e9, 1e9 + 1) },
+    simplified: { value: new THREE.Vector4(1e9, 1e9 + 1, 1e9, 1e9 + 1) },
+    impostor: { value: new THREE.Vector4(1e9, 1e9 + 1, 1e9, 1e9 + 1) }
+  }
+};
+
+// Height above the anchor at which trees lean by the full sway amount
+const SWAY_HEIGHT = 5;
+
+// Shadow depth materials per level, so faded-out trees cast no shadows
+const depthMaterials = {};
+
+/**
+ * Sets the distances at which trees switch detail levels
+ * Until impostors are baked, simplified trees stay visible out to any distance.
+ * @param {Object} config - LOD settings (see worldConfig.trees.lod)
+ * @param {boolean} withImpostors - Whether far trees switch to impostors
+ */
+export function setTreeLodDistances(config, withImpostors) {
+  const half = config.fadeWidth / 2;
+  const simplifyStart = config.simplifyDistance - half;
+  const simplifyEnd = config.simplifyDistance + half;
+  const impostorStart = withImpostors ? config.impostorDistance - half : 1e9;
+  const impostorEnd = withImpostors ? config.impostorDistance + half : 1e9 + 1;
+  
+  uniforms.treeFadeRanges.full.value.set(-2, -1, simplifyStart, simplifyEnd);
+  uniforms.treeFadeRanges.simplified.value.set(simplifyStart, simplifyEnd, impostorStart, impostorEnd);
+  uniforms.treeFadeRanges.impostor.value.set(impostorStart, impostorEnd, 1e9, 1e9 + 1);
+}
+
+/**
+ * Follows the viewer and hides the detail levels a chunk's trees don't need
+ * Levels are picked per tree in the shaders; this only skips draw calls for
+ * levels whose distance range misses every tree in the chunk.
+ * @param {THREE.Group} trees - Chunk trees from createChunkTrees
+ * @param {THREE.Vector3} viewPosition - Camera position
+ */
+export function updateTreeLod(trees, viewPosition) {
+  uniforms.treeViewPosition.value.copy(viewPosition);
+  
+  const bounds = trees.userData.bounds;
+  const dx = Math.max(bounds.minX - viewPosition.x, 0, viewPosition.x - bounds.maxX);
+  const dz = Math.max(bounds.minZ - viewPosition.z, 0, viewPosition.z - bounds.maxZ);
+  const nearest = Math.sqrt(dx * dx + dz * dz);
+  const farthest = Math.hypot(
+    Math.max(viewPosition.x - bounds.minX, bounds.maxX - viewPosition.x),
+    Math.max(viewPosition.z - bounds.minZ, bounds.maxZ - viewPosition.z)
+  );
+  
+  trees.children.forEach((mesh) => {
+    const range = uniforms.treeFadeRanges[mesh.userData.treeLevel].value;
+    mesh.visible = farthest > range.x && nearest < range.w;
+  });
+}
+
+/**
+ * Makes a material fade in and out with its tree's distance from the viewer
+ * Each tree is placed by its anchor: the per-vertex anchor attribute of merged
+ * batches, the instance position of instanced meshes, or a per-instance anchor
+ * attribute for materials marked with useInstanceAnchors. Within a fade band
+ * the fragments of the outgoing and incoming level are picked by the same
+ * ordered dither pattern, one level taking exactly the pixels the other
+ * leaves, so there is no pop and no overlap. Trees outside a level's range are
+ * collapsed in the vertex shader and cost no fragments. Full and simplified
+ * trees also sway in the wind, bending more towards the crown.
+ * @param {THREE.Material} material - Material to patch (modified in place)
+ * @param {string} level - One of TREE_LEVELS
+ * @returns {THREE.Material} The same material
+ */
+export function applyTreeLod(material, level) {
+  material.userData.treeLevel = level;
+  material.onBeforeCompile = (shader) => addTreeFade(shader, level);
+  return material;
+}
+
+/**
+ * Marks a tree material whose instances sit away from their tree's base
+ * Ornaments are instanced at their own position; their meshes carry the
+ * anchor of their tree per instance so they fade and sway with it.
+ * @param {THREE.Material} material - Material to mark (modified in place)
+ * @returns {THREE.Material} The same material
+ */
+export function useInstanceAnchors(material) {
+  material.defines = { ...material.defines, TREE_INSTANCE_ANCHORS: '' };
+  material.userData.instanceAnchors = true;
+  return material;
+}
+
+/**
+ * Returns the shared shadow depth material for a detail level
+ */
+export function getTreeDepthMaterial(level) {
+  if (!depthMaterials[level]) {
+    depthMaterials[level] = applyTreeLod(new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), level);
+    depthMaterials[level].userData.shared = true;
+  }
+  return depthMaterials[level];
+}
+
+/**
+ * Injects the distance fade into a material's shaders
+ */
+function addTreeFade(shader, level) {
+  const sway = level !== 'impostor';
+  shader.uniforms.treeViewPosition = uniforms.treeViewPosition;
+  shader.uniforms.treeFadeRange = uniforms.treeFadeRanges[level];
+  if (sway) {
+    Object.assign(shader.uniforms, windUniforms);
+  }
+  
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', `
+      #include <common>
+      uniform vec3 treeViewPosition;
+      uniform vec4 treeFadeRange;
+      #if !defined( USE_INSTANCING ) || defined( TREE_INSTANCE_ANCHORS )
+        attribute vec3 anchor;
+      #endif
+      varying vec2 vTreeFade;
+      ${sway ? WIND_SHADER : ''}
+    `)
+    .replace('#include <project_vertex>', `
+      #include <project_vertex>
+      #if defined( USE_INSTANCING ) && !defined( TREE_INSTANCE_ANCHORS )
+        vec3 treeAnchor = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+      #else
+        vec3 treeAnchor = (modelMatrix * vec4(anchor, 1.0)).xyz;
+      #endif
+      ${sway ? `
+        // Lean downwind, rocking at a per-tree phase, and flutter a little
+        #ifdef USE_INSTANCING
+          vec3 treeVertex = (modelMatrix * instanceMatrix * vec4(transformed, 1.0)).xyz;
+        #else
+          vec3 treeVertex = (modelMatrix * vec4(transformed, 1.0)).xyz;
+        #endif
+        float treeBend = max(treeVertex.y - treeAnchor.y, 0.0) / ${SWAY_HEIGHT.toFixed(1)};
+        float treeWind = windAt(treeAnchor.xz);
+        float treePhase = fract(sin(dot(treeAnchor.xz, vec2(12.9898, 78.233))) * 43758.5453) * 6.2832;
+        vec2 treeLean = windDirection * treeWind * (0.25 + 0.15 * sin(windTime * 1.4 + treePhase));
+        vec3 treeSway = vec3(treeLean.x, 0.0, treeLean.y) * treeBend * treeBend;
+        treeSway += vec3(1.0, 0.5, 1.0) * sin(windTime * 7.0 + dot(treeVertex, vec3(3.1, 2.3, 2.7))) * 0.03 * treeWind * treeBend;
+        mvPosition.xyz += mat3(viewMatrix) * treeSway;
+        gl_Position = projectionMatrix * mvPosition;
+      ` : ''}
+      float treeDistance = distance(treeViewPosition.xz, treeAnchor.xz);
+      vTreeFade = vec2(
+        clamp((treeDistance - treeFadeRange.x) / (treeFadeRange.y - treeFadeRange.x), 0.0, 1.0),
+        clamp((treeDistance - treeFadeRange.z) / (treeFadeRange.w - treeFadeRange.z), 0.0, 1.0)
+      );
+      
+      // Outside this level's range: move the vertex behind the far plane
+      if (vTreeFade.x <= 0.0 || vTreeFade.y >= 1.0) {
+        gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+      }
+    `);
+  
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', `
+      #include <common>
+      varying vec2 vTreeFade;
+      
+      // 4x4 ordered dither threshold in (0, 1)
+      float treeDither(vec2 pixel) {
+        ivec2 p = ivec2(mod(pixel, 4.0));
+        int index = p.x + p.y * 4;
+        int pattern[16] = int[16](0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5);
+        return (float(pattern[index]) + 0.5) / 16.0;
+      }
+    `)
+    .replace('#include <clipping_planes_fragment>', `
+      #include <clipping_planes_fragment>
+      float treeThreshold = treeDither(gl_FragCoord.xy);
+      if (vTreeFade.x <= treeThreshold || vTreeFade.y > treeThreshold) discard;
+    `);
+}
+
+/**
+ * Creates a lower-detail copy of a geometry for the simplified level
+ * @param {THREE.BufferGeometry} geometry - Source geometry (left untouched)
+ * @param {number} keep - Fraction of vertices to keep
+ * @returns {THREE.BufferGeometry} Simplified, non-indexed geometry
+ */
+export function simplifyGeometry(geometry, keep) {
+  const vertexCount = geometry.attributes.position.count;
+  const simplified = new SimplifyModifier().modify(geometry, Math.floor(vertexCount * (1 - keep)));
+  simplified.computeVertexNormals();
+  return simplified;
+}
+
+/**
+ * Renders one sample of each tree kind into an impostor atlas
+ * Samples are drawn from the side with an orthographic camera fitted to their
+ * bounds, in a neutral light so the scene lighting can shade the billboards.
+ * @param {THREE.WebGLRenderer} renderer - Renderer to bake with
+ * @param {Array} samples - { key, object } per tree kind, built at unit scale around the origin
+ * @param {number} tileSize - Tile width in pixels
+ * @returns {Object} Atlas with texture, tileCount, tiles (key -> { index, width, height, bottom }),
+ *   material and tints (a color per tile multiplied into it, white as baked)
+ */
+export function bakeImpostorAtlas(renderer, samples, tileSize) {
+  const target = new THREE.WebGLRenderTarget(tileSize * samples.length, tileSize * IMPOSTOR_ASPECT, {
+    generateMipmaps: true,
+    minFilter: THREE.LinearMipmapLinearFilter
+  });
+  target.texture.userData.shared = true;
+  
+  const scene = new THREE.Scene();
+  scene.add(new THREE.AmbientLight(0xffffff, Math.PI * 0.6));
+  const sun = new THREE.DirectionalLight(0xffffff, Math.PI * 0.5);
+  sun.position.set(0.5, 1, 1);
+  scene.add(sun);
+  
+  const camera = new THREE.OrthographicCamera();
+  const bounds = new THREE.Box3();
+  const size = new THREE.Vector3();
+  const tiles = new Map();
+  
+  // Bake at full detail and in still air: the viewer stands at the sample
+  const viewPosition = uniforms.treeViewPosition.value.clone();
+  uniforms.treeViewPosition.value.set(0, 0, 0);
+  const windStrength = windUniforms.windStrength.value;
+  windUniforms.windStrength.value = 0;
+  
+  const previousClearColor = renderer.getClearColor(new THREE.Color());
+  const previousClearAlpha = renderer.getClearAlpha();
+  const previousAutoClear = renderer.autoClear;
+  const previousTarget = renderer.getRenderTarget();
+  
+  renderer.setClearColor(0x000000, 0);
+  renderer.setRenderTarget(target);
+  renderer.clear();
+  renderer.autoClear = false;
+  
+  samples.forEach(({ key, object }, index) => {
+    bounds.setFromObject(object).getSize(size);
+    
+    // Fit the frame around the trunk axis, keeping the tile aspect
+    const halfWidth = Math.max(
+      Math.abs(bounds.min.x), Math.abs(bounds.max.x),
+      Math.abs(bounds.min.z), Math.abs(bounds.max.z),
+      size.y / IMPOSTOR_ASPECT / 2
+    );
+    const height = halfWidth * 2 * IMPOSTOR_ASPECT;
+    
+    camera.left = -halfWidth;
+    camera.right = halfWidth;
+    camera.bottom = bounds.min.y;
+    camera.top = bounds.min.y + height;
+    camera.near = 0.1;
+    camera.far = halfWidth * 4;
+    camera.position.set(0, 0, halfWidth * 2);
+    camera.updateProjectionMatrix();
+    
+    target.viewport.set(index * tileSize, 0, tileSize, tileSize * IMPOSTOR_ASPECT);
+    renderer.setRenderTarget(target);
+    
+    scene.add(object);
+    renderer.render(scene, camera);
+    scene.remove(object);
+    
+    tiles.set(key, { index: index, width: halfWidth * 2, height: height, bottom: bounds.min.y });
+  });
+  
+  renderer.setRenderTarget(previousTarget);
+  renderer.setClearColor(previousClearColor, previousClearAlpha);
+  renderer.autoClear = previousAutoClear;
+  uniforms.treeViewPosition.value.copy(viewPosition);
+  windUniforms.windStrength.value = windStrength;
+  
+  const tints = samples.map(() => new THREE.Color(1, 1, 1));
+  
+  return {
+    texture: target.texture,
+    tileCount: samples.length,
+    tiles: tiles,
+    tints: tints,
+    material: createImpostorMaterial(target.texture, tints)
+  };
+}
+
+/**
+ * Creates the billboard material that draws impostor tiles
+ * Cards turn around their vertical axis to face the viewer, and their normal
+ * points back at the viewer so they are lit like the trees they stand in for.
+ * Each tile is tinted by its entry in tints, so billboards can follow foliage
+ * colors that change after the bake.
+ */
+function createImpostorMaterial(texture, tints) {
+  const tileCount = tints.length;
+  const material = new THREE.MeshLambertMaterial({
+    map: texture,
+    alphaTest: 0.5,
+    side: THREE.DoubleSide
+  });
+  material.userData.shared = true;
+  material.userData.treeLevel = 'impostor';
+  
+  // The fade goes in first; the billboard then replaces the projection it follows
+  material.onBeforeCompile = (shader) => {
+    addTreeFade(shader, 'impostor');
+    shader.uniforms.impostorTints = { value: tints };
+    
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `
+        #include <common>
+        attribute float impostorTile;
+        flat varying int vImpostorTile;
+      `)
+      .replace('#include <uv_vertex>', `
+        #include <uv_vertex>
+        vMapUv = vec2((impostorTile + uv.x) / ${tileCount.toFixed(1)}, uv.y);
+        vImpostorTile = int(impostorTile + 0.5);
+      `)
+      .replace('#include <beginnormal_vertex>', `
+        vec3 impostorBase = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+        vec2 impostorSize = vec2(length(instanceMatrix[0].xyz), length(instanceMatrix[1].xyz));
+        vec2 impostorFacing = treeViewPosition.xz - impostorBase.xz;
+        impostorFacing = length(impostorFacing) > 0.001 ? normalize(impostorFacing) : vec2(0.0, 1.0);
+        vec3 impostorRight = vec3(impostorFacing.y, 0.0, -impostorFacing.x);
+        vec3 objectNormal = normalize(vec3(impostorFacing.x, 0.5, impostorFacing.y));
+      `)
+      .replace('#include <defaultnormal_vertex>', `
+        vec3 transformedNormal = normalMatrix * objectNormal;
+        #ifdef FLIP_SIDED
+          transformedNormal = - transformedNormal;
+        #endif
+      `)
+      .replace('#include <project_vertex>', `
+        vec3 impostorWorld = impostorBase + impostorRight * position.x * impostorSize.x;
+        impostorWorld.y += position.y * impostorSize.y;
+        vec4 mvPosition = viewMatrix * vec4(impostorWorld, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+      `);
+    
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `
+        #include <common>
+        uniform vec3 impostorTints[${tileCount}];
+        flat varying int vImpostorTile;
+      `)
+      .replace('#include <map_fragment>', `
+        #include <map_fragment>
+        diffuseColor.rgb *= impostorTints[vImpostorTile];
+      `);
+  };
+  
+  return material;
+}
@@ -1,95 +1,489 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { blendBiomes, pickTreeSpecies } from './biomes.js';
+import { registerOrnaments } from './harvest.js';
+import { growLSystemTree, loadRuleSets } from './lsystemTrees.js';
+import { applySeasonalLook, seasonUniforms } from './seasons.js';
+import { applyTreeLod, bakeImpostorAtlas, getTreeDepthMaterial, setTreeLodDistances, simplifyGeometry, useInstanceAnchors } from './treeLod.js';
 
-// Tree models cache
+// Tree models shared by every chunk, and the promise that loads them
 let treeModels = null;
-let treesLoaded = false;
+let treeModelsLoading = null;
+
+// L-system rule sets grown alongside the built-in species, each with its simplified template
+let treeRuleSets = [];
+
+// Billboard atlas for far trees, baked once the models have loaded
+let impostorAtlas = null;
+
+// Fraction of vertices loaded models keep at the simplified level
+const SIMPLIFIED_MODEL_DETAIL = 0.3;
+
+// Placeholder foliage colors per species, used when a model file can't be loaded
+const PLACEHOLDER_COLORS = {
+  pine: 0x2d5d3b,
+  broadleaf: 0x4caf50,
+  simple: 0x7cad6d
+};
+
+// Stand-in models when no manifest entry could be loaded
+const DEFAULT_PLACEHOLDERS = [{ species: 'pine' }, { species: 'broadleaf' }, { species: 'simple' }];
+
+// Foliage colors per season and species material; pines stay green, the
+// summer colors are the ones trees are built (and impostors baked) with
+const FOLIAGE_COLORS = {
+  pineFoliage: { spring: 0x2f6b3f, summer: 0x2d5d3b, autumn: 0x2b5538, winter: 0x24452f },
+  broadleafFoliage: { spring: 0x7ccf5a, summer: 0x4caf50, autumn: 0xd9822b, winter: 0x8a6a45 },
+  simpleFoliage: { spring: 0x9ccf7d, summer: 0x7cad6d, autumn: 0xc9a24a, winter: 0x8f9a7a }
+};
+Object.values(FOLIAGE_COLORS).forEach((palette) => {
+  Object.keys(palette).forEach((season) => {
+    palette[season] = new THREE.Color(palette[season]);
+  });
+});
+
+// Season the foliage currently shows, as returned by getSeason
+let foliageSeason = { from: 'summer', to: 'summer', blend: 0 };
+
+// Procedural tree builders per species
+const PROCEDURAL_TREES = {
+  pine: createPineTree,
+  broadleaf: createBroadleafTree,
+  simple: createSimpleTree
+};
+
+// Trunk base radius per procedural species, for player collisions
+const TRUNK_RADII = {
+  pine: 0.3,
+  broadleaf: 0.4,
+  simple: 0.25
+};
+
+// Materials shared by every procedural tree, so parts can be batched per material
+const treeMaterials = createTreeMaterials('full');
+const simplifiedTreeMaterials = createTreeMaterials('simplified');
+
+// Low-poly stand-ins per procedural species for mid-range trees
+const simplifiedTrees = createSimplifiedTrees();
+
+// Ornaments share unit geometry and are scaled per instance
+const ornamentGeometries = {
+  sphere: new THREE.SphereGeometry(1, 8, 6),
+  leaf: new THREE.BoxGeometry(0.2, 0.05, 0.2)
+};
+Object.values(ornamentGeometries).forEach((geometry) => {
+  geometry.userData.shared = true;
+});
 
 /**
- * Creates procedurally generated trees
- * @returns {THREE.Group} The trees group
+ * Creates the scatter layer both tree passes draw their spots from
+ * Trees keep a per-species distance from each other and from model trees,
+ * stay off steep ground and leave clearings where the noise is low.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object} config - Tree settings (see worldConfig.trees)
+ * @returns {Object} Layer definition for the scatter service
  */
-export function createTrees() {
-  const treesGroup = new THREE.Group();
+export function createTreeLayer(world, config) {
+  const spacings = Object.values(config.spacing);
+  
+  return {
+    name: 'trees',
+    density: config.density,
+    minSpacing: Math.min(...spacings),
+    maxSpacing: Math.max(...spacings),
+    maxSlope: config.maxSlope,
+    
+    pick: (x, z, rng, terrain) => {
+      // Skip spots where the noise is low to leave clearings
+      if (world.noise.noise(x * 0.02, z * 0.02) < -0.3) return null;
+      
+      // Thin out trees according to the local biome
+      const biome = terrain.getBiomeAt(x, z);
+      const density = blendBiomes(biome.weights, (definition) => definition.treeDensity);
+      if (rng.random() > density) return null;
+      
+      // Select tree type from the species mix of the local biome; some spots get a model tree
+      const species = pickTreeSpecies(biome.weights, rng.random());
+      const model = rng.random() < config.modelShare;
+      
+      return { species: species, model: model, spacing: model ? config.spacing.model : config.spacing[species] };
+    }
+  };
+}
+
+/**
+ * Creates the trees growing on one terrain chunk
+ * @param {Object} chunk - Chunk descriptor with minX, minZ and size
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {THREE.Group} terrain - Terrain group providing getHeightAt(x, z) and the scatter service
+ * @returns {THREE.Group} The trees group, batched per material, with userData.count
+ *   (number of trees) and userData.colliders ({ x, z, radius } per trunk)
+ */
+export function createChunkTrees(chunk, world, terrain) {
+  const batch = createTreeBatch();
+  const spots = terrain.scatter.sample(chunk, 'trees');
   
   // Create trees using procedural generation
-  createProceduralTrees(treesGroup);
+  createProceduralTrees(batch, spots.filter((spot) => !spot.kind.model), terrain);
   
-  // Load GLTF tree models
-  loadTreeModels(treesGroup);
+  // Fall back to placeholders if chunks are built before loadTreeModels has finished
+  if (!treeModels) {
+    treeModels = createPlaceholderModels(DEFAULT_PLACEHOLDERS, world);
+  }
+  placeGLTFTrees(batch, spots.filter((spot) => spot.kind.model), terrain);
   
-  return treesGroup;
+  return batch.build();
 }
 
 /**
- * Creates procedurally generated low-poly trees
+ * Creates the materials shared by all procedural trees at one detail level
  */
-function createProceduralTrees(treesGroup) {
-  const treeCount = 100; // Increased count for better coverage
-  const noise = new SimplexNoise();
+function createTreeMaterials(level) {
+  const glow = (color, emissive, metalness) => new THREE.MeshStandardMaterial({
+    color: color,
+    emissive: emissive,
+    emissiveIntensity: 0.5,
+    roughness: 0.7,
+    metalness: metalness
+  });
   
-  // Create different tree types
-  const treeTypes = [
-    createPineTree,
-    createBroadleafTree,
-    createSimpleTree
-  ];
+  const materials = {
+    trunk: new THREE.MeshStandardMaterial({
+      color: 0x8B4513,
+      flatShading: false, // Use smooth shading for better appearance
+      roughness: 0.9
+    }),
+    pineFoliage: new THREE.MeshStandardMaterial({
+      color: 0x2d5d3b,
+      flatShading: true, // Use flat shading for low-poly look
+      roughness: 0.8,
+      side: THREE.DoubleSide // Ensure both sides are rendered
+    }),
+    broadleafFoliage: new THREE.MeshStandardMaterial({
+      color: 0x4caf50,
+      flatShading: true, // Use flat shading for low-poly look
+      roughness: 0.8,
+      side: THREE.DoubleSide // Ensure both sides are rendered
+    }),
+    simpleFoliage: new THREE.MeshStandardMaterial({
+      color: 0x7cad6d,
+      flatShading: false, // Use smooth shading for better appearance
+      roughness: 0.8
+    }),
+    pineCone: glow(0xffaa44, 0xff7700, 0.3),
+    fruits: [glow(0xff5555, 0xff0000, 0.2), glow(0xffff55, 0xffff00, 0.2), glow(0xff55ff, 0xff00ff, 0.2)],
+    leaves: [glow(0x88ff88, 0x44ff44, 0.2), glow(0xaaffaa, 0x66ff66, 0.2)]
+  };
   
-  // Distribute trees using noise for natural clustering
-  for (let i = 0; i < treeCount; i++) {
-    // Use noise to determine position
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 5 + Math.random() * 150; // Increased radius for wider distribution
-    
-    let x = Math.cos(angle) * radius;
-    let z = Math.sin(angle) * radius;
-    
-    // Add noise to position for more natural distribution
-    const noiseValue = noise.noise(x * 0.02, z * 0.02);
+  // Chunk disposal must leave these alone
+  Object.values(materials).flat().forEach((material) => {
+    applyTreeLod(material, level);
+    material.userData.shared = true;
+  });
+  
+  // Ornaments are instanced where they hang, away from their trunk, and can be picked
+  [materials.pineCone, ...materials.fruits, ...materials.leaves].forEach(useInstanceAnchors);
+  materials.pineCone.userData.harvest = 'pineCone';
+  materials.fruits.forEach((material) => {
+    material.userData.harvest = 'fruit';
+  });
+  materials.leaves.forEach((material) => {
+    material.userData.harvest = 'leaf';
+  });
+  
+  // Snow settles on pines and their cones; broadleaf crowns thin out in autumn and winter
+  applySeasonalLook(materials.pineFoliage, { snow: true });
+  applySeasonalLook(materials.pineCone, { snow: true });
+  applySeasonalLook(materials.broadleafFoliage, { leafLoss: true });
+  
+  return materials;
+}
+
+/**
+ * Creates one low-poly tree per procedural species for the simplified level
+ * Every mid-range tree of a species instances the same shape, so per-tree
+ * jitter and ornaments are dropped at that distance. Parts are built around
+ * the trunk axis so each instance sits exactly on its tree's anchor.
+ */
+function createSimplifiedTrees() {
+  const materials = simplifiedTreeMaterials;
+  
+  const part = (geometry, material, height) => {
+    geometry.translate(0, height, 0);
+    geometry.userData.shared = true;
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+  };
+  
+  const tree = (...parts) => new THREE.Group().add(...parts);
+  
+  // Pine foliage layers merged into one shape, matching the full tree's layers
+  const pineFoliage = mergeGeometries([0, 1, 2, 3].map((i) => (
+    new THREE.ConeGeometry(1.8 - i * 0.3, 1.5, 5, 1).translate(0, 2 + i * 1.05, 0)
+  )));
+  
+  return {
+    pine: tree(
+      part(new THREE.CylinderGeometry(0.2, 0.3, 2, 5, 1), materials.trunk, 1),
+      part(pineFoliage, materials.pineFoliage, 0)
+    ),
+    broadleaf: tree(
+      part(new THREE.CylinderGeometry(0.2, 0.4, 3, 5, 1), materials.trunk, 1.5),
+      part(new THREE.IcosahedronGeometry(1.5, 1), materials.broadleafFoliage, 3.5)
+    ),
+    simple: tree(
+      part(new THREE.CylinderGeometry(0.15, 0.25, 2.5, 5, 1), materials.trunk, 1.25),
+      part(new THREE.BoxGeometry(1.8, 1.6, 1.8), materials.simpleFoliage, 3)
+    )
+  };
+}
+
+/**
+ * Collects the trees of one chunk into as few draw calls as possible
+ * Parts with geometry of their own (jittered trunks and foliage) are baked
+ * into one merged mesh per material, keeping every tree's scale, rotation and
+ * jitter. Parts on shared geometry (ornaments, simplified trees and loaded
+ * models) become one InstancedMesh per geometry and material, and impostors
+ * one InstancedMesh of billboards. Every detail level of every tree is in the
+ * batch; the materials pick the level each tree shows (see treeLod.js).
+ * Vertices and instances remember the base of their tree as an anchor, so the
+ * terrain can move whole trees and the wind can bend them from the ground up.
+ * @returns {Object} Batch with add(tree, lod) and build(), which returns the trees group
+ */
+function createTreeBatch() {
+  const merged = new Map(); // material -> { template, geometries }
+  const instanced = new Map(); // geometry and material ids -> { template, matrices, anchors }
+  const impostors = [];
+  const colliders = [];
+  const bounds = { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity };
+  let count = 0;
+  
+  // Adds the meshes of one detail level, optionally placed by a tree transform
+  const addParts = (object, placement, anchor) => {
+    object.updateMatrixWorld(true);
     
-    // Skip this position if noise value is below threshold (creates clearings)
-    if (noiseValue < -0.3) continue;
+    object.traverse((child) => {
+      if (!child.isMesh) return;
+      
+      const matrix = placement ? placement.clone().multiply(child.matrixWorld) : child.matrixWorld.clone();
+      
+      if (child.geometry.userData.shared) {
+        const key = `${child.geometry.uuid}/${child.material.uuid}`;
+        if (!instanced.has(key)) {
+          instanced.set(key, { template: child, matrices: [], anchors: [] });
+        }
+        const entry = instanced.get(key);
+        entry.matrices.push(matrix);
+        entry.anchors.push(anchor.x, anchor.y, anchor.z);
+      } else {
+        if (!merged.has(child.material)) {
+          merged.set(child.material, { template: child, geometries: [] });
+        }
+        const geometry = child.geometry.applyMatrix4(matrix);
+        const anchors = new Float32Array(geometry.attributes.position.count * 3);
+        for (let i = 0; i < anchors.length; i += 3) {
+          anchors[i] = anchor.x;
+          anchors[i + 1] = anchor.y;
+          anchors[i + 2] = anchor.z;
+        }
+        geometry.setAttribute('anchor', new THREE.BufferAttribute(anchors, 3));
+        merged.get(child.material).geometries.push(geometry);
+      }
+    });
+  };
+  
+  return {
+    // Bakes a positioned tree and its distant stand-ins into the batch; the
+    // tree object itself is not kept. lod holds the simplified template and
+    // the impostor atlas key, either of which may be missing.
+    add: (tree, lod) => {
+      const anchor = tree.position;
+      tree.updateMatrix();
+      
+      addParts(tree, null, anchor);
+      if (lod.simplified) {
+        addParts(lod.simplified, tree.matrix, anchor);
+      }
+      
+      const tile = impostorAtlas && impostorAtlas.tiles.get(lod.impostor);
+      if (tile) {
+        impostors.push({ tile: tile, anchor: anchor.clone(), scale: tree.scale.clone() });
+      }
+      
+      if (tree.userData.collisionRadius) {
+        colliders.push({ x: anchor.x, z: anchor.z, radius: tree.userData.collisionRadius });
+      }
+      
+      bounds.minX = Math.min(bounds.minX, anchor.x);
+      bounds.minZ = Math.min(bounds.minZ, anchor.z);
+      bounds.maxX = Math.max(bounds.maxX, anchor.x);
+      bounds.maxZ = Math.max(bounds.maxZ, anchor.z);
+      count++;
+    },
     
-    // Adjust position based on noise
-    x += noiseValue * 10;
-    z += noiseValue * 10;
+    // Creates one draw call per material batch and per instanced part
+    build: () => {
+      const treesGroup = new THREE.Group();
+      
+      merged.forEach(({ template, geometries }, material) => {
+        const mesh = new THREE.Mesh(mergeGeometries(geometries), material);
+        geometries.forEach((geometry) => geometry.dispose());
+        copyRenderSettings(template, mesh);
+        treesGroup.add(mesh);
+      });
+      
+      instanced.forEach(({ template, matrices, anchors }) => {
+        // Ornaments take their tree's anchor from a per-instance attribute on a copy of their small geometry
+        const anchorArray = new Float32Array(anchors);
+        let geometry = template.geometry;
+        if (template.material.userData.instanceAnchors) {
+          geometry = geometry.clone();
+          geometry.userData = {};
+          geometry.setAttribute('anchor', new THREE.InstancedBufferAttribute(anchorArray, 3));
+        }
+        
+        const mesh = new THREE.InstancedMesh(geometry, template.material, matrices.length);
+        matrices.forEach((matrix, index) => mesh.setMatrixAt(index, matrix));
+        mesh.userData.anchors = anchorArray;
+        mesh.computeBoundingSphere();
+        copyRenderSettings(template, mesh);
+        treesGroup.add(mesh);
+        
+        // Only the ornaments shown up close can be harvested
+        if (template.material.userData.harvest && template.material.userData.treeLevel === 'full') {
+          registerOrnaments(mesh);
+        }
+      });
+      
+      if (impostors.length > 0) {
+        treesGroup.add(createImpostorMesh(impostors));
+      }
+      
+      treesGroup.userData.count = count;
+      treesGroup.userData.colliders = colliders;
+      treesGroup.userData.bounds = bounds;
+      
+      return treesGroup;
+    }
+  };
+}
+
+/**
+ * Carries shadow, bloom layer and detail level settings from a tree part over to its batch
+ */
+function copyRenderSettings(source, target) {
+  target.castShadow = source.castShadow;
+  target.receiveShadow = source.receiveShadow;
+  target.layers.mask = source.layers.mask;
+  target.userData.treeLevel = source.material.userData.treeLevel;
+  
+  // Shadows fade with the level, so trees don't cast a shadow per level
+  if (target.castShadow) {
+    target.customDepthMaterial = getTreeDepthMaterial(target.userData.treeLevel);
+  }
+}
+
+/**
+ * Creates the billboards standing in for a chunk's far trees
+ * The card is one unit square standing on its bottom edge, scaled per tree to
+ * the tile's frame; the impostor material turns it towards the viewer.
+ */
+function createImpostorMesh(impostors) {
+  const geometry = new THREE.PlaneGeometry(1, 1).translate(0, 0.5, 0);
+  const tiles = new Float32Array(impostors.length);
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  
+  const mesh = new THREE.InstancedMesh(geometry, impostorAtlas.material, impostors.length);
+  const anchors = new Float32Array(impostors.length * 3);
+  
+  impostors.forEach(({ tile, anchor, scale: treeScale }, index) => {
+    position.set(anchor.x, anchor.y + tile.bottom * treeScale.y, anchor.z);
+    scale.set(tile.width * treeScale.x, tile.height * treeScale.y, 1);
+    mesh.setMatrixAt(index, matrix.compose(position, rotation, scale));
+    tiles[index] = tile.index;
+    anchor.toArray(anchors, index * 3);
+  });
+  
+  geometry.setAttribute('impostorTile', new THREE.InstancedBufferAttribute(tiles, 1));
+  mesh.userData.anchors = anchors;
+  mesh.userData.treeLevel = 'impostor';
+  mesh.computeBoundingSphere();
+  mesh.castShadow = false;
+  mesh.receiveShadow = false;
+  
+  return mesh;
+}
+
+/**
+ * Creates procedurally generated low-poly trees on scattered spots
+ */
+function createProceduralTrees(batch, spots, terrain) {
+  spots.forEach(({ x, z, kind, rng }) => {
+    const species = kind.species;
     
-    // Select tree type based on position and noise
-    const treeTypeIndex = Math.floor((noiseValue + 1) * 1.5) % treeTypes.length;
-    const createTreeFn = treeTypes[treeTypeIndex];
+    // Rule sets of the species take turns with its built-in tree; the choice
+    // has its own stream so built-in trees grow as they always have
+    const ruleSet = pickRuleSet(species, rng.fork('rule-set'));
+    const createTreeFn = ruleSet ? (treeRng) => growRuleSetTree(ruleSet, treeRng, 'full') : PROCEDURAL_TREES[species];
     
     // Create tree
-    const tree = createTreeFn();
+    const tree = createTreeFn(rng);
     
-    // Position tree
-    tree.position.set(x, 0, z);
+    // Position tree on the ground, sunk slightly so trunks don't float on slopes
+    tree.position.set(x, terrain.getHeightAt(x, z) - 0.2, z);
     
     // Random rotation
-    tree.rotation.y = Math.random() * Math.PI * 2;
+    tree.rotation.y = rng.random() * Math.PI * 2;
     
     // Random scale variation
-    const scale = 0.8 + Math.random() * 0.4;
-    tree.scale.set(scale, scale + Math.random() * 0.2, scale);
+    const scale = 0.8 + rng.random() * 0.4;
+    tree.scale.set(scale, scale + rng.random() * 0.2, scale);
+    
+    // Trunk radius for collisions, scaled with the tree
+    tree.userData.collisionRadius = (ruleSet ? ruleSet.radius : TRUNK_RADII[species]) * scale;
     
-    // Add to trees group
-    treesGroup.add(tree);
+    // Bake into the chunk's tree batches
+    if (ruleSet) {
+      batch.add(tree, { simplified: ruleSet.simplified, impostor: ruleSet });
+    } else {
+      batch.add(tree, { simplified: simplifiedTrees[species], impostor: species });
+    }
+  });
+}
+
+/**
+ * Picks the rule set a tree of a species grows from, or null for the built-in tree
+ */
+function pickRuleSet(species, rng) {
+  const candidates = treeRuleSets.filter((ruleSet) => ruleSet.species === species);
+  if (candidates.length === 0) return null;
+  
+  // The built-in tree comes first, with weight 1
+  let threshold = rng.random() * candidates.reduce((total, ruleSet) => total + ruleSet.weight, 1) - 1;
+  if (threshold < 0) return null;
+  
+  for (const ruleSet of candidates) {
+    threshold -= ruleSet.weight;
+    if (threshold < 0) return ruleSet;
   }
+  return null;
 }
 
 /**
  * Creates a simple pine tree with glowing elements
  */
-function createPineTree() {
+function createPineTree(rng) {
   const treeGroup = new THREE.Group();
   
   // Create trunk with proper connected geometry and higher detail
   const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 2, 12, 4, false);
-  const trunkMaterial = new THREE.MeshStandardMaterial({
-    color: 0x8B4513,
-    flatShading: false, // Use smooth shading for better appearance
-    roughness: 0.9
-  });
+  const trunkMaterial = treeMaterials.trunk;
   const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
   trunk.castShadow = true; // Important for casting shadows
   trunk.receiveShadow = true;
@@ -97,15 +491,10 @@ function createPineTree() {
   treeGroup.add(trunk);
   
   // Create foliage (multiple cones for pine tree)
-  const foliageMaterial = new THREE.MeshStandardMaterial({
-    color: 0x2d5d3b,
-    flatShading: true, // Use flat shading for low-poly look
-    roughness: 0.8,
-    side: THREE.DoubleSide // Ensure both sides are rendered
-  });
+  const foliageMaterial = treeMaterials.pineFoliage;
   
   // Add some glowing pine cones
-  addGlowingPineCones(treeGroup);
+  addGlowingPineCones(treeGroup, rng);
   
   // Add several layers of foliage
   const foliageLayers = 4;
@@ -125,8 +514,8 @@ function createPineTree() {
     for (let j = 0; j < vertices.length; j += 3) {
       if (j > 9) { // Don't modify the tip vertex
         // Use smaller random values to avoid breaking the mesh
-        vertices[j] += (Math.random() - 0.5) * 0.1;
-        vertices[j + 2] += (Math.random() - 0.5) * 0.1;
+        vertices[j] += (rng.random() - 0.5) * 0.1;
+        vertices[j + 2] += (rng.random() - 0.5) * 0.1;
       }
     }
     
@@ -140,27 +529,18 @@ function createPineTree() {
 /**
  * Adds glowing pine cones to a pine tree
  */
-function addGlowingPineCones(treeGroup) {
-  const pineConesCount = 3 + Math.floor(Math.random() * 4);
-  
-  // Create pine cone material with emissive properties
-  const pineConeGlowMaterial = new THREE.MeshStandardMaterial({
-    color: 0xffaa44,
-    emissive: 0xff7700,
-    emissiveIntensity: 0.5,
-    roughness: 0.7,
-    metalness: 0.3
-  });
+function addGlowingPineCones(treeGroup, rng) {
+  const pineConesCount = 3 + Math.floor(rng.random() * 4);
   
   for (let i = 0; i < pineConesCount; i++) {
-    // Create pine cone geometry
-    const pineConeSphereGeometry = new THREE.SphereGeometry(0.08 + Math.random() * 0.05, 8, 6);
-    const pineCone = new THREE.Mesh(pineConeSphereGeometry, pineConeGlowMaterial);
+    // Pine cones share one unit sphere, sized per cone
+    const pineCone = new THREE.Mesh(ornamentGeometries.sphere, treeMaterials.pineCone);
+    pineCone.scale.setScalar(0.08 + rng.random() * 0.05);
     
     // Position pine cone on the tree
-    const height = 1.5 + Math.random() * 2;
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.5 + Math.random() * 0.5;
+    const height = 1.5 + rng.random() * 2;
+    const angle = rng.random() * Math.PI * 2;
+    const radius = 0.5 + rng.random() * 0.5;
     
     pineCone.position.set(
       Math.cos(angle) * radius,
@@ -179,27 +559,23 @@ function addGlowingPineCones(treeGroup) {
 /**
  * Creates a broadleaf tree with glowing elements
  */
-function createBroadleafTree() {
+function createBroadleafTree(rng) {
   const treeGroup = new THREE.Group();
   
   // Add glowing fruit or flowers
-  addGlowingFruits(treeGroup);
+  addGlowingFruits(treeGroup, rng);
   
   // Create trunk with more segments for better connectivity and higher detail
   const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.4, 3, 12, 5, false);
-  const trunkMaterial = new THREE.MeshStandardMaterial({
-    color: 0x8B4513,
-    flatShading: false, // Use smooth shading for better appearance
-    roughness: 0.9
-  });
+  const trunkMaterial = treeMaterials.trunk;
   
   // Apply subtle randomization to maintain connected geometry
   const trunkVertices = trunkGeometry.attributes.position.array;
   for (let i = 0; i < trunkVertices.length; i += 3) {
     if (i > 18) { // Don't modify top and bottom center vertices
       // Use smaller random values to avoid breaking the mesh
-      trunkVertices[i] += (Math.random() - 0.5) * 0.05;
-      trunkVertices[i + 2] += (Math.random() - 0.5) * 0.05;
+      trunkVertices[i] += (rng.random() - 0.5) * 0.05;
+      trunkVertices[i + 2] += (rng.random() - 0.5) * 0.05;
     }
   }
   
@@ -213,20 +589,15 @@ function createBroadleafTree() {
   
   // Create foliage (sphere for broadleaf tree) with proper detail
   const foliageGeometry = new THREE.SphereGeometry(1.5, 12, 8);
-  const foliageMaterial = new THREE.MeshStandardMaterial({
-    color: 0x4caf50,
-    flatShading: true, // Use flat shading for low-poly look
-    roughness: 0.8,
-    side: THREE.DoubleSide // Ensure both sides are rendered
-  });
+  const foliageMaterial = treeMaterials.broadleafFoliage;
   
   // Apply subtle randomization to maintain connected geometry
   const foliageVertices = foliageGeometry.attributes.position.array;
   for (let i = 0; i < foliageVertices.length; i += 3) {
     // Use smaller random values to avoid breaking the mesh
-    foliageVertices[i] += (Math.random() - 0.5) * 0.15;
-    foliageVertices[i + 1] += (Math.random() - 0.5) * 0.15;
-    foliageVertices[i + 2] += (Math.random() - 0.5) * 0.15;
+    foliageVertices[i] += (rng.random() - 0.5) * 0.15;
+    foliageVertices[i + 1] += (rng.random() - 0.5) * 0.15;
+    foliageVertices[i + 2] += (rng.random() - 0.5) * 0.15;
   }
   
   foliageGeometry.computeVertexNormals();
@@ -243,46 +614,23 @@ function createBroadleafTree() {
 /**
  * Adds glowing fruits or flowers to a broadleaf tree
  */
-function addGlowingFruits(treeGroup) {
-  const fruitCount = 5 + Math.floor(Math.random() * 5);
-  
-  // Create fruit materials with different colors
-  const fruitMaterials = [
-    new THREE.MeshStandardMaterial({
-      color: 0xff5555,
-      emissive: 0xff0000,
-      emissiveIntensity: 0.5,
-      roughness: 0.7,
-      metalness: 0.2
-    }),
-    new THREE.MeshStandardMaterial({
-      color: 0xffff55,
-      emissive: 0xffff00,
-      emissiveIntensity: 0.5,
-      roughness: 0.7,
-      metalness: 0.2
-    }),
-    new THREE.MeshStandardMaterial({
-      color: 0xff55ff,
-      emissive: 0xff00ff,
-      emissiveIntensity: 0.5,
-      roughness: 0.7,
-      metalness: 0.2
-    })
-  ];
+function addGlowingFruits(treeGroup, rng) {
+  const fruitCount = 5 + Math.floor(rng.random() * 5);
   
   for (let i = 0; i < fruitCount; i++) {
-    // Create fruit geometry
-    const fruitGeometry = new THREE.SphereGeometry(0.1 + Math.random() * 0.05, 8, 6);
+    // Fruits share one unit sphere, sized per fruit
+    const size = 0.1 + rng.random() * 0.05;
     
     // Select random material
-    const material = fruitMaterials[Math.floor(Math.random() * fruitMaterials.length)];
-    const fruit = new THREE.Mesh(fruitGeometry, material);
+    const fruitMaterials = treeMaterials.fruits;
+    const material = fruitMaterials[Math.floor(rng.random() * fruitMaterials.length)];
+    const fruit = new THREE.Mesh(ornamentGeometries.sphere, material);
+    fruit.scale.setScalar(size);
     
     // Position fruit on the tree
-    const height = 3 + Math.random() * 1.5;
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.8 + Math.random() * 0.7;
+    const height = 3 + rng.random() * 1.5;
+    const angle = rng.random() * Math.PI * 2;
+    const radius = 0.8 + rng.random() * 0.7;
     
     fruit.position.set(
       Math.cos(angle) * radius,
@@ -301,19 +649,15 @@ function addGlowingFruits(treeGroup) {
 /**
  * Creates a simple stylized tree with glowing elements
  */
-function createSimpleTree() {
+function createSimpleTree(rng) {
   const treeGroup = new THREE.Group();
   
   // Add glowing leaves
-  addGlowingLeaves(treeGroup);
+  addGlowingLeaves(treeGroup, rng);
   
   // Create trunk with more segments for better connectivity and higher detail
   const trunkGeometry = new THREE.CylinderGeometry(0.15, 0.25, 2.5, 12, 5, false);
-  const trunkMaterial = new THREE.MeshStandardMaterial({
-    color: 0x8B4513,
-    flatShading: false, // Use smooth shading for better appearance
-    roughness: 0.9
-  });
+  const trunkMaterial = treeMaterials.trunk;
   const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
   trunk.castShadow = true;
   trunk.receiveShadow = true;
@@ -321,11 +665,7 @@ function createSimpleTree() {
   treeGroup.add(trunk);
   
   // Create foliage (multiple boxes for stylized look)
-  const foliageMaterial = new THREE.MeshStandardMaterial({
-    color: 0x7cad6d,
-    flatShading: false, // Use smooth shading for better appearance
-    roughness: 0.8
-  });
+  const foliageMaterial = treeMaterials.simpleFoliage;
   
   // Create main foliage block with proper segments
   const mainFoliageGeometry = new THREE.BoxGeometry(1.5, 1.5, 1.5, 1, 1, 1);
@@ -338,18 +678,18 @@ function createSimpleTree() {
   const vertices = mainFoliage.geometry.attributes.position.array;
   for (let i = 0; i < vertices.length; i += 3) {
     // Use smaller random values to avoid breaking the mesh
-    vertices[i] += (Math.random() - 0.5) * 0.1;
-    vertices[i + 1] += (Math.random() - 0.5) * 0.1;
-    vertices[i + 2] += (Math.random() - 0.5) * 0.1;
+    vertices[i] += (rng.random() - 0.5) * 0.1;
+    vertices[i + 1] += (rng.random() - 0.5) * 0.1;
+    vertices[i + 2] += (rng.random() - 0.5) * 0.1;
   }
   
   mainFoliage.geometry.computeVertexNormals();
   treeGroup.add(mainFoliage);
   
   // Add smaller foliage blocks
-  const smallBlockCount = 3 + Math.floor(Math.random() * 3);
+  const smallBlockCount = 3 + Math.floor(rng.random() * 3);
   for (let i = 0; i < smallBlockCount; i++) {
-    const size = 0.7 + Math.random() * 0.5;
+    const size = 0.7 + rng.random() * 0.5;
     // Use simpler geometry for better connectivity
     const blockGeometry = new THREE.BoxGeometry(size, size, size, 1, 1, 1);
     
@@ -357,9 +697,9 @@ function createSimpleTree() {
     const blockVertices = blockGeometry.attributes.position.array;
     for (let j = 0; j < blockVertices.length; j += 3) {
       // Use smaller random values to avoid breaking the mesh
-      blockVertices[j] += (Math.random() - 0.5) * 0.1;
-      blockVertices[j + 1] += (Math.random() - 0.5) * 0.1;
-      blockVertices[j + 2] += (Math.random() - 0.5) * 0.1;
+      blockVertices[j] += (rng.random() - 0.5) * 0.1;
+      blockVertices[j + 1] += (rng.random() - 0.5) * 0.1;
+      blockVertices[j + 2] += (rng.random() - 0.5) * 0.1;
     }
     
     blockGeometry.computeVertexNormals();
@@ -369,17 +709,17 @@ function createSimpleTree() {
     block.receiveShadow = true;
     
     // Position around main block
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.8 + Math.random() * 0.3;
+    const angle = rng.random() * Math.PI * 2;
+    const radius = 0.8 + rng.random() * 0.3;
     block.position.x = Math.cos(angle) * radius;
     block.position.z = Math.sin(angle) * radius;
-    block.position.y = 3 + (Math.random() - 0.5) * 1;
+    block.position.y = 3 + (rng.random() - 0.5) * 1;
     
     // Random rotation
     block.rotation.set(
-      Math.random() * Math.PI * 0.2,
-      Math.random() * Math.PI * 2,
-      Math.random() * Math.PI * 0.2
+      rng.random() * Math.PI * 0.2,
+      rng.random() * Math.PI * 2,
+      rng.random() * Math.PI * 0.2
     );
     
     treeGroup.add(block);
@@ -389,34 +729,237 @@ function createSimpleTree() {
 }
 
 /**
- * Loads GLTF tree models and adds them to the scene
+ * Loads the glTF tree models listed in a manifest
+ * The manifest is JSON of the form { "trees": [{ "file", "species", "scale",
+ * "collisionRadius" }] } with files relative to the manifest. Entries whose
+ * file is missing or fails to parse, or every entry if the manifest itself
+ * can't be read, are replaced by procedural placeholders of the same species.
+ * Calling this again returns the same promise, so it doubles as the
+ * "trees ready" signal; chunks built before it resolves use placeholders.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {string} manifestUrl - Manifest path under public/
+ * @param {Function} onProgress - Optional; called with (url, loaded, total) as each file settles, e.g. for a loading bar
+ * @returns {Promise<Array>} Resolves with the tree models once all files have settled
  */
-function loadTreeModels(treesGroup) {
-  // Create a loader
-  const loader = new GLTFLoader();
+export function loadTreeModels(world, manifestUrl, onProgress) {
+  if (treeModelsLoading) {
+    return treeModelsLoading;
+  }
   
-  // We'll simulate loading GLTF models by creating placeholder objects
-  // In a real application, you would load actual models from files
+  // One manager tracks the manifest and every model file
+  const manager = new THREE.LoadingManager(undefined, onProgress);
   
-  // Create placeholder models
-  treeModels = [
-    createGLTFTreePlaceholder(0x2d5d3b), // Dark green
-    createGLTFTreePlaceholder(0x4caf50), // Medium green
-    createGLTFTreePlaceholder(0x7cad6d)  // Light green
-  ];
+  const basePath = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+  const loader = new GLTFLoader(manager).setPath(basePath);
   
-  // Place GLTF tree models
-  placeGLTFTrees(treesGroup);
+  treeModelsLoading = new THREE.FileLoader(manager)
+    .setResponseType('json')
+    .loadAsync(manifestUrl)
+    .catch((error) => {
+      console.warn(`Tree manifest ${manifestUrl} could not be loaded, using placeholder trees:`, error);
+      return { trees: [] };
+    })
+    .then((manifest) => Promise.all(manifest.trees.map((entry) => loader.loadAsync(entry.file)
+      .then((gltf) => prepareTreeModel(gltf.scene, entry))
+      .catch((error) => {
+        console.warn(`Tree model ${entry.file} could not be loaded, using a placeholder:`, error);
+        return null;
+      }))
+    ).then((models) => {
+      // Failed entries keep their slot in the species mix as placeholders
+      const failed = manifest.trees.filter((entry, index) => !models[index]);
+      treeModels = models.filter(Boolean).concat(createPlaceholderModels(failed, world));
+      
+      // Without any usable entry, fall back to one placeholder per species
+      if (treeModels.length === 0) {
+        treeModels = createPlaceholderModels(DEFAULT_PLACEHOLDERS, world);
+      }
+      return treeModels;
+    }));
   
-  // Mark trees as loaded
-  treesLoaded = true;
+  return treeModelsLoading;
+}
+
+/**
+ * Loads the L-system rule sets listed in a manifest (see loadRuleSets in
+ * lsystemTrees.js for the file format)
+ * Trees of a rule set's species then grow from it in turn with the built-in
+ * tree, weighted by the rule set's weight. Rule sets for unknown species are
+ * skipped. Chunks built before this resolves use the built-in trees only.
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {string} manifestUrl - Manifest path under public/
+ * @returns {Promise<Array>} Resolves with the usable rule sets
+ */
+export function loadTreeRuleSets(world, manifestUrl) {
+  return loadRuleSets(manifestUrl).then((ruleSets) => {
+    treeRuleSets = ruleSets.filter((ruleSet) => {
+      if (PROCEDURAL_TREES[ruleSet.species]) return true;
+      console.warn(`Tree rule set "${ruleSet.name}" stands in for unknown species "${ruleSet.species}", skipping it`);
+      return false;
+    });
+    
+    // Every mid-range tree of a rule set instances one low-detail tree grown from it
+    treeRuleSets.forEach((ruleSet) => {
+      ruleSet.simplified = growRuleSetTree(ruleSet, world.random.fork('tree-rule-sets', ruleSet.name), 'simplified');
+      ruleSet.simplified.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.userData.shared = true;
+        }
+      });
+    });
+    
+    return treeRuleSets;
+  });
+}
+
+/**
+ * Grows a tree from a rule set with the materials of its species at one detail level
+ */
+function growRuleSetTree(ruleSet, rng, level) {
+  const materials = level === 'simplified' ? simplifiedTreeMaterials : treeMaterials;
+  return growLSystemTree(ruleSet, rng, {
+    trunk: materials.trunk,
+    foliage: materials[`${ruleSet.species}Foliage`]
+  }, level);
+}
+
+/**
+ * Readies a loaded model for instancing into chunks
+ * Chunk trees instance these models, so their resources must survive chunk
+ * disposal. Node transforms are baked into the geometry, so every part is
+ * instanced from the trunk base and fades and sways with the whole tree. A
+ * simplified copy with reduced geometry is kept for mid-range trees.
+ */
+function prepareTreeModel(source, entry) {
+  const model = new THREE.Group();
+  source.updateMatrixWorld(true);
+  source.traverse((child) => {
+    if (child.isMesh) {
+      const part = new THREE.Mesh(child.geometry.clone().applyMatrix4(child.matrixWorld), child.material);
+      part.castShadow = true;
+      part.receiveShadow = true;
+      part.layers.mask = child.layers.mask;
+      part.geometry.userData.shared = true;
+      applyTreeLod(part.material, 'full').userData.shared = true;
+      model.add(part);
+    }
+  });
+  
+  const simplified = model.clone();
+  simplified.traverse((child) => {
+    if (child.isMesh) {
+      child.geometry = simplifyGeometry(child.geometry, SIMPLIFIED_MODEL_DETAIL);
+      child.geometry.userData.shared = true;
+      child.material = applyTreeLod(child.material.clone(), 'simplified');
+    }
+  });
+  
+  model.userData.tree = {
+    species: entry.species || 'broadleaf',
+    scale: entry.scale || 1,
+    collisionRadius: entry.collisionRadius || 0.3,
+    simplified: simplified
+  };
+  
+  return model;
+}
+
+/**
+ * Bakes billboards of every tree kind for the far detail level
+ * Call once the tree models have loaded and before chunks are built; until
+ * then, and if baking fails, far trees stay at the simplified level.
+ * @param {THREE.WebGLRenderer} renderer - Renderer to bake with
+ * @param {Object} world - Seeded world random state from createWorldRandom
+ * @param {Object} config - LOD settings (see worldConfig.trees.lod)
+ */
+export function bakeTreeImpostors(renderer, world, config) {
+  setTreeLodDistances(config, false);
+  
+  // One sample per procedural species and rule set, plus every loaded model as it is
+  const rng = world.random.fork('tree-impostors');
+  const grown = Object.keys(PROCEDURAL_TREES).map((species) => ({
+    key: species,
+    object: PROCEDURAL_TREES[species](rng)
+  })).concat(treeRuleSets.map((ruleSet) => ({
+    key: ruleSet,
+    object: growRuleSetTree(ruleSet, rng, 'full')
+  })));
+  const samples = grown.concat((treeModels || []).map((model) => ({ key: model, object: model })));
+  
+  // Bake the summer look; the season is tinted onto the tiles afterwards
+  const season = foliageSeason;
+  const { seasonSnow, seasonLeafLoss } = seasonUniforms;
+  const [snow, leafLoss] = [seasonSnow.value, seasonLeafLoss.value];
+  updateTreeSeason({ from: 'summer', to: 'summer', blend: 0 });
+  seasonSnow.value = 0;
+  seasonLeafLoss.value = 0;
+  
+  try {
+    impostorAtlas = bakeImpostorAtlas(renderer, samples, config.impostorTileSize);
+    setTreeLodDistances(config, true);
+  } catch (error) {
+    console.warn('Tree impostors could not be baked, far trees stay simplified:', error);
+  }
+  
+  seasonSnow.value = snow;
+  seasonLeafLoss.value = leafLoss;
+  updateTreeSeason(season);
+  
+  // The grown samples were only needed for the bake
+  grown.forEach(({ object }) => {
+    object.traverse((child) => {
+      if (child.isMesh && !child.geometry.userData.shared) {
+        child.geometry.dispose();
+      }
+    });
+  });
+}
+
+/**
+ * Recolors the foliage of procedural trees, and the impostors of every tree
+ * kind, for the season
+ * @param {Object} season - Season blend from getSeason (from, to and blend)
+ */
+export function updateTreeSeason(season) {
+  foliageSeason = season;
+  
+  Object.entries(FOLIAGE_COLORS).forEach(([key, palette]) => {
+    treeMaterials[key].color.lerpColors(palette[season.from], palette[season.to], season.blend);
+    simplifiedTreeMaterials[key].color.copy(treeMaterials[key].color);
+  });
+  
+  // Billboards were baked in summer colors, so they take the change from summer as a tint
+  if (impostorAtlas) {
+    impostorAtlas.tiles.forEach(({ index }, key) => {
+      // Tiles are keyed by built-in species name, rule set or model
+      const species = typeof key === 'string' ? key : key.species || key.userData.tree.species;
+      const foliage = `${species}Foliage`;
+      if (!FOLIAGE_COLORS[foliage]) return;
+      
+      const summer = FOLIAGE_COLORS[foliage].summer;
+      const current = treeMaterials[foliage].color;
+      impostorAtlas.tints[index].setRGB(current.r / summer.r, current.g / summer.g, current.b / summer.b);
+    });
+  }
+}
+
+/**
+ * Creates procedural stand-ins for tree models that could not be loaded
+ * @param {Array} entries - Manifest entries (species, scale, collisionRadius) to stand in for
+ */
+function createPlaceholderModels(entries, world) {
+  const rng = world.random.fork('gltf-placeholders');
+  
+  return entries.map((entry) => prepareTreeModel(
+    createGLTFTreePlaceholder(PLACEHOLDER_COLORS[entry.species] || PLACEHOLDER_COLORS.broadleaf, rng),
+    entry
+  ));
 }
 
 /**
  * Creates a placeholder for GLTF tree models
- * In a real application, this would be replaced with actual model loading
  */
-function createGLTFTreePlaceholder(color) {
+function createGLTFTreePlaceholder(color, rng) {
   const treeGroup = new THREE.Group();
   
   // Create a more detailed tree as a placeholder
@@ -433,8 +976,8 @@ function createGLTFTreePlaceholder(color) {
   for (let i = 0; i < trunkVertices.length; i += 3) {
     if (i > 18) { // Don't modify top and bottom center vertices
       // Use smaller random values to avoid breaking the mesh
-      trunkVertices[i] += (Math.random() - 0.5) * 0.05;
-      trunkVertices[i + 2] += (Math.random() - 0.5) * 0.05;
+      trunkVertices[i] += (rng.random() - 0.5) * 0.05;
+      trunkVertices[i + 2] += (rng.random() - 0.5) * 0.05;
     }
   }
   
@@ -462,27 +1005,27 @@ function createGLTFTreePlaceholder(color) {
   treeGroup.add(mainFoliage);
   
   // Create additional foliage parts
-  const foliageParts = 3 + Math.floor(Math.random() * 3); // Reduced count for better performance
+  const foliageParts = 3 + Math.floor(rng.random() * 3); // Reduced count for better performance
   for (let i = 0; i < foliageParts; i++) {
     // Alternate between different geometry types with higher detail
     let geometry;
     const geometryType = i % 3;
     
     if (geometryType === 0) {
-      geometry = new THREE.IcosahedronGeometry(0.7 + Math.random() * 0.3, 2); // Increased detail
+      geometry = new THREE.IcosahedronGeometry(0.7 + rng.random() * 0.3, 2); // Increased detail
     } else if (geometryType === 1) {
-      geometry = new THREE.SphereGeometry(0.6 + Math.random() * 0.4, 12, 10); // Increased detail
+      geometry = new THREE.SphereGeometry(0.6 + rng.random() * 0.4, 12, 10); // Increased detail
     } else {
-      geometry = new THREE.OctahedronGeometry(0.6 + Math.random() * 0.4, 2); // Increased detail
+      geometry = new THREE.OctahedronGeometry(0.6 + rng.random() * 0.4, 2); // Increased detail
     }
     
     // Apply subtle randomization to maintain connected geometry
     const vertices = geometry.attributes.position.array;
     for (let j = 0; j < vertices.length; j += 3) {
       // Use smaller random values to avoid breaking the mesh
-      vertices[j] += (Math.random() - 0.5) * 0.1;
-      vertices[j + 1] += (Math.random() - 0.5) * 0.1;
-      vertices[j + 2] += (Math.random() - 0.5) * 0.1;
+      vertices[j] += (rng.random() - 0.5) * 0.1;
+      vertices[j + 1] += (rng.random() - 0.5) * 0.1;
+      vertices[j + 2] += (rng.random() - 0.5) * 0.1;
     }
     
     geometry.computeVertexNormals();
@@ -492,9 +1035,9 @@ function createGLTFTreePlaceholder(color) {
     foliagePart.receiveShadow = true;
     
     // Position foliage parts to form a tree shape
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.5 + Math.random() * 0.5;
-    const height = 2 + Math.random() * 1.5;
+    const angle = rng.random() * Math.PI * 2;
+    const radius = 0.5 + rng.random() * 0.5;
+    const height = 2 + rng.random() * 1.5;
     
     foliagePart.position.x = Math.cos(angle) * radius;
     foliagePart.position.y = height;
@@ -509,39 +1052,19 @@ function createGLTFTreePlaceholder(color) {
 /**
  * Adds glowing leaves to a stylized tree
  */
-function addGlowingLeaves(treeGroup) {
-  const leavesCount = 8 + Math.floor(Math.random() * 8);
-  
-  // Create leaf materials with different colors
-  const leafMaterials = [
-    new THREE.MeshStandardMaterial({
-      color: 0x88ff88,
-      emissive: 0x44ff44,
-      emissiveIntensity: 0.5,
-      roughness: 0.7,
-      metalness: 0.2
-    }),
-    new THREE.MeshStandardMaterial({
-      color: 0xaaffaa,
-      emissive: 0x66ff66,
-      emissiveIntensity: 0.5,
-      roughness: 0.7,
-      metalness: 0.2
-    })
-  ];
+function addGlowingLeaves(treeGroup, rng) {
+  const leavesCount = 8 + Math.floor(rng.random() * 8);
   
   for (let i = 0; i < leavesCount; i++) {
-    // Create leaf geometry (flattened box)
-    const leafGeometry = new THREE.BoxGeometry(0.2, 0.05, 0.2);
-    
     // Select random material
-    const material = leafMaterials[Math.floor(Math.random() * leafMaterials.length)];
-    const leaf = new THREE.Mesh(leafGeometry, material);
+    const leafMaterials = treeMaterials.leaves;
+    const material = leafMaterials[Math.floor(rng.random() * leafMaterials.length)];
+    const leaf = new THREE.Mesh(ornamentGeometries.leaf, material);
     
     // Position leaf on the tree
-    const height = 2.5 + Math.random() * 1.5;
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.6 + Math.random() * 0.8;
+    const height = 2.5 + rng.random() * 1.5;
+    const angle = rng.random() * Math.PI * 2;
+    const radius = 0.6 + rng.random() * 0.8;
     
     leaf.position.set(
       Math.cos(angle) * radius,
@@ -551,9 +1074,9 @@ function addGlowingLeaves(treeGroup) {
     
     // Random rotation
     leaf.rotation.set(
-      Math.random() * Math.PI,
-      Math.random() * Math.PI,
-      Math.random() * Math.PI
+      rng.random() * Math.PI,
+      rng.random() * Math.PI,
+      rng.random() * Math.PI
     );
     
     // Add to bloom layer
@@ -565,46 +1088,30 @@ function addGlowingLeaves(treeGroup) {
 }
 
 /**
- * Places GLTF tree models in the scene
+ * Places GLTF tree models on scattered spots
  */
-function placeGLTFTrees(treesGroup) {
-  // Place more GLTF trees for better coverage
-  const treeCount = 30;
-  const noise = new SimplexNoise();
-  
-  for (let i = 0; i < treeCount; i++) {
-    // Use noise for natural distribution
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 15 + Math.random() * 150; // Increased radius for wider distribution
-    
-    let x = Math.cos(angle) * radius;
-    let z = Math.sin(angle) * radius;
-    
-    // Add noise to position
-    const noiseValue = noise.noise(x * 0.03, z * 0.03);
-    
-    // Skip this position if noise value is below threshold
-    if (noiseValue < -0.4) continue;
-    
-    // Adjust position based on noise
-    x += noiseValue * 8;
-    z += noiseValue * 8;
+function placeGLTFTrees(batch, spots, terrain) {
+  spots.forEach(({ x, z, kind, rng }) => {
+    // Select a model of the spot's species, or any model if none matches
+    const matching = treeModels.filter((model) => model.userData.tree.species === kind.species);
+    const candidates = matching.length > 0 ? matching : treeModels;
+    const source = candidates[Math.floor(rng.random() * candidates.length)];
+    const treeModel = source.clone();
     
-    // Select a random tree model
-    const modelIndex = Math.floor(Math.random() * treeModels.length);
-    const treeModel = treeModels[modelIndex].clone();
-    
-    // Position tree
-    treeModel.position.set(x, 0, z);
+    // Position tree on the ground, sunk slightly so trunks don't float on slopes
+    treeModel.position.set(x, terrain.getHeightAt(x, z) - 0.2, z);
     
     // Random rotation
-    treeModel.rotation.y = Math.random() * Math.PI * 2;
+    treeModel.rotation.y = rng.random() * Math.PI * 2;
     
-    // Random scale variation
-    const scale = 1 + Math.random() * 0.5;
-    treeModel.scale.set(scale, scale + Math.random() * 0.3, scale);
+    // Manifest scale with random variation
+    const scale = source.userData.tree.scale * (1 + rng.random() * 0.5);
+    treeModel.scale.set(scale, scale * (1 + rng.random() * 0.3), scale);
     
-    // Add to trees group
-    treesGroup.add(treeModel);
-  }
+    // Trunk radius for collisions, scaled with the tree
+    treeModel.userData.collisionRadius = source.userData.tree.collisionRadius * scale;
+    
+    // Instance the model's meshes in the chunk's tree batches
+    batch.add(treeModel, { simplified: source.userData.tree.simplified, impostor: source });
+  });
 }
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+/**
+ * Creates the water system for lakes and rivers
+ * Terrain below the sea level is covered by a flat-shaded animated surface
+ * that reflects the current sky colors and fades into the fog.
+ * @param {Object} config - Water settings (see worldConfig.water)
+ * @returns {Object} Water system with createChunkSurface and update methods
+ */
+export function createWater(config) {
+  const material = createWaterMaterial();
+  material.userData.shared = true;
+  
+  // Surface tiles are positioned per chunk and share one geometry
+  let surfaceGeometry = null;
+  
+  return {
+    material: material,
+    
+    // Creates the water surface for a chunk, or null if the chunk is dry
+    createChunkSurface: (chunk, heights) => {
+      let lowest = Infinity;
+      for (let i = 0; i < heights.length; i++) {
+        lowest = Math.min(lowest, heights[i]);
+      }
+      if (lowest >= config.seaLevel) return null;
+      
+      if (!surfaceGeometry) {
+        surfaceGeometry = new THREE.PlaneGeometry(chunk.size, chunk.size, 12, 12);
+        surfaceGeometry.rotateX(-Math.PI / 2);
+        surfaceGeometry.userData.shared = true;
+      }
+      
+      const surface = new THREE.Mesh(surfaceGeometry, material);
+      surface.position.set(chunk.minX + chunk.size / 2, config.seaLevel, chunk.minZ + chunk.size / 2);
+      surface.receiveShadow = false;
+      surface.castShadow = false;
+      
+      return surface;
+    },
+    
+    // Animates the waves and picks up the current sky colors
+    update: (delta, skyColors) => {
+      const uniforms = material.uniforms;
+      uniforms.time.value += delta;
+      
+      if (skyColors) {
+        uniforms.skyTopColor.value.copy(skyColors.top);
+        uniforms.skyBottomColor.value.copy(skyColors.bottom);
+        
+        // Darken the water body along with the sky at night
+        const hsl = skyColors.bottom.getHSL({});
+        uniforms.brightness.value = THREE.MathUtils.clamp(hsl.l * 1.6, 0.15, 1);
+      }
+    }
+  };
+}
+
+/**
+ * Creates the flat-shaded water shader
+ */
+function createWaterMaterial() {
+  const vertexShader = `
+    #include <fog_pars_vertex>
+    uniform float time;
+    varying vec3 vWorldPosition;
+    void main() {
+      vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+      
+      // Layered waves in world space so neighbouring tiles line up
+      worldPosition.y += sin(worldPosition.x * 0.35 + time * 1.3) * 0.06;
+      worldPosition.y += sin(worldPosition.z * 0.45 - time * 0.9) * 0.05;
+      worldPosition.y += sin((worldPosition.x + worldPosition.z) * 0.12 + time * 0.6) * 0.08;
+      
+      vWorldPosition = worldPosition.xyz;
+      vec4 mvPosition = viewMatrix * worldPosition;
+      gl_Position = projectionMatrix * mvPosition;
+      #include <fog_vertex>
+    }
+  `;
+  
+  const fragmentShader = `
+    #include <fog_pars_fragment>
+    uniform vec3 waterColor;
+    uniform vec3 skyTopColor;
+    uniform vec3 skyBottomColor;
+    uniform float brightness;
+    uniform float opacity;
+    varying vec3 vWorldPosition;
+    void main() {
+      // Face normal from screen-space derivatives gives the low-poly facets
+      vec3 normal = normalize(cross(dFdx(vWorldPosition), dFdy(vWorldPosition)));
+      if (normal.y < 0.0) normal = -normal;
+      
+      vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+      float fresnel = pow(1.0 - max(dot(normal, viewDirection), 0.0), 3.0);
+      
+      // Reflect the sky gradient in the direction of the mirrored view ray
+      vec3 reflected = reflect(-viewDirection, normal);
+      vec3 skyColor = mix(skyBottomColor, skyTopColor, pow(clamp(reflected.y, 0.0, 1.0), 0.5));
+      
+      vec3 color = mix(waterColor * brightness, skyColor, 0.35 + 0.65 * fresnel);
+      gl_FragColor = vec4(color, opacity);
+      #include <fog_fragment>
+    }
+  `;
+  
+  // Fog uniforms are filled in by the renderer from the scene's fog
+  const uniforms = {
+    ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+    time: { value: 0 },
+    waterColor: { value: new THREE.Color(0x1f6f8b) },
+    skyTopColor: { value: new THREE.Color(0x1a8cff) },
+    skyBottomColor: { value: new THREE.Color(0xa6e6ff) },
+    brightness: { value: 1 },
+    opacity: { value: 0.85 }
+  };
+  
+  return new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: vertexShader,
+    fragmentShader: fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    fog: true
+  });
+}
@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+import { getSeason } from './seasons.js';
+import { setWindOffset } from './wind.js';
+
+// Kinds of weather, in no particular order
+export const WEATHER_STATES = ['clear', 'overcast', 'rain', 'snow', 'fog', 'storm'];
+
+// How each kind of weather looks and sounds: the share of the sky's clouds
+// out and how dark they are, rain and snow (0-1), fog (0 keeps the
+// palette's fog, 1 closes it right in), lightning strikes per minute, the
+// share of direct sun and moon light getting through, wind added to the
+// strength set through setWind, and the volumes of the rain and storm audio beds
+const WEATHER_LOOKS = {
+  clear: {
+    cloudCover: 0.375, cloudDarkness: 0, rain: 0, snow: 0, fog: 0,
+    lightning: 0, sunlight: 1, wind: 0, rainSound: 0, stormSound: 0
+  },
+  overcast: {
+    cloudCover: 0.9, cloudDarkness: 0.3, rain: 0, snow: 0, fog: 0.15,
+    lightning: 0, sunlight: 0.45, wind: 0.1, rainSound: 0, stormSound: 0
+  },
+  rain: {
+    cloudCover: 1, cloudDarkness: 0.5, rain: 0.6, snow: 0, fog: 0.3,
+    lightning: 0, sunlight: 0.3, wind: 0.15, rainSound: 1, stormSound: 0
+  },
+  snow: {
+    cloudCover: 1, cloudDarkness: 0.25, rain: 0, snow: 1, fog: 0.4,
+    lightning: 0, sunlight: 0.4, wind: 0.05, rainSound: 0, stormSound: 0
+  },
+  fog: {
+    cloudCover: 0.6, cloudDarkness: 0.15, rain: 0, snow: 0, fog: 1,
+    lightning: 0, sunlight: 0.5, wind: -0.3, rainSound: 0, stormSound: 0
+  },
+  storm: {
+    cloudCover: 1, cloudDarkness: 0.8, rain: 1, snow: 0, fog: 0.4,
+    lightning: 4, sunlight: 0.15, wind: 0.5, rainSound: 0.6, stormSound: 1
+  }
+};
+
+// Odds of what comes after each kind of weather when it changes on its own
+const WEATHER_ODDS = {
+  clear: { overcast: 3, fog: 1 },
+  overcast: { clear: 2, rain: 2, fog: 1, storm: 0.5 },
+  rain: { overcast: 2, storm: 1, clear: 0.5 },
+  snow: { overcast: 2, clear: 1 },
+  fog: { clear: 2, overcast: 1 },
+  storm: { rain: 2, overcast: 1 }
+};
+
+// How wet the ground gets under falling snow, melting as it lands, and in fog
+const SNOW_WETNESS = 0.4;
+const FOG_WETNESS = 0.2;
+
+// Uniforms shared by every shader that changes with the weather
+export const weatherUniforms = {
+  weatherWetness: { value: 0 }
+};
+
+// Where the weather stands: easing from a snapshot of how it looked (from)
+// towards a kind of weather (to). Times are in in-game days, except for
+// lightning, which runs in seconds.
+const state = {
+  fromName: 'clear',
+  from: { ...WEATHER_LOOKS.clear },
+  to: 'clear',
+  progress: 1,
+  rate: 1,
+  held: null,
+  durationHours: [3, 9],
+  transitionHours: 1.5,
+  wetHours: 1,
+  dryHours: 4,
+  rng: null,
+  day: null,
+  nextChange: 0,
+  look: { ...WEATHER_LOOKS.clear },
+  wetness: 0,
+  nextStrike: 0,
+  strikeAge: Infinity,
+  strikes: 0,
+  thunderDelay: 0
+};
+
+/**
+ * Sets up the weather from the configuration
+ * The starting weather is already in place, ground wetness included, rather
+ * than soaking in over wetHours.
+ * @param {Object} config - Weather settings (see worldConfig.weather)
+ * @param {Object} rng - Random stream for weather changes and lightning
+ */
+export function configureWeather(config, rng) {
+  weatherIndex(config.start);
+  state.rng = rng;
+  state.held = config.advance ? null : config.start;
+  state.durationHours = config.durationHours;
+  state.transitionHours = Math.max(0.01, config.transitionHours);
+  state.wetHours = config.wetHours;
+  state.dryHours = config.dryHours;
+  state.day = null;
+  state.nextStrike = randomStrikeGap();
+  
+  state.fromName = config.start;
+  state.to = config.start;
+  state.from = { ...WEATHER_LOOKS[config.start] };
+  state.progress = 1;
+  state.look = { ...WEATHER_LOOKS[config.start] };
+  state.wetness = groundWetness(state.look);
+  weatherUniforms.weatherWetness.value = state.wetness;
+  setWindOffset(state.look.wind, 0);
+}
+
+/**
+ * Brings on a kind of weather and holds it, or lets the weather change on its own again
+ * @param {string|null} name - Weather to hold, or null to let it change by itself
+ * @param {number} transitionHours - In-game hours the change takes (0 to switch at once)
+ */
+export function setWeather(name, transitionHours = state.transitionHours) {
+  if (name === null) {
+    state.held = null;
+    state.nextChange = state.day === null ? 0 : state.day;
+    return;
+  }
+  
+  weatherIndex(name);
+  state.held = name;
+  changeWeather(name, transitionHours);
+}
+
+/**
+ * Moves the weather along: eases between kinds of weather, changes it when
+ * its time is up, wets and dries the ground and throws lightning
+ * @param {number} day - Days elapsed, including the fraction of the current day
+ * @param {number} delta - Seconds since the last update
+ */
+export function updateWeather(day, delta) {
+  if (state.day === null) {
+    state.day = day;
+    state.nextChange = day + randomDuration();
+  }
+  
+  // Setting the clock back does not undo the weather
+  const hours = Math.max(0, day - state.day) * 24;
+  state.day = day;
+  
+  state.progress = Math.min(1, state.progress + hours * state.rate);
+  if (state.held === null && state.progress === 1 && day >= state.nextChange) {
+    changeWeather(pickNextWeather(), state.transitionHours);
+  }
+  
+  blendLook();
+  
+  // The ground soaks up rain, melting snow and fog over wetHours and dries over dryHours
+  const look = state.look;
+  const wetness = groundWetness(look);
+  if (wetness > state.wetness) {
+    state.wetness = Math.min(wetness, state.wetness + hours / state.wetHours);
+  } else {
+    state.wetness = Math.max(wetness, state.wetness - hours / state.dryHours);
+  }
+  weatherUniforms.weatherWetness.value = state.wetness;
+  
+  // Lightning strikes at random, on average look.lightning times a minute;
+  // the countdown runs in strikes, so it keeps up as a storm builds
+  state.strikeAge += delta;
+  if (look.lightning > 0.01) {
+    state.nextStrike -= delta * look.lightning / 60;
+    if (state.nextStrike <= 0) {
+      state.strikeAge = 0;
+      state.strikes++;
+      
+      // Thunder follows after the time sound takes to come from the strike
+      state.thunderDelay = 0.3 + state.rng.random() * 4;
+      state.nextStrike = randomStrikeGap();
+    }
+  }
+}
+
+/**
+ * Current weather, for the systems that follow it
+ * @returns {Object} name (the weather closest to now), from and to (the two
+ *   being blended), blend (0 is all from, 1 all to), the blended look
+ *   (cloudCover, cloudDarkness, rain, snow, fog, lightning, sunlight, wind,
+ *   rainSound and stormSound), wetness of the ground (0-1), flash (the
+ *   lightning's brightness now, 0-1), strikes (lightning strikes so far) and
+ *   thunderDelay (seconds from the last strike to its thunder)
+ */
+export function getWeather() {
+  const blend = smoothProgress();
+  
+  return {
+    name: blend < 0.5 ? state.fromName : state.to,
+    from: state.fromName,
+    to: state.to,
+    blend: blend,
+    ...state.look,
+    wetness: state.wetness,
+    flash: lightningFlash(state.strikeAge),
+    strikes: state.strikes,
+    thunderDelay: state.thunderDelay
+  };
+}
+
+/**
+ * Starts easing from the weather as it looks now towards another kind
+ */
+function changeWeather(name, transitionHours) {
+  const hours = Math.max(0, transitionHours);
+  
+  // A storm building from calm skies waits for its first strike
+  if (WEATHER_LOOKS[name].lightning > 0 && state.look.lightning <= 0.01) {
+    state.nextStrike = randomStrikeGap();
+  }
+  
+  state.from = { ...state.look };
+  state.fromName = getWeather().name;
+  state.to = name;
+  state.progress = hours > 0 ? 0 : 1;
+  state.rate = hours > 0 ? 1 / hours : 1;
+  state.nextChange = (state.day === null ? 0 : state.day) + hours / 24 + randomDuration();
+  
+  if (state.progress === 1) blendLook();
+  
+  // Storms blow up and fog settles in still air, on top of the wind as set
+  setWindOffset(WEATHER_LOOKS[name].wind);
+}
+
+/**
+ * Picks the next weather from the odds, with snow in place of rain and
+ * storms in winter
+ */
+function pickNextWeather() {
+  const winter = getSeason().snow > 0.5;
+  const odds = {};
+  
+  Object.entries(WEATHER_ODDS[state.to]).forEach(([name, weight]) => {
+    let next = name;
+    if (winter && (name === 'rain' || name === 'storm')) next = 'snow';
+    if (!winter && name === 'snow') next = 'rain';
+    odds[next] = (odds[next] || 0) + weight;
+  });
+  
+  const total = Object.values(odds).reduce((sum, weight) => sum + weight, 0);
+  let threshold = state.rng.random() * total;
+  for (const [name, weight] of Object.entries(odds)) {
+    threshold -= weight;
+    if (threshold < 0) return name;
+  }
+  return state.to;
+}
+
+// In-game days the next spell of weather lasts
+function randomDuration() {
+  const [min, max] = state.durationHours;
+  return (min + (state.rng ? state.rng.random() : 0.5) * (max - min)) / 24;
+}
+
+// Strikes until the next one, counted in the lightning countdown's units
+function randomStrikeGap() {
+  return -Math.log(1 - (state.rng ? state.rng.random() : 0.5));
+}
+
+// How wet a look of the weather leaves the ground in the end (0-1)
+function groundWetness(look) {
+  return Math.max(look.rain, look.snow * SNOW_WETNESS, look.fog * FOG_WETNESS);
+}
+
+function smoothProgress() {
+  return state.progress * state.progress * (3 - 2 * state.progress);
+}
+
+function blendLook() {
+  const blend = smoothProgress();
+  const to = WEATHER_LOOKS[state.to];
+  
+  Object.keys(to).forEach((key) => {
+    state.look[key] = THREE.MathUtils.lerp(state.from[key], to[key], blend);
+  });
+}
+
+/**
+ * Brightness of a lightning flash some seconds after the strike: a bright
+ * flash and a weaker flicker after it
+ */
+function lightningFlash(age) {
+  if (age > 1) return 0;
+  
+  const flicker = age > 0.15 ? 0.6 * Math.exp(-(age - 0.15) * 10) : 0;
+  return Math.min(1, Math.exp(-age * 12) + flicker);
+}
+
+function weatherIndex(name) {
+  const index = WEATHER_STATES.indexOf(name);
+  if (index === -1) {
+    throw new Error(`Unknown weather "${name}"`);
+  }
+  return index;
+}
+
+/**
+ * Makes a material darken and shine as the ground gets wet
+ * Runs after any shader patch the material already has.
+ * @param {THREE.MeshStandardMaterial} material - Material to patch (modified in place)
+ * @returns {THREE.MeshStandardMaterial} The same material
+ */
+export function applyWetLook(material) {
+  const previousCompile = material.onBeforeCompile;
+  const previousKey = material.customProgramCacheKey();
+  
+  material.onBeforeCompile = (shader, renderer) => {
+    previousCompile.call(material, shader, renderer);
+    addWetLook(shader);
+  };
+  material.customProgramCacheKey = () => `${previousKey}|wet`;
+  
+  return material;
+}
+
+/**
+ * Injects the wet look: darker and glossier, most of all on flat ground where water stands
+ */
+function addWetLook(shader) {
+  Object.assign(shader.uniforms, weatherUniforms);
+  
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', `
+      #include <common>
+      uniform float weatherWetness;
+    `)
+    .replace('#include <normal_fragment_maps>', `
+      #include <normal_fragment_maps>
+      float weatherFlat = max(0.0, dot(normal, normalize((viewMatrix * vec4(0.0, 1.0, 0.0, 0.0)).xyz)));
+      float weatherWet = weatherWetness * mix(0.6, 1.0, weatherFlat);
+      diffuseColor.rgb *= 1.0 - 0.45 * weatherWet;
+      roughnessFactor = mix(roughnessFactor, 0.3, weatherWet);
+    `);
+}
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+
+// Seconds a wind change takes to settle when no transition time is given
+const DEFAULT_TRANSITION = 4;
+
+// Distance gust fronts travel per second at strength 1, and their spacing
+const GUST_SPEED = 6;
+const GUST_WAVELENGTH = 40;
+
+// Uniforms shared by every shader the wind moves: the direction it blows towards
+// (x/z), its strength including the current gust, the time and how far gust
+// fronts have travelled downwind
+export const windUniforms = {
+  windDirection: { value: new THREE.Vector2(1, 0.3).normalize() },
+  windStrength: { value: 0.4 },
+  windTime: { value: 0 },
+  windTravel: { value: 0 }
+};
+
+// GLSL for the uniforms and windAt(position): the wind strength at a world x/z
+// position, stronger where a gust front is passing
+export const WIND_SHADER = `
+  uniform vec2 windDirection;
+  uniform float windStrength;
+  uniform float windTime;
+  uniform float windTravel;
+  
+  float windAt(vec2 position) {
+    float front = sin((dot(position, windDirection) - windTravel) * ${(Math.PI * 2 / GUST_WAVELENGTH).toFixed(4)}) * 0.5 + 0.5;
+    return windStrength * (0.6 + 0.8 * front * front);
+  }
+`;
+
+// Wind as set through setWind, and where it is easing towards, plus the
+// strength the weather adds on top of it
+const state = {
+  direction: windUniforms.windDirection.value.clone(),
+  strength: windUniforms.windStrength.value,
+  gustiness: 0.5,
+  gust: 0,
+  target: null,
+  offset: 0,
+  offsetTarget: null,
+  time: 0
+};
+
+/**
+ * Sets the wind everything in the world responds to
+ * Changes ease in over the transition time, so a weather system or debug
+ * panel can call this freely.
+ * @param {THREE.Vector2|THREE.Vector3} direction - Direction the wind blows towards on
+ *   the ground (x/y of a Vector2, x/z of a Vector3); it does not need to be normalized
+ * @param {number} strength - 0 for calm air, 1 for a gale
+ * @param {number} transition - Seconds until the new wind has fully taken over (0 to apply at once)
+ */
+export function setWind(direction, strength, transition = DEFAULT_TRANSITION) {
+  const target = new THREE.Vector2(direction.x, direction.isVector3 ? direction.z : direction.y);
+  if (target.lengthSq() === 0) {
+    target.copy(state.direction);
+  }
+  
+  target.normalize();
+  
+  if (transition > 0) {
+    state.target = {
+      fromDirection: state.direction.clone(),
+      fromStrength: state.strength,
+      direction: target,
+      strength: Math.max(0, strength),
+      elapsed: 0,
+      duration: transition
+    };
+  } else {
+    state.target = null;
+    state.direction.copy(target);
+    state.strength = Math.max(0, strength);
+    applyUniforms();
+  }
+}
+
+/**
+ * Sets how much stronger (or, below 0, calmer) the weather makes the wind
+ * This adds to the strength given to setWind, so the two can be changed
+ * independently.
+ * @param {number} offset - Strength added to the wind set through setWind
+ * @param {number} transition - Seconds until the new offset has fully taken over (0 to apply at once)
+ */
+export function setWindOffset(offset, transition = DEFAULT_TRANSITION) {
+  if (transition > 0) {
+    state.offsetTarget = { fromOffset: state.offset, offset: offset, elapsed: 0, duration: transition };
+  } else {
+    state.offsetTarget = null;
+    state.offset = offset;
+    applyUniforms();
+  }
+}
+
+/**
+ * Sets how much gusts add to the steady wind (0 for an even breeze)
+ * @param {number} gustiness - Peak gust as a fraction of the strength
+ */
+export function setWindGustiness(gustiness) {
+  state.gustiness = Math.max(0, gustiness);
+}
+
+/**
+ * Eases towards the requested wind and rolls the gusts forward
+ * @param {number} delta - Seconds since the last update
+ */
+export function updateWind(delta) {
+  state.time += delta;
+  
+  // Changes run from where the wind stood when they were asked for and are
+  // done once their transition time has passed
+  if (state.target) {
+    const target = state.target;
+    target.elapsed += delta;
+    const blend = Math.min(1, target.elapsed / target.duration);
+    
+    state.direction.lerpVectors(target.fromDirection, target.direction, blend);
+    if (state.direction.lengthSq() < 1e-6) {
+      state.direction.copy(target.direction);
+    }
+    state.direction.normalize();
+    state.strength = THREE.MathUtils.lerp(target.fromStrength, target.strength, blend);
+    
+    if (blend === 1) {
+      state.target = null;
+    }
+  }
+  
+  if (state.offsetTarget) {
+    const target = state.offsetTarget;
+    target.elapsed += delta;
+    const blend = Math.min(1, target.elapsed / target.duration);
+    state.offset = THREE.MathUtils.lerp(target.fromOffset, target.offset, blend);
+    
+    if (blend === 1) {
+      state.offsetTarget = null;
+    }
+  }
+  
+  // Overlapping slow waves give irregular gusts in 0-1
+  const t = state.time;
+  const waves = Math.sin(t * 0.23) * 0.5 + Math.sin(t * 0.61 + 1.3) * 0.3 + Math.sin(t * 1.37 + 2.1) * 0.2;
+  state.gust = Math.pow(waves * 0.5 + 0.5, 2);
+  
+  applyUniforms();
+  windUniforms.windTime.value = state.time;
+  windUniforms.windTravel.value += delta * GUST_SPEED * (0.5 + windUniforms.windStrength.value);
+}
+
+/**
+ * Copies the current direction and gusty strength to the shaders
+ */
+function applyUniforms() {
+  windUniforms.windDirection.value.copy(state.direction);
+  windUniforms.windStrength.value = Math.max(0, state.strength + state.offset) * (1 + state.gustiness * state.gust);
+}
+
+/**
+ * Current wind, for systems that move on the CPU (clouds, audio)
+ * @returns {Object} direction (normalized x/y on the ground), strength as set,
+ *   offset (added by the weather), gust (0-1) and speed (strength including
+ *   the offset and the gust)
+ */
+export function getWind() {
+  return {
+    direction: state.direction,
+    strength: state.strength,
+    offset: state.offset,
+    gust: state.gust,
+    speed: windUniforms.windStrength.value
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Shared configuration for the playground world.
+ * Values here are defaults; some can be overridden through URL parameters.
+ */
+export const worldConfig = {
+  // World seed used when no ?seed= parameter is given.
+  // Use ?seed=random to roll a new world (the chosen seed is logged to the console).
+  seed: 'playground',
+  
+  // Terrain streaming
+  terrain: {
+    chunkSize: 64,          // World units per chunk side
+    chunkSegments: 64,      // Grid cells per chunk side at full detail (1 unit per cell)
+    heightScale: 8,         // Peak-to-valley scale of the height noise
+    viewDistance: 2,        // Chunks kept loaded in each direction around the player
+    chunkBuildsPerFrame: 1, // Limits generation hitches while walking
+    
+    // Quadtree level of detail for the ground mesh
+    lod: {
+      tileSegments: 16,     // Grid cells per tile side at every level
+      splitDistance: 1.5    // Tiles split when the camera is closer than this many tile sizes
+    },
+    
+    // Hand-authored ground from files in public/, replacing the height noise (and,
+    // with a splat map, the biomes); null generates the terrain. Bundled example:
+    // heightmap: {
+    //   url: 'heightmaps/example.png',   // 8/16-bit grayscale PNG, raw Float32 (.f32) or raw Uint16 (.r16)
+    //   worldSize: 256,                  // World units covered by the image, centred on the spawn point
+    //   heightScale: 14,                 // Height of a white texel (multiplies Float32 values as-is)
+    //   baseHeight: -5,                  // Height of a black texel
+    //   segments: 128,                   // Grid cells across worldSize (rounded to fit chunkSize)
+    //   splatmap: 'heightmaps/example-splat.png', // Optional; colors pick biomes (splatColor in biomes.js)
+    //   resolution: [width, height]      // Only needed for non-square raw files
+    // }
+    heightmap: null
+  },
+  
+  // Lakes and rivers
+  water: {
+    seaLevel: -2.5,         // Terrain below this height is flooded
+    rivers: true,           // Carve rivers along noise-defined paths
+    riverWidth: 0.02,       // Half-width of the river band in noise units (roughly 5 world units)
+    riverDepth: 2,          // Depth of river beds below the sea level
+    maxWadingDepth: 0.9,    // The player cannot walk into water deeper than this
+    wadingSpeed: 0.5        // Speed multiplier while wading at the maximum depth
+  },
+  
+  // Tree placement and assets
+  trees: {
+    manifest: 'models/trees.json', // glTF tree list under public/ (file, species, scale, collisionRadius)
+    ruleSets: 'trees/species.json', // L-system rule set list under public/, grown alongside the built-in species
+    density: 5.5,            // Tree candidates per 1000 square units, thinned by the biome tree density
+    modelShare: 0.2,         // Fraction of trees drawn from the glTF models
+    maxSlope: 30,            // Steepest ground in degrees trees grow on
+    spacing: {               // Minimum distance between trunks; a pair keeps the larger spacing of the two
+      pine: 4,
+      broadleaf: 6,
+      simple: 5,
+      model: 7
+    },
+    lod: {
+      simplifyDistance: 30,  // Full trees give way to low-poly ones around this distance
+      impostorDistance: 70,  // Low-poly trees give way to billboards around this distance
+      fadeWidth: 6,          // Width of the dithered crossfade between levels
+      impostorTileSize: 128  // Impostor atlas tile width in pixels (tiles are twice as tall)
+    }
+  },
+  
+  // Instanced grass
+  grass: {
+    bladesPerChunk: 4000,     // Blades in a chunk at full biome grass density
+    fullDensityDistance: 12,  // Blades start thinning out beyond this camera distance
+    maxDistance: 40,          // No grass is drawn beyond this camera distance
+    maxSlope: 50              // Steepest ground in degrees grass grows on
+  },
+  
+  // Shared placement of trees, props and grass
+  scatter: {
+    spawnRadius: 8,                  // Trees and props keep clear of the spawn point
+    spawnLayers: ['trees', 'props'],
+    // Paths keep every layer, grass included, clear along a polyline:
+    // { points: [[0, 0], [40, 25], [90, 30]], width: 3 }
+    paths: []
+  },
+  
+  // Day-night cycle
+  dayNight: {
+    palette: 'palettes/default.json', // Time-of-day preset under public/: sky tint, lights, fog, exposure and stars per phase
+    moon: {
+      cycleDays: 8,      // In-game days from one new moon to the next
+      startPhase: 0.5,   // Phase on the first day: 0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter
+      tilt: 25,          // Degrees the moon's path leans away from straight overhead, towards +z
+      size: 14,          // Radius of the moon in the sky (it stands 400 units away)
+      color: '#f2efe4'   // Color of the sunlit surface
+    },
+    // Real sky: the sun rises, climbs and sets as it does over a real place,
+    // with that place's day length for the date; setRealSky on the day-night cycle changes it
+    realSky: {
+      enabled: false,
+      latitude: 51.48,   // Degrees north (negative for south)
+      longitude: 0,      // Degrees east (negative for west)
+      date: null         // null follows the system clock in real time; a date such as
+                         // '2026-06-21T04:00:00Z' starts there and runs at the cycle's pace
+    }
+  },
+  
+  // Atmospheric scattering sky; change it at runtime with sky.setAtmosphere
+  // (the sky is scene.userData.sky), e.g. sky.setAtmosphere({ turbidity: 8 })
+  sky: {
+    turbidity: 2,          // Haze in the air: 2 is a clear day, 10 a hazy one
+    rayleigh: 1,           // Scattering by the air itself, which turns the sky blue and low sunlight red
+    mieDirectionalG: 0.76, // How tightly haze gathers light around the sun (0-1)
+    exposure: 1,           // Brightness of the sky
+    sunSize: 1.5           // Angular radius of the sun disc in degrees
+  },
+  
+  // Global wind swaying trees and grass, drifting clouds and setting the wind audio;
+  // change it at runtime with setWind from src/components/wind.js
+  wind: {
+    direction: [1, 0.3],  // Direction the wind blows towards on the ground (x, z)
+    strength: 0.4,        // 0 for calm air, 1 for a gale
+    gustiness: 0.5        // Peak gusts add this fraction of the strength
+  },
+  
+  // Weather: clear, overcast, rain, snow, fog or storm, changing on its own over
+  // the hours; ?weather=storm (or any weather) holds it, as does setWeather
+  // from src/components/weather.js
+  weather: {
+    start: 'clear',          // Weather the world starts in
+    advance: true,           // Let the weather change by itself
+    durationHours: [3, 9],   // In-game hours a spell of weather lasts (shortest, longest)
+    transitionHours: 1.5,    // In-game hours one kind of weather takes to give way to the next
+    wetHours: 1,             // In-game hours of rain it takes to soak the ground
+    dryHours: 4,             // In-game hours the ground takes to dry out again
+    precipitation: {
+      drops: 6000,           // Rain drops in a downpour
+      flakes: 4000,          // Snow flakes in a heavy snowfall
+      flakeSize: 1.5,        // Size of a snow flake on screen
+      area: 40,              // Width of the box around the camera that rain and snow fill
+      height: 24             // Height of that box
+    }
+  },
+  
+  // Seasons recoloring foliage and ground, thinning broadleaf trees, bringing
+  // snow in winter and changing the ambient sounds; ?season=winter (or any
+  // season) holds the world in one season, as does setSeason from src/components/seasons.js
+  seasons: {
+    start: 'summer',      // Season the world starts in
+    advance: true,        // Move on to the next season as the days pass
+    daysPerSeason: 8,     // In-game days each season lasts
+    transitionDays: 3     // In-game days one season takes to give way to the next
+  },
+  
+  // Player collisions with tree trunks, props and the edge of the world
+  collision: {
+    playerRadius: 0.3,  // Radius of the player's capsule
+    stepHeight: 0.35,   // Props lower than this are walked over
+    worldRadius: 480,   // Distance from the spawn point to the world edge
+    edgeWidth: 40       // Walking outwards slows to a stop over this distance before the edge
+  },
+  
+  // Picking glowing fruits, pine cones and leaves off the trees
+  harvest: {
+    reach: 0.15,        // How close a hand must be to an ornament or dropped item to grab it
+    pouchReach: 0.2,    // Letting go this close to the hip pouch stores the item
+    regrowHours: 12     // In-game hours until a picked ornament grows back
+  },
+  
+  // Terrain sculpting brush
+  sculpt: {
+    radius: 3,          // Starting brush radius in world units
+    minRadius: 1,
+    maxRadius: 12,
+    strength: 2,        // Raise/lower speed in units per second; blend rate for smooth and flatten
+    minStrength: 0.25,
+    maxStrength: 10,
+    reach: 40           // Longest brush ray in world units
+  },
+  
+  // Night-time firefly swarms
+  fireflies: {
+    perChunk: 240,      // Upper bound of fireflies in one chunk
+    perCluster: 40,     // Fireflies gathering around each grove or shoreline spot
+    clusterRadius: 4,   // Spread of a cluster in world units
+    size: 6             // Point size in pixels at 10 units distance
+  }
+};
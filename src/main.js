@@ -7,11 +7,23 @@ import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
 import { createTerrain } from './components/terrain.js';
+import { bakeTreeImpostors, loadTreeModels, loadTreeRuleSets, updateTreeSeason } from './components/trees.js';
+import { loadHeightmap } from './components/heightmap.js';
 import { createSky } from './components/sky.js';
-import { createTrees } from './components/trees.js';
 import { setupDayNightCycle } from './components/dayNightCycle.js';
-import { setupAudio } from './components/audio.js';
+import { loadPalette } from './components/timeOfDayPalette.js';
+import { setAmbienceMix, setupAudio, updateAudioForTimeOfDay } from './components/audio.js';
+import { getAmbienceMix } from './components/biomes.js';
 import { createPlayer } from './components/player.js';
+import { createSculptTool } from './components/sculptTool.js';
+import { createHarvest } from './components/harvest.js';
+import { createCollision } from './components/collision.js';
+import { setWind, setWindGustiness, updateWind } from './components/wind.js';
+import { SEASONS, configureSeasons, getSeason, getSeasonalAmbience, setSeason, updateSeasons } from './components/seasons.js';
+import { WEATHER_STATES, configureWeather, getWeather, setWeather, updateWeather } from './components/weather.js';
+import { createPrecipitation } from './components/precipitation.js';
+import { createWorldRandom, resolveWorldSeed } from './utils/random.js';
+import { worldConfig } from './config.js';
 
 // Main scene variables
 let scene, camera, renderer, composer;
@@ -23,6 +35,12 @@ let clock = new THREE.Clock();
 let dayNightCycle;
 let bloomLayer;
 let stats;
+let drawCallsPanel;
+let world;
+let sculptTool;
+let harvest;
+let collision;
+let precipitation;
 
 // Movement variables
 let moveForward = false;
@@ -33,10 +51,22 @@ let playerVelocity = new THREE.Vector3();
 let playerDirection = new THREE.Vector3();
 let moveSpeed = 5.0; // Units per second
 
-// Initialize the scene
-function init() {
+// World positions of the player's hands, used by grass and glowing props
+const handPositions = [new THREE.Vector3(), new THREE.Vector3()];
+
+// World position of the camera (or headset), used for terrain detail
+const cameraPosition = new THREE.Vector3();
+
+// Desktop mouse state for aiming the sculpt brush
+const pointer = { position: new THREE.Vector2(), down: false };
+const pointerRaycaster = new THREE.Raycaster();
+const sculptRay = new THREE.Ray();
+
+// Initialize the scene, optionally on an authored heightmap, with the time-of-day palette
+function init(heightmap, palette) {
   // Create scene
   scene = new THREE.Scene();
+  scene.userData.worldSeed = world.seed;
   
   // Create camera with initial overview position
   camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -75,6 +105,9 @@ function init() {
   stats.showPanel(0); // 0: fps, 1: ms, 2: mb, 3+: custom
   document.body.appendChild(stats.dom);
   
+  // Extra panel counting draw calls per frame (click the stats to cycle panels)
+  drawCallsPanel = stats.addPanel(new Stats.Panel('CALLS', '#ff8', '#221'));
+  
   // No post-processing for better stability
   
   // Add stronger ambient light
@@ -108,25 +141,70 @@ function init() {
   // Add additional lights for better illumination
   addAdditionalLights();
   
+  // Start from the configured wind (setWind changes it later)
+  const [windX, windZ] = worldConfig.wind.direction;
+  setWind(new THREE.Vector3(windX, 0, windZ), worldConfig.wind.strength, 0);
+  setWindGustiness(worldConfig.wind.gustiness);
+  
+  // Start in the configured season, or hold the one asked for in the URL
+  configureSeasons(worldConfig.seasons);
+  const season = new URLSearchParams(window.location.search).get('season');
+  if (SEASONS.includes(season)) {
+    setSeason(season, 0);
+  }
+  
+  // Start in the configured weather, or hold the weather asked for in the URL
+  configureWeather(worldConfig.weather, world.random.fork('weather'));
+  const weather = new URLSearchParams(window.location.search).get('weather');
+  if (WEATHER_STATES.includes(weather)) {
+    setWeather(weather, 0);
+  }
+  
+  // Bake far-tree billboards before the first chunks are built
+  bakeTreeImpostors(renderer, world, worldConfig.trees.lod);
+  
   // Create environment components
-  terrain = createTerrain();
+  terrain = createTerrain(world, worldConfig, heightmap);
   scene.add(terrain);
   
-  sky = createSky();
-  scene.add(sky);
+  // Keep the player out of trunks and props and inside the world
+  collision = createCollision(terrain, worldConfig.collision);
+  
+  // Create the sculpt tool and bring back ground edits saved for this seed
+  sculptTool = createSculptTool(terrain, worldConfig.sculpt, `terrain-edits:${world.seed}`);
+  scene.add(sculptTool.cursor);
+  try {
+    sculptTool.restore();
+  } catch (error) {
+    console.warn('Saved terrain edits could not be restored:', error);
+  }
   
-  const trees = createTrees();
-  scene.add(trees);
+  sky = createSky(world, worldConfig.sky);
+  scene.add(sky);
   
   // Store reference to sky for day-night cycle
   scene.userData.sky = sky;
   
+  // Rain and snow falling around the camera
+  precipitation = createPrecipitation(worldConfig.weather.precipitation, world.random.fork('precipitation'));
+  scene.add(precipitation.group);
+  
   // Create player character
   player = createPlayer();
   scene.add(player.group);
   
+  // Glowing fruits, cones and leaves can be picked and stored in a pouch on the hip
+  harvest = createHarvest(scene, terrain, worldConfig.harvest);
+  harvest.pouch.position.set(0.25, 0.9, 0.05);
+  player.group.add(harvest.pouch);
+  
+  // Stand the player (and the overview camera with it) on the terrain
+  const spawnHeight = terrain.getHeightAt(player.group.position.x, player.group.position.z);
+  player.group.position.y = spawnHeight;
+  camera.position.y += spawnHeight;
+  
   // Setup day-night cycle
-  dayNightCycle = setupDayNightCycle(scene, directionalLight);
+  dayNightCycle = setupDayNightCycle(scene, directionalLight, world, palette, worldConfig.dayNight);
   
   // Setup audio
   setupAudio(camera);
@@ -144,6 +222,14 @@ function init() {
       case 'KeyS': moveBackward = true; break;
       case 'KeyA': moveLeft = true; break;
       case 'KeyD': moveRight = true; break;
+      
+      // Sculpting: cycle the brush mode, size and strength, and download the edits
+      case 'KeyT': sculptTool.cycleMode(); break;
+      case 'BracketLeft': sculptTool.scaleRadius(0.8); break;
+      case 'BracketRight': sculptTool.scaleRadius(1.25); break;
+      case 'Minus': sculptTool.scaleStrength(0.8); break;
+      case 'Equal': sculptTool.scaleStrength(1.25); break;
+      case 'KeyP': sculptTool.download(); break;
     }
   });
   
@@ -156,6 +242,32 @@ function init() {
     }
   });
   
+  // Aim and apply the sculpt brush with the mouse on desktop
+  renderer.domElement.addEventListener('pointermove', (event) => {
+    pointer.position.set(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1
+    );
+  });
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    if (event.button === 0) pointer.down = true;
+  });
+  window.addEventListener('pointerup', () => {
+    pointer.down = false;
+  });
+  
+  // Load exported terrain edits by dropping the JSON file onto the page
+  window.addEventListener('dragover', (event) => event.preventDefault());
+  window.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    
+    file.text()
+      .then((text) => sculptTool.load(JSON.parse(text)))
+      .catch((error) => console.warn('Terrain edits could not be loaded:', error));
+  });
+  
   // Start animation loop
   renderer.setAnimationLoop(animate);
   
@@ -189,6 +301,8 @@ function setupControllers() {
     const controller = renderer.xr.getController(i);
     controller.addEventListener('selectstart', onSelectStart);
     controller.addEventListener('selectend', onSelectEnd);
+    controller.addEventListener('squeezestart', onSqueezeStart);
+    controller.addEventListener('squeezeend', onSqueezeEnd);
     controller.addEventListener('connected', (event) => {
       // Set controller data
       controller.userData.handedness = event.data.handedness;
@@ -210,14 +324,40 @@ function setupControllers() {
 
 function onSelectStart(event) {
   const controller = event.target;
-  controller.userData.isSelecting = true;
-  // Handle controller selection start
+  controller.userData.isSelecting = true; // Sculpts while held (see updateSculpting)
+  
+  // With the brush off the trigger picks things up like the grip does
+  if (!sculptTool.getMode()) {
+    harvest.grab(getControllerHand(controller), getGameDay());
+  }
 }
 
 function onSelectEnd(event) {
   const controller = event.target;
   controller.userData.isSelecting = false;
-  // Handle controller selection end
+  harvest.release(getControllerHand(controller));
+}
+
+function onSqueezeStart(event) {
+  harvest.grab(getControllerHand(event.target), getGameDay());
+}
+
+function onSqueezeEnd(event) {
+  harvest.release(getControllerHand(event.target));
+}
+
+/**
+ * Returns the player hand that follows a controller (see player.updateHands)
+ */
+function getControllerHand(controller) {
+  return controllers.indexOf(controller) === 0 ? player.leftHand : player.rightHand;
+}
+
+/**
+ * Days elapsed in game, including the fraction of the current day
+ */
+function getGameDay() {
+  return dayNightCycle.getDay() + dayNightCycle.getTimeOfDay();
 }
 
 
@@ -273,7 +413,20 @@ function animate() {
   
   // Update day-night cycle
   if (dayNightCycle) {
-    dayNightCycle.update(delta);
+    dayNightCycle.update(delta, player.group.position);
+    renderer.toneMappingExposure = dayNightCycle.getLook().exposure;
+  }
+  
+  // Roll the wind forward; trees, grass, clouds and the wind audio follow it
+  updateWind(delta);
+  
+  // Move the seasons along with the days and recolor the trees
+  if (dayNightCycle) {
+    updateSeasons(getGameDay());
+    updateTreeSeason(getSeason());
+    
+    // Change the weather over the hours, wet the ground and throw lightning
+    updateWeather(getGameDay(), delta);
   }
   
   // Update sky (clouds movement)
@@ -281,9 +434,24 @@ function animate() {
     sky.update(delta);
   }
   
-  // Update fireflies animation
-  if (terrain && terrain.userData.fireflies) {
-    terrain.userData.fireflies.update(delta);
+  // Update fireflies: fade with the palette's night and scatter around the player
+  if (terrain && terrain.userData.fireflies && dayNightCycle && player) {
+    terrain.userData.fireflies.update(delta, dayNightCycle.getLook().stars, player.group.position);
+  }
+  
+  // Animate water and reflect the current sky
+  if (terrain && terrain.userData.water) {
+    terrain.userData.water.update(delta, dayNightCycle ? dayNightCycle.getSkyColors() : null);
+  }
+  
+  // Sway grass and bend it around the player's feet and hands
+  if (terrain && terrain.userData.grass && player) {
+    terrain.userData.grass.update(delta, camera, [player.group.position, ...getHandPositions()]);
+  }
+  
+  // Glow mushrooms and crystals at night and pulse them near the player's hands
+  if (terrain && terrain.userData.glowingProps && player && dayNightCycle) {
+    terrain.userData.glowingProps.update(delta, dayNightCycle.getLook().stars, getHandPositions());
   }
   
   // Update controllers and player hands
@@ -297,8 +465,40 @@ function animate() {
   // Update player movement
   updatePlayerMovement(delta);
   
+  // Follow the hands for throwing, move thrown items and regrow picked ornaments
+  if (harvest && dayNightCycle) {
+    harvest.update(delta, getGameDay(), [player.leftHand, player.rightHand]);
+  }
+  
+  // Sculpt the ground under the brush ray
+  if (sculptTool) {
+    updateSculpting(delta);
+  }
+  
+  // Stream terrain chunks around the player, refine them towards the camera
+  // and keep the sky centered on the player
+  if (terrain && player) {
+    terrain.update(player.group.position, camera.getWorldPosition(cameraPosition));
+    sky.position.set(player.group.position.x, 0, player.group.position.z);
+    
+    // Blend the ambient audio beds for the biome the player stands in and the season
+    const biome = terrain.getBiomeAt(player.group.position.x, player.group.position.z);
+    setAmbienceMix(getSeasonalAmbience(getAmbienceMix(biome.weights)));
+  }
+  
+  // Let rain and snow fall around the camera in the light of the sky
+  if (precipitation && dayNightCycle) {
+    precipitation.update(delta, camera.getWorldPosition(cameraPosition), getWeather(), dayNightCycle.getSkyColors().bottom);
+  }
+  
+  // Update ambient audio for the time of day
+  if (dayNightCycle) {
+    updateAudioForTimeOfDay(dayNightCycle.getTimeOfDay());
+  }
+  
   // Render scene with simple approach
   renderer.render(scene, camera);
+  drawCallsPanel.update(renderer.info.render.calls, 2000);
   
   // End stats measurement
   stats.end();
@@ -374,15 +574,118 @@ function updatePlayerMovement(delta) {
     playerVelocity.add(rightDirection.clone().multiplyScalar(-moveSpeed * delta));
   }
   
+  // Keep out of deep water and slow down while wading, then slide around
+  // trees and props and hold back at the world edge
+  if (playerVelocity.lengthSq() > 0) {
+    applyWaterResistance(player.group.position, playerVelocity);
+    collision.move(player.group.position, playerVelocity);
+  }
+  
   // Apply movement to player and camera
   if (playerVelocity.lengthSq() > 0) {
+    const position = player.group.position;
+    
+    // Follow the terrain surface
+    playerVelocity.y = terrain.getHeightAt(position.x + playerVelocity.x, position.z + playerVelocity.z) - position.y;
+    
     // Move player group
-    player.group.position.add(playerVelocity);
+    position.add(playerVelocity);
     
     // Move camera with player
     camera.position.add(playerVelocity);
   }
 }
 
-// Initialize the application
-init();
+/**
+ * Aims the sculpt brush from a controller in VR or the mouse on desktop
+ * In VR the controller holding its trigger sculpts (otherwise the right hand
+ * aims), A/X cycles the brush mode, and the aiming thumbstick sizes the brush
+ * (left/right) and sets its strength (up/down).
+ */
+function updateSculpting(delta) {
+  if (renderer.xr.isPresenting) {
+    controllers.forEach((controller) => {
+      const gamepad = controller.userData.gamepad;
+      const modePressed = Boolean(gamepad && gamepad.buttons[4] && gamepad.buttons[4].pressed);
+      if (modePressed && !controller.userData.modeButtonPressed) {
+        sculptTool.cycleMode();
+      }
+      controller.userData.modeButtonPressed = modePressed;
+    });
+    
+    const aiming = controllers.find((controller) => controller.userData.isSelecting) ||
+      controllers.find((controller) => controller.userData.handedness === 'right');
+    if (!aiming) {
+      sculptTool.update(delta, null, false);
+      return;
+    }
+    
+    // Thumbstick axes 2 and 3 on the xr-standard gamepad mapping
+    const gamepad = aiming.userData.gamepad;
+    if (sculptTool.getMode() && gamepad && gamepad.axes.length >= 4) {
+      const deadzone = 0.15;
+      if (Math.abs(gamepad.axes[2]) > deadzone) sculptTool.scaleRadius(1 + gamepad.axes[2] * delta);
+      if (Math.abs(gamepad.axes[3]) > deadzone) sculptTool.scaleStrength(1 - gamepad.axes[3] * delta);
+    }
+    
+    // Controllers point down their local -z axis
+    sculptRay.origin.setFromMatrixPosition(aiming.matrixWorld);
+    sculptRay.direction.set(0, 0, -1).transformDirection(aiming.matrixWorld);
+    sculptTool.update(delta, sculptRay, Boolean(aiming.userData.isSelecting));
+  } else {
+    pointerRaycaster.setFromCamera(pointer.position, camera);
+    sculptTool.update(delta, pointerRaycaster.ray, pointer.down);
+  }
+}
+
+/**
+ * Collects the world positions of the player's visible hands
+ */
+function getHandPositions() {
+  const positions = [];
+  
+  [player.leftHand, player.rightHand].forEach((hand, index) => {
+    if (hand.visible) {
+      positions.push(hand.getWorldPosition(handPositions[index]));
+    }
+  });
+  
+  return positions;
+}
+
+/**
+ * Blocks movement into deep water and slows the player while wading
+ */
+function applyWaterResistance(position, velocity) {
+  const waterConfig = worldConfig.water;
+  const currentDepth = terrain.getWaterDepthAt(position.x, position.z);
+  const targetDepth = terrain.getWaterDepthAt(position.x + velocity.x, position.z + velocity.z);
+  
+  // Refuse steps into deep water, but always allow wading back out
+  if (targetDepth > waterConfig.maxWadingDepth && targetDepth > currentDepth) {
+    velocity.set(0, 0, 0);
+    return;
+  }
+  
+  // Wading gets slower the deeper the water
+  if (targetDepth > 0) {
+    const depthFactor = Math.min(1, targetDepth / waterConfig.maxWadingDepth);
+    velocity.multiplyScalar(THREE.MathUtils.lerp(1, waterConfig.wadingSpeed, depthFactor));
+  }
+}
+
+// Create seeded random state shared by all world generators
+world = createWorldRandom(resolveWorldSeed(worldConfig));
+console.info(`World seed: ${world.seed}`);
+
+// Initialize the application once any authored heightmap, the tree models, the tree rule sets and the
+// time-of-day palette have loaded
+Promise.all([
+  loadHeightmap(worldConfig.terrain.heightmap).catch((error) => {
+    console.warn('Heightmap could not be loaded, generating terrain instead:', error);
+    return null;
+  }),
+  loadTreeModels(world, worldConfig.trees.manifest),
+  loadTreeRuleSets(world, worldConfig.trees.ruleSets),
+  loadPalette(worldConfig.dayNight.palette)
+]).then(([heightmap, , , palette]) => init(heightmap, palette));
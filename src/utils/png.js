@@ -0,0 +1,157 @@
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each supported PNG color type
+const CHANNELS_BY_COLOR_TYPE = {
+  0: 1, // Grayscale
+  2: 3, // RGB
+  4: 2, // Grayscale + alpha
+  6: 4  // RGBA
+};
+
+/**
+ * Checks whether a buffer starts with the PNG signature
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True for PNG files
+ */
+export function isPng(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, PNG_SIGNATURE.length));
+  return PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+}
+
+/**
+ * Decodes a non-interlaced 8-bit or 16-bit PNG at full precision
+ * Browsers only hand out 8 bits per channel through a canvas, which is not
+ * enough for smooth 16-bit heightmaps, so the pixel data is inflated and
+ * unfiltered here. Palette and interlaced images are rejected.
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Promise<Object>} Image with width, height, channels, bitDepth and
+ *   data (one sample per channel, row by row, as Uint8Array or Uint16Array)
+ */
+export async function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+  
+  const view = new DataView(buffer);
+  const idatChunks = [];
+  let header = null;
+  let offset = PNG_SIGNATURE.length;
+  
+  // Walk the chunk list, keeping the header and the compressed pixel data
+  while (offset < buffer.byteLength) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(
+      view.getUint8(offset + 4),
+      view.getUint8(offset + 5),
+      view.getUint8(offset + 6),
+      view.getUint8(offset + 7)
+    );
+    const dataOffset = offset + 8;
+    
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(dataOffset),
+        height: view.getUint32(dataOffset + 4),
+        bitDepth: view.getUint8(dataOffset + 8),
+        colorType: view.getUint8(dataOffset + 9),
+        interlace: view.getUint8(dataOffset + 12)
+      };
+    } else if (type === 'IDAT') {
+      idatChunks.push(new Uint8Array(buffer, dataOffset, length));
+    } else if (type === 'IEND') {
+      break;
+    }
+    
+    // Skip the data and the CRC
+    offset = dataOffset + length + 4;
+  }
+  
+  if (!header) {
+    throw new Error('PNG is missing its header');
+  }
+  
+  const channels = CHANNELS_BY_COLOR_TYPE[header.colorType];
+  if (!channels || (header.bitDepth !== 8 && header.bitDepth !== 16) || header.interlace !== 0) {
+    throw new Error(`Unsupported PNG (color type ${header.colorType}, ${header.bitDepth}-bit, interlace ${header.interlace})`);
+  }
+  
+  const bytesPerPixel = channels * header.bitDepth / 8;
+  const stride = header.width * bytesPerPixel;
+  const pixels = unfilterScanlines(await inflate(idatChunks), header.height, stride, bytesPerPixel);
+  
+  // Split the bytes into samples (16-bit samples are big-endian)
+  const sampleCount = header.width * header.height * channels;
+  let data;
+  if (header.bitDepth === 16) {
+    data = new Uint16Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+      data[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+    }
+  } else {
+    data = pixels;
+  }
+  
+  return {
+    width: header.width,
+    height: header.height,
+    channels: channels,
+    bitDepth: header.bitDepth,
+    data: data
+  };
+}
+
+/**
+ * Inflates concatenated zlib data with the platform decompressor
+ */
+async function inflate(chunks) {
+  const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reverses the per-scanline PNG filters
+ * @returns {Uint8Array} Raw pixel bytes without filter type bytes
+ */
+function unfilterScanlines(filtered, height, stride, bytesPerPixel) {
+  const pixels = new Uint8Array(height * stride);
+  
+  for (let y = 0; y < height; y++) {
+    const filterType = filtered[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    const previousRow = row - stride;
+    
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[previousRow + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[previousRow + x - bytesPerPixel] : 0;
+      let predictor = 0;
+      
+      switch (filterType) {
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+      }
+      
+      pixels[row + x] = (filtered[source + x] + predictor) & 0xff;
+    }
+  }
+  
+  return pixels;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
@@ -0,0 +1,110 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+
+/**
+ * Resolves the world seed from the URL (?seed=...) or the given config
+ * @param {Object} config - World config holding the default seed
+ * @returns {string} The world seed
+ */
+export function resolveWorldSeed(config) {
+  const params = new URLSearchParams(window.location.search);
+  let seed = params.get('seed') || String(config.seed);
+  
+  // Roll a fresh seed on request so interesting worlds can be shared afterwards
+  if (seed === 'random') {
+    seed = Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+  
+  return seed;
+}
+
+/**
+ * Hashes any number of seed parts (strings or numbers) into a 32-bit integer
+ * @param {...(string|number)} parts - Values to combine into the hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(...parts) {
+  // FNV-1a over the joined parts, followed by a final avalanche step
+  let hash = 0x811c9dc5;
+  const text = parts.join(':');
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32)
+ * The returned object exposes random() so it can stand in for Math in SimplexNoise.
+ * @param {string|number} seed - Seed for the generator
+ * @returns {Object} Generator with random, range, int, pick and fork methods
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  
+  const rng = {
+    seed: seed,
+    
+    // Float in [0, 1)
+    random: () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    
+    // Float in [min, max)
+    range: (min, max) => min + rng.random() * (max - min),
+    
+    // Integer in [min, max)
+    int: (min, max) => min + Math.floor(rng.random() * (max - min)),
+    
+    // Random element of an array
+    pick: (items) => items[Math.floor(rng.random() * items.length)],
+    
+    // Independent child generator derived from this seed and the given labels
+    fork: (...labels) => createRandom(`${seed}/${labels.join('/')}`)
+  };
+  
+  return rng;
+}
+
+/**
+ * Creates the seeded random state shared by all world generators
+ * Generators should fork their own stream from world.random with a label so
+ * adding a new generator does not change what the existing ones produce.
+ * @param {string|number} seed - The world seed
+ * @returns {Object} World random state with seed, random (root generator) and noise
+ */
+export function createWorldRandom(seed) {
+  const random = createRandom(seed);
+  
+  return {
+    seed: seed,
+    random: random,
+    noise: new SimplexNoise(random.fork('noise'))
+  };
+}
+
+/**
+ * Hashes integer grid coordinates into a stable float in [0, 1)
+ * Useful for per-vertex variation that must match across chunk borders.
+ * @param {number} seedHash - 32-bit seed, e.g. from hashSeed
+ * @param {number} x - Integer x coordinate
+ * @param {number} z - Integer z coordinate
+ * @returns {number} Float in [0, 1)
+ */
+export function hashCoords(seedHash, x, z) {
+  let h = seedHash ^ Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(z | 0, 0x165667b1);
+  h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+  h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+  h ^= h >>> 15;
+  return (h >>> 0) / 4294967296;
+}